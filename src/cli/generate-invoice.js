@@ -6,6 +6,7 @@ const config = require('../config/env');
 const harvestInvoices = require('../harvest/invoices');
 const dataMapper = require('../domain/mapping');
 const renderer = require('../render/render');
+const i18n = require('../i18n');
 const logger = require('../utils/logger');
 
 /**
@@ -14,6 +15,10 @@ const logger = require('../utils/logger');
 class InvoiceCLI {
   constructor() {
     this.outputDir = path.join(process.cwd(), 'out');
+    this.format = 'pdf';
+    this.language = null;
+    this.level = 1;
+    this.originalInvoice = null;
   }
 
   /**
@@ -26,6 +31,19 @@ class InvoiceCLI {
       id: null,
       type: 'invoice',
       help: false,
+      from: null,
+      to: null,
+      client: null,
+      state: null,
+      all: false,
+      concurrency: null,
+      format: 'pdf',
+      lang: null,
+      level: null,
+      original: null,
+      templateDir: null,
+      pdfa: false,
+      attach: null,
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -37,14 +55,125 @@ class InvoiceCLI {
         parsed.id = args[++i];
       } else if (arg === '--type') {
         const type = args[++i];
-        if (['invoice', 'estimate'].includes(type)) {
+        if (['invoice', 'estimate', 'reminder', 'credit-note'].includes(type)) {
           parsed.type = type;
         } else {
-          throw new Error(`Invalid type: ${type}. Must be 'invoice' or 'estimate'`);
+          throw new Error(
+            `Invalid type: ${type}. Must be 'invoice', 'estimate', 'reminder' or 'credit-note'`
+          );
+        }
+      } else if (arg === '--level') {
+        const level = parseInt(args[++i], 10);
+        if ([1, 2, 3].includes(level)) {
+          parsed.level = level;
+        } else {
+          throw new Error('Invalid level: must be 1, 2 or 3');
+        }
+      } else if (arg === '--original') {
+        parsed.original = args[++i];
+      } else if (arg === '--format') {
+        const format = args[++i];
+        if (['pdf', 'html', 'xml'].includes(format)) {
+          parsed.format = format;
+        } else {
+          throw new Error(`Invalid format: ${format}. Must be 'pdf', 'html' or 'xml'`);
+        }
+      } else if (arg === '--template') {
+        parsed.templateDir = args[++i];
+        if (!parsed.templateDir) {
+          throw new Error('--template needs a directory');
+        }
+      } else if (arg === '--pdfa') {
+        parsed.pdfa = true;
+      } else if (arg === '--attach') {
+        const attach = args[++i];
+        if (['json', 'xml', 'factur-x'].includes(attach)) {
+          parsed.attach = attach;
+        } else {
+          throw new Error(`Invalid attachment: ${attach}. Must be 'json', 'xml' or 'factur-x'`);
+        }
+      } else if (arg === '--lang') {
+        const lang = args[++i];
+        if (i18n.isSupported(lang)) {
+          parsed.lang = lang;
+        } else {
+          throw new Error(
+            `Invalid language: ${lang}. Must be one of: ${i18n.SUPPORTED_LANGUAGES.join(', ')}`
+          );
+        }
+      } else if (arg === '--from' || arg === '--to') {
+        const date = args[++i];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+          throw new Error(`Invalid date for ${arg}: ${date}. Must be YYYY-MM-DD`);
+        }
+        parsed[arg.slice(2)] = date;
+      } else if (arg === '--client') {
+        parsed.client = args[++i];
+      } else if (arg === '--state') {
+        const state = args[++i];
+        if (['open', 'draft', 'paid'].includes(state)) {
+          parsed.state = state;
+        } else {
+          throw new Error(`Invalid state: ${state}. Must be 'open', 'draft' or 'paid'`);
+        }
+      } else if (arg === '--all') {
+        parsed.all = true;
+      } else if (arg === '--concurrency') {
+        const concurrency = parseInt(args[++i], 10);
+        if (!(concurrency >= 1)) {
+          throw new Error('Invalid concurrency: must be a positive number');
         }
+        parsed.concurrency = concurrency;
       }
     }
 
+    parsed.batch = Boolean(parsed.from || parsed.to || parsed.client || parsed.state || parsed.all);
+
+    if (parsed.batch && parsed.id) {
+      throw new Error('--id cannot be combined with --from, --to, --client, --state or --all');
+    }
+
+    if (parsed.batch && parsed.type !== 'invoice') {
+      throw new Error('Batch generation is only supported for invoices');
+    }
+
+    // The invoice data is attached as a PDF/A-3 associated file
+    if (parsed.attach) {
+      parsed.pdfa = true;
+    }
+
+    if (parsed.pdfa && parsed.format !== 'pdf') {
+      throw new Error('--pdfa and --attach can only be used with --format pdf');
+    }
+
+    // Factur-X e-invoices exist for invoices and credit notes only
+    if (
+      (parsed.format === 'xml' || parsed.attach === 'factur-x') &&
+      !['invoice', 'credit-note'].includes(parsed.type)
+    ) {
+      throw new Error(
+        '--format xml and --attach factur-x are only available for invoices and credit notes'
+      );
+    }
+
+    if (parsed.type === 'reminder' && !parsed.id) {
+      throw new Error('--type reminder needs the --id of the overdue invoice');
+    }
+
+    if (parsed.level && parsed.type !== 'reminder') {
+      throw new Error('--level can only be used with --type reminder');
+    }
+
+    if (parsed.type === 'credit-note' && !parsed.id) {
+      throw new Error(
+        '--type credit-note needs the --id of the Harvest invoice with negative amount'
+      );
+    }
+
+    if (parsed.original && parsed.type !== 'credit-note') {
+      throw new Error('--original can only be used with --type credit-note');
+    }
+
     return parsed;
   }
 
@@ -57,11 +186,34 @@ Swiss QR Invoice Generator
 
 Usage:
   node src/cli/generate-invoice.js [--id <ID>] [--type <TYPE>]
-  
+  node src/cli/generate-invoice.js [--from <DATE>] [--to <DATE>] [--client <ID>] [--state <STATE>] [--all]
+
 Options:
-  --id <ID>       Harvest invoice or estimate ID (optional - uses most recent if not provided)
-  --type <TYPE>   Document type: 'invoice' or 'estimate' (default: invoice)
-  --help, -h      Show this help message
+  --id <ID>         Harvest invoice or estimate ID (optional - uses most recent if not provided)
+  --type <TYPE>     Document type: 'invoice', 'estimate', 'reminder' or 'credit-note'
+                    (default: invoice)
+  --level <LEVEL>   Reminder level: 1, 2 or 3 (default: 1, only with --type reminder)
+  --original <NR>   Number of the invoice a credit note refers to (only with --type credit-note)
+  --format <FORMAT> Output format: 'pdf', 'html' or 'xml' (default: pdf), 'xml' writes
+                    a Factur-X (EN 16931) e-invoice for invoices and credit notes
+  --pdfa            Convert PDFs to PDF/A-3b for archiving (default: RENDER_PDFA)
+  --attach <FORMAT> Attach the invoice data as 'json', 'xml' or 'factur-x' to a PDF/A-3b
+                    document (default: RENDER_ATTACHMENT, implies --pdfa), 'factur-x'
+                    makes a hybrid ZUGFeRD / Factur-X e-invoice
+  --lang <LANG>     Document language: 'de', 'fr', 'it' or 'en'
+                    (default: language of the client profile, else INVOICE_LANGUAGE)
+  --template <DIR>  Load templates, partials, styles, fonts and logo from this directory,
+                    files it does not have are taken from the built-in templates
+  --help, -h        Show this help message
+
+Batch options (invoices only):
+  --from <DATE>     Only invoices issued on or after this date (YYYY-MM-DD)
+  --to <DATE>       Only invoices issued on or before this date (YYYY-MM-DD)
+  --client <ID>     Only invoices for this Harvest client ID
+  --state <STATE>   Only invoices in this state: 'open', 'draft' or 'paid'
+  --all             Generate every invoice (when no other filter is given)
+  --concurrency <N> Number of documents fetched and rendered at the same time
+                    (default: RENDER_CONCURRENCY or 4)
 
 Examples:
   node src/cli/generate-invoice.js                              # Generate PDF for most recent invoice
@@ -69,20 +221,34 @@ Examples:
   node src/cli/generate-invoice.js --id 12345                   # Generate PDF for specific invoice
   node src/cli/generate-invoice.js --id 12345 --type invoice    # Generate PDF for specific invoice
   node src/cli/generate-invoice.js --id 67890 --type estimate   # Generate PDF for specific estimate
+  node src/cli/generate-invoice.js --id 12345 --lang fr         # Generate French PDF for specific invoice
+  node src/cli/generate-invoice.js --id 12345 --template ./my-theme   # Use a custom template
+  node src/cli/generate-invoice.js --id 12345 --attach xml      # PDF/A-3b with the invoice data as XML
+  node src/cli/generate-invoice.js --id 12345 --attach factur-x # Hybrid Factur-X / ZUGFeRD invoice
+  node src/cli/generate-invoice.js --id 12345 --format xml      # Factur-X XML e-invoice only
+  node src/cli/generate-invoice.js --id 12345 --type reminder --level 2   # Second reminder for an overdue invoice
+  node src/cli/generate-invoice.js --id 12399 --type credit-note --original 2024-017   # Credit note for invoice 2024-017
+  node src/cli/generate-invoice.js --from 2024-03-01 --to 2024-03-31   # Generate all March invoices
+  node src/cli/generate-invoice.js --client 4711 --state open   # Generate open invoices of a client
+  node src/cli/generate-invoice.js --all                        # Generate every invoice
 
 Environment:
   Make sure to copy .env.example to .env and configure your Harvest API credentials
   and company information before running the generator.
 
+  PDF output needs Chrome or Chromium. It is looked up in CHROME_PATH, then Puppeteer's
+  bundled Chromium, then the usual system install locations. Use --format html where
+  no browser is available and print the HTML file to PDF from any browser.
+
 Output:
-  Generated PDFs will be saved to the ./out/ directory.
+  Generated files will be saved to the ./out/ directory.
 `);
   }
 
   /**
    * Generate invoice PDF
    * @param {string|null} id - Invoice/estimate ID (optional - will fetch latest if not provided)
-   * @param {string} type - Document type (invoice or estimate)
+   * @param {string} type - Document type (invoice, estimate, reminder or credit-note)
    */
   async generateInvoice(id, type) {
     try {
@@ -94,14 +260,17 @@ Output:
 
       // Fetch data from Harvest
       let harvestData, harvestClient;
-      if (type === 'invoice' && id) {
+      let payments = [];
+      if (['invoice', 'reminder', 'credit-note'].includes(type) && id) {
         const result = await harvestInvoices.getInvoiceWithClient(id);
         harvestData = result.invoice;
         harvestClient = result.client;
+        payments = result.payments;
       } else if (type === 'invoice' && !id) {
         const result = await harvestInvoices.getLatestInvoiceWithClient();
         harvestData = result.invoice;
         harvestClient = result.client;
+        payments = result.payments;
         logger.info(`Using most recent invoice ID: ${harvestData.id}`);
       } else if (type === 'estimate' && id) {
         const result = await harvestInvoices.getEstimateWithClient(id);
@@ -116,32 +285,24 @@ Output:
 
       logger.info(`Successfully fetched ${type} ${harvestData.number}`);
 
-      // Map to internal DTO
-      let invoice;
-      if (type === 'invoice') {
-        invoice = dataMapper.mapInvoiceFromHarvest(harvestData, harvestClient);
-      } else {
-        invoice = dataMapper.mapEstimateFromHarvest(harvestData, harvestClient);
-      }
-
-      logger.info(`Mapped ${type} data successfully`);
-
-      // Ensure output directory exists
-      await this.ensureOutputDir();
-
-      // Generate output filename
-      const filename = this.generateFilename(invoice, type);
-      const outputPath = path.join(this.outputDir, filename);
-
-      // Render to PDF
-      await renderer.renderToPDF(invoice, outputPath);
+      const { invoice, outputPath } = await this.renderDocument(
+        harvestData,
+        harvestClient,
+        type,
+        payments
+      );
 
-      logger.info(`✅ Successfully generated ${type} PDF: ${outputPath}`);
+      const format = this.format.toUpperCase();
+      const generated = invoice.getType();
+      logger.info(`✅ Successfully generated ${generated} ${format}: ${outputPath}`);
       console.log(
-        `\n🎉 ${type.charAt(0).toUpperCase() + type.slice(1)} PDF generated successfully!`
+        `\n🎉 ${generated.charAt(0).toUpperCase() + generated.slice(1)} ${format} generated successfully!`
       );
       console.log(`📄 File: ${outputPath}`);
-      console.log(`💰 Total: ${invoice.currency} ${invoice.total.toFixed(2)}`);
+      console.log(`💰 Total: ${invoice.formatAmount(invoice.total)}`);
+      if (!invoice.isCreditNote() && invoice.getAmountDue() !== invoice.total) {
+        console.log(`💳 Due: ${invoice.formatAmount(invoice.getAmountDue())}`);
+      }
 
       return outputPath;
     } catch (error) {
@@ -160,10 +321,203 @@ Output:
         console.error('Authentication failed. Please check your Harvest credentials in .env file.');
       } else if (error.message.includes('Missing required environment variables')) {
         console.error('Please copy .env.example to .env and configure all required variables.');
+      } else if (error.message.includes('No Chrome or Chromium executable found')) {
+        console.error('PDF output needs Chrome. Set CHROME_PATH or use --format html.');
       }
 
-      process.exit(1);
+      // Let run() shut down the renderer before the process exits
+      process.exitCode = 1;
+      return null;
+    }
+  }
+
+  /**
+   * Map Harvest data and render it to the output directory
+   *
+   * A Harvest invoice with a negative amount is rendered as credit note.
+   * @param {object} harvestData - Harvest invoice or estimate data
+   * @param {object} harvestClient - Harvest client data
+   * @param {string} requestedType - Document type (invoice, estimate, reminder or credit-note)
+   * @param {object[]} [payments] - Harvest payments recorded against the invoice
+   * @returns {Promise<{invoice: InvoiceDTO, outputPath: string}>} Mapped document and output path
+   */
+  async renderDocument(harvestData, harvestClient, requestedType, payments = []) {
+    let type = requestedType;
+    if (type === 'invoice' && parseFloat(harvestData.amount) < 0) {
+      logger.info(`Invoice ${harvestData.number} has a negative amount, rendering a credit note`);
+      type = 'credit-note';
+    }
+
+    // Map to internal DTO
+    const mappingOptions = { language: this.language, payments };
+    let invoice;
+    if (type === 'invoice') {
+      invoice = dataMapper.mapInvoiceFromHarvest(harvestData, harvestClient, mappingOptions);
+    } else if (type === 'reminder') {
+      invoice = dataMapper.mapReminderFromHarvest(harvestData, harvestClient, {
+        ...mappingOptions,
+        level: this.level,
+      });
+    } else if (type === 'credit-note') {
+      invoice = dataMapper.mapCreditNoteFromHarvest(harvestData, harvestClient, {
+        ...mappingOptions,
+        originalInvoice: this.originalInvoice,
+      });
+    } else {
+      invoice = dataMapper.mapEstimateFromHarvest(harvestData, harvestClient, mappingOptions);
+    }
+
+    logger.info(`Mapped ${type} data successfully`);
+
+    // Ensure output directory exists
+    await this.ensureOutputDir();
+
+    // Generate output filename
+    const filename = this.generateFilename(invoice, type);
+    const outputPath = path.join(this.outputDir, filename);
+
+    // Render to the requested format
+    if (this.format === 'html') {
+      await renderer.renderToHTML(invoice, outputPath);
+    } else if (this.format === 'xml') {
+      await renderer.renderToXML(invoice, outputPath);
+    } else {
+      await renderer.renderToPDF(invoice, outputPath);
+    }
+
+    return { invoice, outputPath };
+  }
+
+  /**
+   * Generate PDFs for all invoices matching the given filters
+   * @param {object} filters - Invoice list filters
+   * @param {string|null} filters.from - Issue date lower bound (YYYY-MM-DD)
+   * @param {string|null} filters.to - Issue date upper bound (YYYY-MM-DD)
+   * @param {string|null} filters.client - Harvest client ID
+   * @param {string|null} filters.state - Invoice state
+   * @returns {Promise<object[]>} Result per invoice
+   */
+  async generateBatch({ from, to, client, state }) {
+    let invoices;
+    try {
+      logger.info('Starting batch invoice generation');
+      invoices = await harvestInvoices.listInvoices({ clientId: client, from, to, state });
+    } catch (error) {
+      logger.error('Failed to list invoices:', error.message);
+      console.error(`\n❌ Error: ${error.message}`);
+
+      if (error.response?.status === 401) {
+        console.error('Authentication failed. Please check your Harvest credentials in .env file.');
+      }
+
+      process.exitCode = 1;
+      return [];
+    }
+
+    if (invoices.length === 0) {
+      console.log('\nNo invoices matched the given filters.');
+      return [];
+    }
+
+    // Several invoices usually share a client - fetch each one only once
+    const clients = new Map();
+    const fetchClient = clientId => {
+      if (!clients.has(clientId)) {
+        clients.set(clientId, harvestInvoices.getClient(clientId));
+      }
+      return clients.get(clientId);
+    };
+
+    // Fetch and render at most `concurrency` invoices at a time, so the Harvest
+    // requests of a large month stay within the API rate limit
+    const results = new Array(invoices.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < invoices.length) {
+        const index = next++;
+        results[index] = await this.generateBatchInvoice(invoices[index], fetchClient);
+      }
+    };
+    const workers = Math.min(renderer.browserPool.concurrency, invoices.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    this.printBatchSummary(results);
+
+    if (results.some(result => result.error)) {
+      process.exitCode = 1;
     }
+
+    return results;
+  }
+
+  /**
+   * Fetch the client and payments of one invoice of a batch run and render it
+   * @param {object} harvestInvoice - Harvest invoice from the list
+   * @param {Function} fetchClient - Cached Harvest client lookup by ID
+   * @returns {Promise<object>} Result for the summary table
+   */
+  async generateBatchInvoice(harvestInvoice, fetchClient) {
+    const result = {
+      id: harvestInvoice.id,
+      number: harvestInvoice.number,
+      client: harvestInvoice.client?.name || '',
+      total: null,
+      outputPath: null,
+      error: null,
+    };
+
+    try {
+      const [harvestClient, payments] = await Promise.all([
+        fetchClient(harvestInvoice.client.id),
+        harvestInvoices.getInvoicePayments(harvestInvoice),
+      ]);
+      const { invoice, outputPath } = await this.renderDocument(
+        harvestInvoice,
+        harvestClient,
+        'invoice',
+        payments
+      );
+
+      result.total = invoice.formatAmount(invoice.getAmountDue());
+      result.outputPath = outputPath;
+      logger.info(`✅ Generated invoice ${invoice.number}: ${outputPath}`);
+    } catch (error) {
+      result.error = error.message;
+      logger.error(`Failed to generate invoice ${harvestInvoice.number}:`, error.message);
+    }
+
+    return result;
+  }
+
+  /**
+   * Print a summary table of a batch run
+   * @param {object[]} results - Result per invoice from generateBatch
+   */
+  printBatchSummary(results) {
+    const rows = results.map(result => [
+      result.error ? '❌' : '✅',
+      String(result.number),
+      result.client,
+      result.total || '',
+      result.error || result.outputPath,
+    ]);
+    const header = ['', 'Number', 'Client', 'Due', 'Output / Error'];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map(row => row[column].length))
+    );
+    const formatRow = row =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd();
+
+    const failed = results.filter(result => result.error).length;
+
+    console.log('\n📋 Batch summary\n');
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+    console.log(`\n${results.length - failed} succeeded, ${failed} failed`);
   }
 
   /**
@@ -175,11 +529,15 @@ Output:
   generateFilename(invoice, type) {
     const number = invoice.number.replace(/[^a-zA-Z0-9]/g, '');
     const companyName = config.company.name.replace(/[^a-zA-Z0-9]/g, '_');
-    
+
     if (type === 'estimate') {
-      return `Estimate_${number}_${companyName}.pdf`;
+      return `Estimate_${number}_${companyName}.${this.format}`;
+    } else if (type === 'reminder') {
+      return `Reminder${invoice.reminder.level}_${number}_${companyName}.${this.format}`;
+    } else if (type === 'credit-note') {
+      return `CreditNote_${number}_${companyName}.${this.format}`;
     } else {
-      return `Invoice_${number}_${companyName}.pdf`;
+      return `Invoice_${number}_${companyName}.${this.format}`;
     }
   }
 
@@ -221,7 +579,35 @@ Output:
         process.exit(1);
       }
 
-      await this.generateInvoice(parsed.id, parsed.type);
+      this.format = parsed.format;
+      this.language = parsed.lang;
+      this.level = parsed.level || 1;
+      this.originalInvoice = parsed.original;
+
+      if (parsed.concurrency) {
+        renderer.setConcurrency(parsed.concurrency);
+      }
+
+      if (parsed.templateDir) {
+        renderer.setTemplateDir(parsed.templateDir);
+      }
+
+      if (parsed.pdfa) {
+        renderer.setArchive({
+          pdfa: true,
+          attachment: parsed.attach || renderer.archive.attachment,
+        });
+      }
+
+      try {
+        if (parsed.batch) {
+          await this.generateBatch(parsed);
+        } else {
+          await this.generateInvoice(parsed.id, parsed.type);
+        }
+      } finally {
+        await renderer.close();
+      }
     } catch (error) {
       logger.error('CLI error:', error.message);
       console.error(`❌ Error: ${error.message}`);
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const { InvoiceDTO } = require('../domain/dto');
+const { parseStatement } = require('../domain/camt');
+const { reconcile } = require('../domain/reconcile');
+const clientProfiles = require('../config/clients');
+const harvestInvoices = require('../harvest/invoices');
+const qrGenerator = require('../domain/qr');
+const logger = require('../utils/logger');
+
+const STATUS_ICONS = {
+  matched: '✅',
+  partial: '🟡',
+  overpaid: '🟠',
+  unknown: '❓',
+};
+
+/**
+ * CLI for reconciling camt.053/camt.054 bank exports against open Harvest invoices
+ */
+class ReconcileCLI {
+  /**
+   * Parse command line arguments
+   * @param {string[]} args - Command line arguments
+   * @returns {object} Parsed arguments
+   */
+  parseArgs(args) {
+    const parsed = {
+      files: [],
+      record: false,
+      help: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--help' || arg === '-h') {
+        parsed.help = true;
+      } else if (arg === '--record') {
+        parsed.record = true;
+      } else if (arg === '--file') {
+        parsed.files.push(args[++i]);
+      } else if (arg.startsWith('--')) {
+        throw new Error(`Unknown option: ${arg}`);
+      } else {
+        parsed.files.push(arg);
+      }
+    }
+
+    if (!parsed.help && parsed.files.length === 0) {
+      throw new Error('No camt file given. Run with --help for usage.');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Show help information
+   */
+  showHelp() {
+    console.log(`
+Swiss QR Payment Reconciliation
+
+Usage:
+  node src/cli/reconcile.js [--record] <camt.xml> [<camt.xml> ...]
+
+Options:
+  --file <PATH>     camt.053 or camt.054 XML export of the bank (may also be given without --file)
+  --record          Record matched and partial payments in Harvest
+  --help, -h        Show this help message
+
+Credits are matched against open Harvest invoices by QR/SCOR reference first, then by open
+amount and debtor name. Each credit is reported as:
+  matched           Pays the open amount of the invoice
+  partial           Pays less than the open amount
+  overpaid          Pays more than the open amount (never recorded - settle manually)
+  unknown           No matching open invoice
+
+Examples:
+  npm run reconcile -- camt054_2024-03.xml            # Show the reconciliation report
+  npm run reconcile -- --record camt054_2024-03.xml   # Also record the payments in Harvest
+`);
+  }
+
+  /**
+   * Read the credit entries of all camt files
+   * @param {string[]} files - camt file paths
+   * @returns {Promise<object[]>} Credit entries
+   */
+  async readEntries(files) {
+    const entries = [];
+    for (const file of files) {
+      const statement = parseStatement(await fs.readFile(file, 'utf-8'));
+      logger.info(
+        `Read ${statement.entries.length} credit(s) from ${statement.type} ${statement.messageId}`
+      );
+      entries.push(...statement.entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Fetch the open Harvest invoices with the reference printed on their QR-bill
+   *
+   * An invoice whose reference cannot be built gets none, it can still be
+   * matched by amount or invoice number.
+   * @returns {Promise<object[]>} Open invoices, oldest first
+   */
+  async fetchOpenInvoices() {
+    const harvestOpen = await harvestInvoices.listInvoices({ state: 'open' });
+
+    return harvestOpen
+      .map(harvestInvoice => {
+        const profile = clientProfiles.get(harvestInvoice.client?.id);
+        const invoice = new InvoiceDTO({
+          id: harvestInvoice.id,
+          number: harvestInvoice.number,
+          creditor: {},
+          debtor: {},
+          total: harvestInvoice.amount,
+          currency: harvestInvoice.currency,
+          clientId: harvestInvoice.client?.id,
+          customerNumber: profile.customerNumber || null,
+          qrReferenceType: profile.qrReferenceType || null,
+          type: 'invoice',
+        });
+
+        let reference = null;
+        try {
+          reference = qrGenerator.generateReference(invoice);
+        } catch (error) {
+          logger.warn(`No reference for invoice ${harvestInvoice.number}: ${error.message}`);
+        }
+
+        return {
+          id: harvestInvoice.id,
+          number: harvestInvoice.number,
+          issueDate: harvestInvoice.issue_date,
+          clientName: harvestInvoice.client?.name || '',
+          currency: harvestInvoice.currency || profile.currency,
+          openAmount: parseFloat(harvestInvoice.due_amount ?? harvestInvoice.amount) || 0,
+          reference,
+        };
+      })
+      .sort((a, b) => (a.issueDate || '').localeCompare(b.issueDate || ''));
+  }
+
+  /**
+   * Record matched and partial payments in Harvest
+   *
+   * Payments are tagged with the bank's entry reference, so importing the same
+   * file twice does not record a payment twice.
+   * @param {object[]} results - Results from reconcile()
+   */
+  async recordPayments(results) {
+    for (const result of results) {
+      if (!['matched', 'partial'].includes(result.status)) {
+        continue;
+      }
+
+      const { entry, invoice } = result;
+      const notes = entry.bankReference
+        ? `Bank reference ${entry.bankReference}`
+        : `Bank credit from ${entry.debtorName || 'unknown debtor'}`;
+
+      try {
+        if (entry.bankReference) {
+          const existing = await harvestInvoices.listPayments(invoice.id);
+          if (existing.some(payment => payment.notes === notes)) {
+            result.recorded = 'already recorded';
+            continue;
+          }
+        }
+
+        await harvestInvoices.recordPayment(invoice.id, {
+          amount: entry.amount,
+          paidDate: entry.bookingDate || entry.valueDate,
+          notes,
+        });
+        result.recorded = 'recorded';
+      } catch (error) {
+        result.recorded = `not recorded: ${error.message}`;
+        process.exitCode = 1;
+      }
+    }
+  }
+
+  /**
+   * Print the reconciliation report
+   * @param {object[]} results - Results from reconcile()
+   */
+  printReport(results) {
+    const rows = results.map(({ entry, invoice, matchedBy, status, openAmount, recorded }) => [
+      STATUS_ICONS[status],
+      entry.bookingDate || entry.valueDate || '',
+      `${entry.currency} ${entry.amount.toFixed(2)}`,
+      entry.debtorName,
+      invoice ? String(invoice.number) : '',
+      invoice ? `${invoice.currency} ${openAmount.toFixed(2)}` : '',
+      [status, matchedBy && `by ${matchedBy}`, recorded].filter(Boolean).join(', '),
+    ]);
+    const header = ['', 'Date', 'Amount', 'Debtor', 'Invoice', 'Open', 'Status'];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map(row => row[column].length))
+    );
+    const formatRow = row =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd();
+
+    console.log('\n📋 Reconciliation report\n');
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+
+    const counts = Object.keys(STATUS_ICONS).map(
+      status => `${results.filter(result => result.status === status).length} ${status}`
+    );
+    console.log(`\n${counts.join(', ')}`);
+  }
+
+  /**
+   * Main CLI entry point
+   * @param {string[]} args - Command line arguments
+   */
+  async run(args = process.argv.slice(2)) {
+    try {
+      const parsed = this.parseArgs(args);
+
+      if (parsed.help) {
+        this.showHelp();
+        return;
+      }
+
+      const entries = await this.readEntries(parsed.files);
+      if (entries.length === 0) {
+        console.log('\nNo credit entries found.');
+        return;
+      }
+
+      const invoices = await this.fetchOpenInvoices();
+      const results = reconcile(entries, invoices);
+
+      if (parsed.record) {
+        await this.recordPayments(results);
+      }
+
+      this.printReport(results);
+    } catch (error) {
+      logger.error('Reconciliation failed:', error.message);
+      console.error(`❌ Error: ${error.message}`);
+
+      if (error.response?.status === 401) {
+        console.error('Authentication failed. Please check your Harvest credentials in .env file.');
+      }
+
+      process.exit(1);
+    }
+  }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  const cli = new ReconcileCLI();
+  cli.run().catch(error => {
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ReconcileCLI;
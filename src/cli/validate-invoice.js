@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+const config = require('../config/env');
+const harvestInvoices = require('../harvest/invoices');
+const dataMapper = require('../domain/mapping');
+const qrGenerator = require('../domain/qr');
+const { validateQRBill } = require('../domain/validation');
+const logger = require('../utils/logger');
+
+/**
+ * CLI for checking the QR-bill data of a Harvest invoice or estimate without rendering it
+ */
+class ValidateCLI {
+  /**
+   * Parse command line arguments
+   * @param {string[]} args - Command line arguments
+   * @returns {object} Parsed arguments
+   */
+  parseArgs(args) {
+    const parsed = {
+      id: null,
+      type: 'invoice',
+      help: false,
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (arg === '--help' || arg === '-h') {
+        parsed.help = true;
+      } else if (arg === '--id') {
+        parsed.id = args[++i];
+      } else if (arg === '--type') {
+        parsed.type = args[++i];
+      } else {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+    }
+
+    if (!['invoice', 'estimate', 'credit-note'].includes(parsed.type)) {
+      throw new Error('Type must be "invoice", "estimate" or "credit-note"');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Show help information
+   */
+  showHelp() {
+    console.log(`
+Swiss QR-Bill Validation
+
+Usage:
+  node src/cli/validate-invoice.js [--id <ID>] [--type invoice|estimate|credit-note]
+
+Options:
+  --id <ID>         Harvest invoice or estimate ID (default: most recent)
+  --type <TYPE>     Document type: invoice, estimate or credit-note (default: invoice)
+  --help, -h        Show this help message
+
+Checks the QR-bill data against the Swiss Payment Standards (IBAN and reference check
+digits, character set, field lengths, country codes) without rendering the document.
+Exits with code 1 if the QR-bill would be invalid. Credit notes, paid invoices and other
+currencies than CHF and EUR have no QR-bill and are only reported.
+
+Examples:
+  npm run validate -- --id 12345
+  npm run validate -- --type estimate
+`);
+  }
+
+  /**
+   * Fetch and map a Harvest document
+   * @param {string|null} id - Invoice/estimate ID (most recent if not provided)
+   * @param {string} type - Document type (invoice, estimate or credit-note)
+   * @returns {Promise<InvoiceDTO>} Mapped document
+   */
+  async fetchDocument(id, type) {
+    if (type === 'estimate') {
+      const { estimate, client } = id
+        ? await harvestInvoices.getEstimateWithClient(id)
+        : await harvestInvoices.getLatestEstimateWithClient();
+      return dataMapper.mapEstimateFromHarvest(estimate, client);
+    }
+
+    const { invoice, client, payments } = id
+      ? await harvestInvoices.getInvoiceWithClient(id)
+      : await harvestInvoices.getLatestInvoiceWithClient();
+    if (type === 'credit-note') {
+      return dataMapper.mapCreditNoteFromHarvest(invoice, client, { payments });
+    }
+    return dataMapper.mapInvoiceFromHarvest(invoice, client, { payments });
+  }
+
+  /**
+   * Validate the QR-bill data of a mapped document
+   *
+   * Totals that do not add up are reported as warnings as well. Documents printed
+   * without QR-bill (credit notes, paid invoices, currencies other than CHF and
+   * EUR) are not checked, which is a warning only.
+   * @param {InvoiceDTO} invoice - Mapped document
+   * @returns {{errors: object[], warnings: object[]}} Field-level errors and warnings
+   */
+  validateDocument(invoice) {
+    const totalsWarnings = invoice.checkTotals().map(message => ({ field: 'total', message }));
+
+    // Rendered without QR-bill, as in InvoiceRenderer.buildHTML()
+    const omission = qrGenerator.getOmissionReason(invoice);
+    if (omission) {
+      // Bank details are shown instead, which need an IBAN for plain transfers
+      const errors =
+        omission.field === 'currency' && !config.company.bankIban
+          ? [{ field: 'account', message: 'COMPANY_IBAN is a QR-IBAN, set COMPANY_BANK_IBAN' }]
+          : [];
+      return { errors, warnings: [omission, ...totalsWarnings] };
+    }
+
+    let qrBillData;
+    try {
+      qrBillData = qrGenerator.createQRBillData(invoice);
+    } catch (error) {
+      // The reference could not be built, so there is nothing else to check
+      return {
+        errors: [{ field: 'reference', message: error.message }],
+        warnings: totalsWarnings,
+      };
+    }
+
+    const { errors, warnings } = validateQRBill(qrBillData);
+    return { errors, warnings: [...warnings, ...totalsWarnings] };
+  }
+
+  /**
+   * Print the validation result
+   * @param {InvoiceDTO} invoice - Mapped document
+   * @param {{errors: object[], warnings: object[]}} result - Validation result
+   */
+  printReport(invoice, { errors, warnings }) {
+    console.log(`\n🔍 QR-bill of ${invoice.getType()} ${invoice.number}\n`);
+    errors.forEach(({ field, message }) => console.log(`❌ ${field}: ${message}`));
+    warnings.forEach(({ field, message }) => console.log(`⚠️  ${field}: ${message}`));
+
+    if (errors.length === 0) {
+      console.log(`✅ Valid (${warnings.length} warning(s))`);
+    } else {
+      console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+    }
+  }
+
+  /**
+   * Main CLI entry point
+   * @param {string[]} args - Command line arguments
+   */
+  async run(args = process.argv.slice(2)) {
+    try {
+      const parsed = this.parseArgs(args);
+
+      if (parsed.help) {
+        this.showHelp();
+        return;
+      }
+
+      const invoice = await this.fetchDocument(parsed.id, parsed.type);
+      const result = this.validateDocument(invoice);
+      this.printReport(invoice, result);
+
+      if (result.errors.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      logger.error('Validation failed:', error.message);
+      console.error(`❌ Error: ${error.message}`);
+
+      if (error.response?.status === 404) {
+        console.error('Document not found in Harvest.');
+      } else if (error.response?.status === 401) {
+        console.error('Authentication failed. Please check your Harvest credentials in .env file.');
+      }
+
+      process.exit(1);
+    }
+  }
+}
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+  const cli = new ValidateCLI();
+  cli.run().catch(error => {
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ValidateCLI;
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidCurrency } = require('../domain/money');
+const logger = require('../utils/logger');
+
+const PROFILE_FIELDS = [
+  'language',
+  'currency',
+  'qrReferenceType',
+  'customerNumber',
+  'paymentTerms',
+  'email',
+  'template',
+  'address',
+];
+const ADDRESS_FIELDS = ['name', 'street', 'zip', 'city', 'country'];
+
+/**
+ * Per-client overrides loaded from a local JSON file keyed by Harvest client ID
+ *
+ * Example clients.json:
+ * {
+ *   "12345": {
+ *     "language": "fr",
+ *     "currency": "EUR",
+ *     "qrReferenceType": "NON",
+ *     "customerNumber": "4711",
+ *     "paymentTerms": "Payable dans les 10 jours.",
+ *     "email": "comptabilite@client.ch",
+ *     "template": "minimal",
+ *     "address": { "street": "Rue du Rhône 1", "zip": "1204", "city": "Genève" }
+ *   }
+ * }
+ */
+class ClientProfiles {
+  constructor() {
+    this.profiles = null;
+  }
+
+  /**
+   * Path of the profile file (CLIENT_PROFILES_PATH, default ./clients.json)
+   * @returns {string} Absolute file path
+   */
+  get filePath() {
+    return path.resolve(process.env.CLIENT_PROFILES_PATH || 'clients.json');
+  }
+
+  /**
+   * Load and validate the profile file
+   * @param {string} [filePath] - File to load (default: filePath)
+   * @returns {object} Profiles keyed by client ID
+   * @throws {Error} If the file is not valid JSON or contains invalid overrides
+   */
+  load(filePath = this.filePath) {
+    if (!fs.existsSync(filePath)) {
+      logger.debug(`No client profile file at ${filePath}`);
+      this.profiles = {};
+      return this.profiles;
+    }
+
+    let profiles;
+    try {
+      profiles = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid client profile file ${filePath}: ${error.message}`);
+    }
+
+    Object.entries(profiles).forEach(([clientId, profile]) => {
+      this.validate(clientId, profile);
+    });
+
+    logger.debug(`Loaded ${Object.keys(profiles).length} client profile(s) from ${filePath}`);
+    this.profiles = profiles;
+    return this.profiles;
+  }
+
+  /**
+   * Validate a single client profile
+   * @param {string} clientId - Harvest client ID
+   * @param {object} profile - Profile overrides
+   * @throws {Error} If the profile contains unknown or invalid fields
+   */
+  validate(clientId, profile) {
+    const fail = message => {
+      throw new Error(`Client profile ${clientId}: ${message}`);
+    };
+
+    const unknown = Object.keys(profile).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      fail(`unknown field(s) ${unknown.join(', ')}`);
+    }
+
+    if (profile.language && !['de', 'fr', 'it', 'en'].includes(profile.language)) {
+      fail('language must be de, fr, it, or en');
+    }
+
+    if (profile.currency && !isValidCurrency(profile.currency)) {
+      fail('currency must be an ISO 4217 currency code, e.g. CHF, EUR or USD');
+    }
+
+    if (profile.qrReferenceType && !['QRR', 'SCOR', 'NON'].includes(profile.qrReferenceType)) {
+      fail('qrReferenceType must be QRR, SCOR, or NON');
+    }
+
+    if (profile.customerNumber && !/^\d+$/.test(String(profile.customerNumber))) {
+      fail('customerNumber must only contain digits');
+    }
+
+    if (profile.template && !/^[a-z0-9-]+$/.test(profile.template)) {
+      fail('template must only contain lowercase letters, digits and dashes');
+    }
+
+    if (profile.address) {
+      const unknownAddress = Object.keys(profile.address).filter(
+        field => !ADDRESS_FIELDS.includes(field)
+      );
+      if (unknownAddress.length > 0) {
+        fail(`unknown address field(s) ${unknownAddress.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Get the overrides for a client
+   * @param {string|number} clientId - Harvest client ID
+   * @returns {object} Profile overrides (empty if the client has none)
+   */
+  get(clientId) {
+    if (!this.profiles) {
+      this.load();
+    }
+    return this.profiles[String(clientId)] || {};
+  }
+}
+
+module.exports = new ClientProfiles();
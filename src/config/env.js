@@ -1,4 +1,6 @@
 const dotenv = require('dotenv');
+const { isValidCurrency } = require('../domain/money');
+const { isQRIBAN } = require('../domain/validation');
 
 // Load environment variables
 dotenv.config();
@@ -33,9 +35,21 @@ class EnvConfig {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 
-    // Validate currency
-    if (!['CHF', 'EUR'].includes(process.env.COMPANY_CURRENCY)) {
-      throw new Error('COMPANY_CURRENCY must be CHF or EUR');
+    // Validate currency - QR-bills are only issued for CHF and EUR, see render/render.js
+    if (!isValidCurrency(process.env.COMPANY_CURRENCY)) {
+      throw new Error('COMPANY_CURRENCY must be an ISO 4217 currency code, e.g. CHF or EUR');
+    }
+
+    // Validate the BIC of the bank details shown instead of a QR-bill
+    const bic = process.env.COMPANY_BIC;
+    if (bic && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) {
+      throw new Error('COMPANY_BIC must be a BIC with 8 or 11 characters, e.g. UBSWCHZH80A');
+    }
+
+    // A QR-IBAN only accepts payments with a QR reference, not plain transfers
+    const bankIban = process.env.COMPANY_BANK_IBAN;
+    if (bankIban && isQRIBAN(bankIban)) {
+      throw new Error('COMPANY_BANK_IBAN must be an ordinary IBAN, not a QR-IBAN');
     }
 
     // Validate reference type
@@ -43,23 +57,58 @@ class EnvConfig {
       throw new Error('COMPANY_QR_REFERENCE_TYPE must be QRR, SCOR, or NON');
     }
 
-    // Validate QRR reference requirements
-    if (process.env.COMPANY_QR_REFERENCE_TYPE === 'QRR') {
-      if (!process.env.COMPANY_QR_REFERENCE) {
-        throw new Error('COMPANY_QR_REFERENCE is required when using QRR reference type');
-      }
-      if (!/^\d{27}$/.test(process.env.COMPANY_QR_REFERENCE)) {
-        throw new Error('QRR reference must be exactly 27 digits');
-      }
+    // References are generated per invoice since a shared reference cannot be reconciled
+    if (process.env.COMPANY_QR_REFERENCE) {
+      throw new Error(
+        'COMPANY_QR_REFERENCE is no longer supported - references are generated per invoice. ' +
+          'Remove it and set QR_BESR_ID if your bank assigned one.'
+      );
+    }
+
+    // Validate reference segments
+    const { besrId, customerDigits, invoiceDigits, scorSource } = this.references;
+    if (!/^\d{0,8}$/.test(besrId)) {
+      throw new Error('QR_BESR_ID must be up to 8 digits');
+    }
+    if (!(customerDigits >= 0) || !(invoiceDigits >= 1)) {
+      throw new Error('QR_REFERENCE_*_DIGITS must be numbers');
+    }
+    if (besrId.length + customerDigits + 1 + invoiceDigits > 26) {
+      throw new Error('QR_BESR_ID and reference segments must fit into 26 digits');
+    }
+    if (!['id', 'number'].includes(scorSource)) {
+      throw new Error('QR_SCOR_SOURCE must be id or number');
+    }
+    if (scorSource === 'id' && customerDigits + 1 + invoiceDigits > 21) {
+      throw new Error('Reference segments must fit into 21 digits for SCOR references');
     }
 
-    // Validate SCOR reference format
-    if (process.env.COMPANY_QR_REFERENCE_TYPE === 'SCOR' && process.env.COMPANY_QR_REFERENCE) {
-      if (!/^RF\d{2}[A-Za-z0-9]+$/.test(process.env.COMPANY_QR_REFERENCE)) {
-        throw new Error(
-          'SCOR reference must start with RF followed by 2 digits and alphanumeric characters'
-        );
-      }
+    // Validate VAT number (Swiss UID, optionally with the VAT suffix)
+    const vatNumber = process.env.COMPANY_VAT_NUMBER;
+    if (vatNumber && !/^CHE-?\d{3}\.?\d{3}\.?\d{3}( (MWST|TVA|IVA|VAT))?$/.test(vatNumber)) {
+      throw new Error('COMPANY_VAT_NUMBER must be a Swiss UID, e.g. CHE-123.456.789 MWST');
+    }
+
+    // Validate invoice language
+    const language = process.env.INVOICE_LANGUAGE;
+    if (language && !['de', 'fr', 'it', 'en'].includes(language)) {
+      throw new Error('INVOICE_LANGUAGE must be de, fr, it, or en');
+    }
+
+    // Validate the invoice data attached to PDF/A documents
+    const attachment = process.env.RENDER_ATTACHMENT;
+    if (attachment && !['json', 'xml', 'factur-x'].includes(attachment)) {
+      throw new Error('RENDER_ATTACHMENT must be json, xml or factur-x');
+    }
+
+    // Validate rounding
+    if (!['document', 'line'].includes(this.money.taxRounding)) {
+      throw new Error('TAX_ROUNDING must be document or line');
+    }
+
+    // Validate reminder fees
+    if (this.reminders.fees.length !== 3 || this.reminders.fees.some(fee => !(fee >= 0))) {
+      throw new Error('REMINDER_FEES must be three non-negative amounts, e.g. 0,20,30');
     }
   }
 
@@ -80,9 +129,57 @@ class EnvConfig {
       country: process.env.COMPANY_COUNTRY,
       iban: process.env.COMPANY_IBAN,
       qrReferenceType: process.env.COMPANY_QR_REFERENCE_TYPE,
-      qrReference: process.env.COMPANY_QR_REFERENCE || '',
       currency: process.env.COMPANY_CURRENCY,
       email: process.env.COMPANY_EMAIL,
+      vatNumber: process.env.COMPANY_VAT_NUMBER || '',
+      // Bank details for currencies without QR-bill; a QR-IBAN cannot receive plain transfers
+      bankIban:
+        process.env.COMPANY_BANK_IBAN ||
+        (isQRIBAN(process.env.COMPANY_IBAN) ? '' : process.env.COMPANY_IBAN),
+      bic: process.env.COMPANY_BIC || '',
+    };
+  }
+
+  get references() {
+    // Segment layout of generated QRR/SCOR references, see domain/reference.js
+    return {
+      besrId: process.env.QR_BESR_ID || '',
+      customerDigits: parseInt(process.env.QR_REFERENCE_CUSTOMER_DIGITS || '8', 10),
+      invoiceDigits: parseInt(process.env.QR_REFERENCE_INVOICE_DIGITS || '10', 10),
+      // SCOR references from the ID segments or from the alphanumeric invoice number
+      scorSource: process.env.QR_SCOR_SOURCE || 'id',
+    };
+  }
+
+  get render() {
+    return {
+      concurrency: parseInt(process.env.RENDER_CONCURRENCY, 10) || 4,
+      chromePath: process.env.CHROME_PATH || null,
+      // Post-process PDFs to PDF/A-3b, optionally with the invoice data attached
+      pdfa: process.env.RENDER_PDFA === 'true',
+      attachment: process.env.RENDER_ATTACHMENT || null,
+    };
+  }
+
+  get i18n() {
+    return {
+      language: process.env.INVOICE_LANGUAGE || 'de',
+    };
+  }
+
+  get money() {
+    return {
+      // Round VAT once per rate (document) or per line item (line)
+      taxRounding: process.env.TAX_ROUNDING || 'document',
+      // Round CHF amounts due to 0.05, as for cash payments
+      cashRounding: process.env.CHF_CASH_ROUNDING === 'true',
+    };
+  }
+
+  get reminders() {
+    // Fee per reminder level 1, 2 and 3
+    return {
+      fees: (process.env.REMINDER_FEES || '0,0,0').split(',').map(fee => parseFloat(fee)),
     };
   }
 
@@ -0,0 +1,390 @@
+/**
+ * Parsing of free-form postal addresses (e.g. Harvest's client `address` field)
+ */
+
+/**
+ * Country names as they appear on address lines, mapped to ISO 3166-1 alpha-2 codes
+ */
+const COUNTRY_NAMES = {
+  CH: ['schweiz', 'suisse', 'svizzera', 'svizra', 'switzerland', 'helvetia'],
+  LI: ['liechtenstein', 'fürstentum liechtenstein', 'principality of liechtenstein'],
+  DE: ['deutschland', 'germany', 'allemagne', 'germania', 'bundesrepublik deutschland'],
+  AT: ['österreich', 'oesterreich', 'austria', 'autriche'],
+  FR: ['france', 'frankreich', 'francia'],
+  IT: ['italia', 'italy', 'italien', 'italie'],
+  NL: ['netherlands', 'the netherlands', 'nederland', 'niederlande', 'pays-bas'],
+  BE: ['belgium', 'belgien', 'belgique', 'belgië', 'belgio'],
+  ES: ['spain', 'españa', 'spanien', 'espagne', 'spagna'],
+  GB: [
+    'united kingdom',
+    'uk',
+    'u.k.',
+    'great britain',
+    'england',
+    'scotland',
+    'wales',
+    'northern ireland',
+    'grossbritannien',
+    'großbritannien',
+    'vereinigtes königreich',
+    'royaume-uni',
+    'regno unito',
+  ],
+  US: [
+    'usa',
+    'u.s.a.',
+    'us',
+    'u.s.',
+    'united states',
+    'united states of america',
+    'vereinigte staaten',
+    'états-unis',
+    'etats-unis',
+    'stati uniti',
+  ],
+};
+
+/**
+ * Postcode formats per country
+ */
+const POSTCODE_PATTERNS = {
+  CH: /^\d{4}$/,
+  LI: /^94(8[5-9]|9[0-8])$/,
+  DE: /^\d{5}$/,
+  AT: /^\d{4}$/,
+  FR: /^\d{5}$/,
+  IT: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/i,
+  BE: /^\d{4}$/,
+  ES: /^\d{5}$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  US: /^\d{5}(-\d{4})?$/,
+};
+
+/**
+ * Country prefixes used in front of postcodes ("CH-8004 Zürich", "D-10115 Berlin")
+ */
+const POSTCODE_PREFIXES = {
+  CH: 'CH',
+  FL: 'LI',
+  LI: 'LI',
+  D: 'DE',
+  DE: 'DE',
+  A: 'AT',
+  AT: 'AT',
+  F: 'FR',
+  FR: 'FR',
+  I: 'IT',
+  IT: 'IT',
+  NL: 'NL',
+  B: 'BE',
+  BE: 'BE',
+  E: 'ES',
+  ES: 'ES',
+};
+
+/**
+ * Countries where the building number is written before the street name
+ */
+const NUMBER_FIRST_COUNTRIES = ['FR', 'GB', 'US'];
+
+const PO_BOX_PATTERN =
+  /^(postfach|case postale|casella postale|po box|p\.o\. box|bp|boîte postale)\b/i;
+const UK_POSTCODE = '[A-Z]{1,2}\\d[A-Z\\d]?\\s*\\d[A-Z]{2}';
+const US_ZIP = '\\d{5}(?:-\\d{4})?';
+// "12", "12a", "12 b", "12-14", "12/A"
+const BUILDING_NUMBER = '\\d+\\s?[a-zA-Z]?(?:[-/](?:\\d+[a-zA-Z]?|[a-zA-Z]))?';
+
+/**
+ * Detect a country from a line that contains only a country name or code
+ * @param {string} line - Address line
+ * @returns {string|null} ISO country code or null
+ */
+function detectCountry(line) {
+  const normalized = line.trim().toLowerCase();
+
+  if (/^[a-z]{2}$/.test(normalized) && COUNTRY_NAMES[normalized.toUpperCase()]) {
+    return normalized.toUpperCase();
+  }
+
+  const match = Object.entries(COUNTRY_NAMES).find(([, names]) => names.includes(normalized));
+  return match ? match[0] : null;
+}
+
+/**
+ * Guess the country from the postcode alone
+ * @param {string} zip - Postcode
+ * @returns {string|null} ISO country code or null
+ */
+function guessCountryFromPostcode(zip) {
+  if (POSTCODE_PATTERNS.LI.test(zip)) {
+    return 'LI';
+  }
+  if (/^\d{4}$/.test(zip)) {
+    return 'CH';
+  }
+  if (/^\d{5}$/.test(zip)) {
+    return 'DE';
+  }
+  if (POSTCODE_PATTERNS.NL.test(zip)) {
+    return 'NL';
+  }
+  return null;
+}
+
+/**
+ * Parse a postcode/city line
+ * @param {string} line - Address line
+ * @returns {{zip: string, city: string, country: string|null, countryCertain: boolean}|null}
+ *   Parsed parts, or null if the line holds no postcode
+ */
+function parsePostcodeLine(line) {
+  // "CH-8004 Zürich", "D-10115 Berlin"
+  let match = line.match(/^([A-Z]{1,2})-\s?(\d{4,5})\s+(.+)$/);
+  if (match && POSTCODE_PREFIXES[match[1]]) {
+    return {
+      zip: match[2],
+      city: match[3].trim(),
+      country: POSTCODE_PREFIXES[match[1]],
+      countryCertain: true,
+    };
+  }
+
+  // "Springfield, IL 62701"
+  match = line.match(new RegExp(`^(.+?),?\\s+([A-Z]{2})\\s+(${US_ZIP})$`));
+  if (match) {
+    return { zip: match[3], city: `${match[1]}, ${match[2]}`, country: 'US', countryCertain: true };
+  }
+
+  // "London SW1A 1AA"
+  match = line.match(new RegExp(`^(.+?),?\\s+(${UK_POSTCODE})$`, 'i'));
+  if (match && /[A-Z]/i.test(match[1])) {
+    return {
+      zip: match[2].toUpperCase(),
+      city: match[1].trim(),
+      country: 'GB',
+      countryCertain: true,
+    };
+  }
+
+  // "1012 AB Amsterdam"
+  match = line.match(/^(\d{4}\s?[A-Z]{2})\s+(.+)$/);
+  if (match) {
+    return { zip: match[1], city: match[2].trim(), country: 'NL', countryCertain: true };
+  }
+
+  // "8004 Zürich", "10115 Berlin"
+  match = line.match(/^(\d{4,5})\s+(.+)$/);
+  if (match) {
+    return {
+      zip: match[1],
+      city: match[2].trim(),
+      country: guessCountryFromPostcode(match[1]),
+      countryCertain: POSTCODE_PATTERNS.LI.test(match[1]),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Split a street line into street name and building number
+ * @param {string} line - Street line (e.g. "Bahnhofstrasse 12a" or "10 Downing Street")
+ * @param {string|null} country - ISO country code, decides which order is tried first
+ * @returns {{street: string, buildingNumber: string}} Street parts
+ */
+function splitBuildingNumber(line, country) {
+  const numberLast = () => {
+    const match = line.match(new RegExp(`^(.*\\D)\\s+(${BUILDING_NUMBER})$`));
+    return match ? { street: match[1].replace(/,$/, '').trim(), buildingNumber: match[2] } : null;
+  };
+  const numberFirst = () => {
+    const match = line.match(new RegExp(`^(${BUILDING_NUMBER}),?\\s+(\\D.*)$`));
+    return match ? { street: match[2].trim(), buildingNumber: match[1] } : null;
+  };
+
+  const attempts = NUMBER_FIRST_COUNTRIES.includes(country)
+    ? [numberFirst, numberLast]
+    : [numberLast, numberFirst];
+
+  for (const attempt of attempts) {
+    const result = attempt();
+    if (result) {
+      return result;
+    }
+  }
+
+  return { street: line.trim(), buildingNumber: '' };
+}
+
+/**
+ * Split a free-form address into trimmed, non-empty lines
+ *
+ * Single-line addresses are split on commas ("Bahnhofstrasse 1, 8001 Zürich"),
+ * keeping US "State ZIP" parts attached to their city.
+ * @param {string} address - Free-form address
+ * @returns {string[]} Address lines
+ */
+function splitLines(address) {
+  const lines = address
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (lines.length !== 1 || !lines[0].includes(',')) {
+    return lines;
+  }
+
+  return lines[0]
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reduce((parts, part) => {
+      if (new RegExp(`^[A-Z]{2}\\s+${US_ZIP}$`).test(part) && parts.length > 0) {
+        parts[parts.length - 1] = `${parts[parts.length - 1]}, ${part}`;
+      } else {
+        parts.push(part);
+      }
+      return parts;
+    }, []);
+}
+
+/**
+ * Parse a free-form postal address
+ * @param {string} address - Free-form address, one part per line
+ * @param {object} hints - Known structured values that take precedence
+ * @param {string} [hints.postalCode] - Known postcode
+ * @param {string} [hints.city] - Known city
+ * @param {string} [hints.country] - Known ISO country code
+ * @param {string} [hints.homeCountry] - Country of the creditor, a postcode guess of it is trusted
+ * @returns {{
+ *   street: string,
+ *   buildingNumber: string,
+ *   addressLines: string[],
+ *   zip: string,
+ *   city: string,
+ *   country: string,
+ *   confidence: 'high'|'medium'|'low',
+ *   warnings: string[]
+ * }} Structured address
+ */
+function parseAddress(address, { postalCode, city, country, homeCountry } = {}) {
+  const lines = splitLines(address || '');
+  const warnings = [];
+  const result = {
+    street: '',
+    buildingNumber: '',
+    addressLines: [],
+    zip: postalCode || '',
+    city: city || '',
+    country: country ? country.toUpperCase() : '',
+  };
+  let countryCertain = Boolean(country);
+
+  // Trailing country line ("Deutschland", "United Kingdom", "LI")
+  if (lines.length > 1) {
+    const detected = detectCountry(lines[lines.length - 1]);
+    if (detected) {
+      lines.pop();
+      if (result.country && result.country !== detected) {
+        warnings.push(`Country line "${detected}" contradicts country ${result.country}`);
+      } else {
+        result.country = detected;
+        countryCertain = true;
+      }
+    }
+  }
+
+  // Postcode/city line - usually the last one, a UK postcode may stand on its own line
+  if (!result.zip || !result.city) {
+    for (let index = lines.length - 1; index >= Math.max(0, lines.length - 2); index--) {
+      let parsed = parsePostcodeLine(lines[index]);
+      let consumed = [index];
+
+      if (!parsed && new RegExp(`^${UK_POSTCODE}$`, 'i').test(lines[index]) && index > 0) {
+        parsed = {
+          zip: lines[index].toUpperCase(),
+          city: lines[index - 1],
+          country: 'GB',
+          countryCertain: true,
+        };
+        consumed = [index - 1, index];
+      }
+
+      if (parsed) {
+        result.zip = result.zip || parsed.zip;
+        result.city = result.city || parsed.city;
+        if (!result.country && parsed.country) {
+          result.country = parsed.country;
+          countryCertain = parsed.countryCertain || parsed.country === homeCountry;
+        }
+        lines.splice(consumed[0], consumed.length);
+        break;
+      }
+    }
+  }
+
+  if (result.zip && result.country && POSTCODE_PATTERNS[result.country]) {
+    if (!POSTCODE_PATTERNS[result.country].test(result.zip)) {
+      warnings.push(`Postcode "${result.zip}" is not a valid ${result.country} postcode`);
+    }
+  }
+
+  // Street: the last remaining line that is not a post box, the rest are extra lines
+  const streetIndex = lines.map(line => PO_BOX_PATTERN.test(line)).lastIndexOf(false);
+  const index = streetIndex >= 0 ? streetIndex : lines.length - 1;
+  if (index >= 0) {
+    Object.assign(result, splitBuildingNumber(lines[index], result.country));
+    result.addressLines = lines.filter((_line, lineIndex) => lineIndex !== index);
+  }
+
+  if (!result.country) {
+    result.country = 'CH';
+    warnings.push('Country could not be determined, assuming CH');
+  } else if (!countryCertain) {
+    warnings.push(`Country guessed as ${result.country} from the postcode`);
+  }
+
+  let confidence = 'high';
+  if (!result.zip || !result.city || !result.street) {
+    confidence = 'low';
+  } else if (!countryCertain || warnings.length > 0) {
+    confidence = 'medium';
+  }
+
+  return { ...result, confidence, warnings };
+}
+
+/**
+ * Check whether an address is complete enough for the QR-bill debtor block
+ * @param {AddressDTO} address - Debtor address
+ * @returns {string[]} Warnings, empty if complete
+ */
+function checkDebtorAddress(address) {
+  const warnings = [];
+
+  if (!address.name) {
+    warnings.push('debtor name is missing');
+  }
+  if (!address.zip) {
+    warnings.push('debtor postcode is missing');
+  }
+  if (!address.city) {
+    warnings.push('debtor city is missing');
+  }
+  if (!/^[A-Z]{2}$/.test(address.country || '')) {
+    warnings.push(`debtor country "${address.country || ''}" is not an ISO country code`);
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  COUNTRY_NAMES,
+  POSTCODE_PATTERNS,
+  detectCountry,
+  parsePostcodeLine,
+  splitBuildingNumber,
+  parseAddress,
+  checkDebtorAddress,
+};
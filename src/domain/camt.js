@@ -0,0 +1,143 @@
+/**
+ * Parsing of ISO 20022 bank statements (camt.053) and debit/credit notifications (camt.054)
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Elements that may repeat and must always be parsed as arrays
+ */
+const ARRAY_ELEMENTS = ['Stmt', 'Ntfctn', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  // Keep every value as string - references have significant leading zeros
+  parseTagValue: false,
+  isArray: name => ARRAY_ELEMENTS.includes(name),
+});
+
+/**
+ * Read an amount element (<Amt Ccy="CHF">100.00</Amt>)
+ * @param {object|undefined} element - Parsed amount element
+ * @returns {{amount: number, currency: string}|null} Amount and currency
+ */
+function readAmount(element) {
+  if (!element) {
+    return null;
+  }
+  return {
+    amount: parseFloat(element['#text']) || 0,
+    currency: element['@_Ccy'] || '',
+  };
+}
+
+/**
+ * Read a date element, which holds either <Dt> or <DtTm>
+ * @param {object|undefined} element - Parsed date element
+ * @returns {string|null} Date as YYYY-MM-DD
+ */
+function readDate(element) {
+  const value = element?.Dt || element?.DtTm;
+  return value ? value.slice(0, 10) : null;
+}
+
+/**
+ * Read a party name, which moved below <Pty> in the 2019 message versions
+ * @param {object|undefined} party - Parsed party element (e.g. <Dbtr>)
+ * @returns {string} Party name
+ */
+function readPartyName(party) {
+  return party?.Pty?.Nm || party?.Nm || '';
+}
+
+/**
+ * Normalize a payment reference for comparison
+ * @param {string} reference - QRR or SCOR reference, possibly formatted with spaces
+ * @returns {string} Reference without whitespace, in upper case
+ */
+function normalizeReference(reference) {
+  return (reference || '').replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Build a credit entry from an entry and one of its transaction details
+ * @param {object} ntry - Parsed <Ntry> element
+ * @param {object|undefined} tx - Parsed <TxDtls> element (missing for unbooked details)
+ * @param {boolean} single - Whether the transaction is the only one of the entry
+ * @returns {object} Credit entry
+ */
+function buildEntry(ntry, tx, single) {
+  // Batch bookings carry the individual amounts in the transaction details
+  const entryAmount = readAmount(ntry.Amt);
+  const txAmount = readAmount(tx?.AmtDtls?.TxAmt?.Amt || tx?.Amt);
+  const { amount, currency } = txAmount || (single ? entryAmount : { amount: 0, currency: '' });
+
+  return {
+    amount,
+    currency: currency || entryAmount?.currency || '',
+    bookingDate: readDate(ntry.BookgDt),
+    valueDate: readDate(ntry.ValDt),
+    reference: normalizeReference(tx?.RmtInf?.Strd?.CdtrRefInf?.Ref),
+    message: (tx?.RmtInf?.Ustrd || []).join(' '),
+    debtorName: readPartyName(tx?.RltdPties?.Dbtr),
+    debtorIban: tx?.RltdPties?.DbtrAcct?.Id?.IBAN || '',
+    bankReference: tx?.Refs?.AcctSvcrRef || ntry.AcctSvcrRef || '',
+  };
+}
+
+/**
+ * Parse a camt.053 or camt.054 document into its credit entries
+ *
+ * Debit entries and reversals are skipped. Batch bookings are split into one
+ * entry per transaction.
+ * @param {string} xml - camt XML document
+ * @returns {{type: string, messageId: string, entries: object[]}} Message type, ID and credits
+ * @throws {Error} If the document is not a camt.053 or camt.054 message
+ */
+function parseStatement(xml) {
+  const document = parser.parse(xml).Document || {};
+
+  let type;
+  let message;
+  let reports;
+  if (document.BkToCstmrStmt) {
+    type = 'camt.053';
+    message = document.BkToCstmrStmt;
+    reports = message.Stmt || [];
+  } else if (document.BkToCstmrDbtCdtNtfctn) {
+    type = 'camt.054';
+    message = document.BkToCstmrDbtCdtNtfctn;
+    reports = message.Ntfctn || [];
+  } else {
+    throw new Error('Not a camt.053 or camt.054 document');
+  }
+
+  const entries = [];
+  reports.forEach(report => {
+    (report.Ntry || [])
+      .filter(ntry => ntry.CdtDbtInd === 'CRDT' && ntry.RvslInd !== 'true')
+      .forEach(ntry => {
+        const transactions = (ntry.NtryDtls || []).flatMap(details => details.TxDtls || []);
+        if (transactions.length === 0) {
+          entries.push(buildEntry(ntry, undefined, true));
+          return;
+        }
+        transactions.forEach(tx => {
+          entries.push(buildEntry(ntry, tx, transactions.length === 1));
+        });
+      });
+  });
+
+  return {
+    type,
+    messageId: message.GrpHdr?.MsgId || '',
+    entries,
+  };
+}
+
+module.exports = {
+  normalizeReference,
+  parseStatement,
+};
@@ -0,0 +1,107 @@
+/**
+ * Character set of QR-bill text fields
+ *
+ * Basic Latin plus the accented letters of the Swiss Payment Standards character
+ * table, which every bank and payment software accepts. Other characters are
+ * transliterated to their closest match (Ł → L, œ → oe) or removed.
+ */
+
+/**
+ * Characters allowed besides Basic Latin (U+0020-U+007E)
+ */
+const EXTRA_CHARACTERS = '£´ÀÁÂÄÇÈÉÊËÌÍÎÏÑÒÓÔÖÙÚÛÜßàáâäçèéêëìíîïñòóôöùúûüýÿŽž';
+
+const ALLOWED_CHARACTERS = new RegExp(`^[\\u0020-\\u007E${EXTRA_CHARACTERS}]*$`);
+
+/**
+ * Replacements for characters that do not decompose into an allowed base letter
+ */
+const TRANSLITERATIONS = {
+  Æ: 'AE',
+  æ: 'ae',
+  Œ: 'OE',
+  œ: 'oe',
+  Ø: 'O',
+  ø: 'o',
+  Ł: 'L',
+  ł: 'l',
+  Đ: 'D',
+  đ: 'd',
+  Ð: 'D',
+  ð: 'd',
+  Þ: 'Th',
+  þ: 'th',
+  ı: 'i',
+  ẞ: 'SS',
+  '€': 'EUR',
+  '\u00A0': ' ',
+  '‘': "'",
+  '’': "'",
+  '‚': "'",
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '«': '"',
+  '»': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+};
+
+/**
+ * Check whether a text only uses characters allowed on a QR-bill
+ * @param {string} text - Field value
+ * @returns {boolean} True if every character is allowed
+ */
+function isAllowed(text) {
+  return ALLOWED_CHARACTERS.test(text || '');
+}
+
+/**
+ * Find the characters of a text that are not allowed on a QR-bill
+ * @param {string} text - Field value
+ * @returns {string[]} Distinct invalid characters
+ */
+function findInvalidCharacters(text) {
+  if (isAllowed(text)) {
+    return [];
+  }
+  return [...new Set([...text].filter(char => !isAllowed(char)))];
+}
+
+/**
+ * Transliterate a single character that is not allowed
+ * @param {string} char - Character
+ * @returns {string} Allowed replacement, empty if there is none
+ */
+function transliterate(char) {
+  if (TRANSLITERATIONS[char] !== undefined) {
+    return TRANSLITERATIONS[char];
+  }
+  // Drop accents the character set does not know (ã → a, Š → S)
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return isAllowed(base) ? base : '';
+}
+
+/**
+ * Encode a text for a QR-bill field
+ *
+ * Allowed characters are kept as they are (é stays é), line breaks become spaces
+ * and everything else is transliterated or removed.
+ * @param {string} text - Field value
+ * @returns {{text: string, altered: boolean}} Encoded text and whether it differs
+ */
+function encodeText(text) {
+  const singleLine = (text || '').replace(/\r?\n/g, ' ');
+  const encoded = [...singleLine]
+    .map(char => (isAllowed(char) ? char : transliterate(char)))
+    .join('');
+  return { text: encoded, altered: encoded !== singleLine };
+}
+
+module.exports = {
+  EXTRA_CHARACTERS,
+  isAllowed,
+  findInvalidCharacters,
+  encodeText,
+};
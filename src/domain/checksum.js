@@ -0,0 +1,58 @@
+/**
+ * Check digit algorithms used by Swiss payment references and IBANs
+ */
+
+/**
+ * Convert an alphanumeric string to digits, with A = 10 ... Z = 35 (ISO 7064)
+ * @param {string} value - Digits and upper-case letters
+ * @returns {string} Digit string
+ */
+function lettersToDigits(value) {
+  return value.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+}
+
+/**
+ * Calculate the ISO 7064 MOD 97-10 remainder of an alphanumeric string
+ * @param {string} value - Digits and upper-case letters
+ * @returns {number} Remainder (0-96)
+ */
+function mod97(value) {
+  let remainder = 0;
+  for (const digit of lettersToDigits(value)) {
+    remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Calculate the recursive modulo 10 check digit of a QRR reference
+ * @param {string} digits - Reference digits without the check digit
+ * @returns {string} Check digit
+ */
+function mod10CheckDigit(digits) {
+  const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+  let carry = 0;
+
+  for (const digit of digits) {
+    carry = table[(carry + parseInt(digit, 10)) % 10];
+  }
+
+  return ((10 - carry) % 10).toString();
+}
+
+/**
+ * Calculate the ISO 11649 check digits of a creditor reference
+ * @param {string} body - Reference body without "RF" and check digits (A-Z, 0-9)
+ * @returns {string} Two check digits
+ */
+function rf97CheckDigits(body) {
+  // Move "RF00" to the end before taking the remainder
+  return (98 - mod97(`${body.toUpperCase()}RF00`)).toString().padStart(2, '0');
+}
+
+module.exports = {
+  lettersToDigits,
+  mod97,
+  mod10CheckDigit,
+  rf97CheckDigits,
+};
@@ -2,24 +2,49 @@
  * Data Transfer Objects for invoice processing
  */
 
+const { Money } = require('./money');
+
 /**
  * Address information
  */
 class AddressDTO {
-  constructor({ name, street, zip, city, country }) {
+  constructor({ name, street, buildingNumber = '', addressLines = [], zip, city, country }) {
     this.name = name;
     this.street = street;
+    this.buildingNumber = buildingNumber || '';
+    this.addressLines = addressLines || []; // Extra lines such as "c/o" or post box
     this.zip = zip;
     this.city = city;
     this.country = country;
   }
 
+  /**
+   * Get street and building number as written in the address's country
+   * @returns {string} Street line
+   */
+  getStreetLine() {
+    if (!this.buildingNumber) {
+      return this.street || '';
+    }
+    return ['FR', 'GB', 'US'].includes(this.country)
+      ? `${this.buildingNumber} ${this.street}`
+      : `${this.street} ${this.buildingNumber}`;
+  }
+
   /**
    * Format address for display
    * @returns {string} Formatted address
    */
   format() {
-    return `${this.name}\n${this.street}\n${this.zip} ${this.city}\n${this.country}`;
+    return [
+      this.name,
+      ...this.addressLines,
+      this.getStreetLine(),
+      `${this.zip} ${this.city}`,
+      this.country,
+    ]
+      .filter(Boolean)
+      .join('\n');
   }
 
   /**
@@ -27,44 +52,46 @@ class AddressDTO {
    * @returns {string} Single line address
    */
   formatSingleLine() {
-    return `${this.name}, ${this.street}, ${this.zip} ${this.city}, ${this.country}`;
+    return `${this.name}, ${this.getStreetLine()}, ${this.zip} ${this.city}, ${this.country}`;
   }
 }
 
 /**
  * Line item on an invoice
+ *
+ * Without a total, the total is the unit price times the quantity, rounded
+ * once to the minor unit of the currency.
  */
 class LineItemDTO {
-  constructor({ description, quantity, unitPrice, taxRate = 0, total }) {
+  constructor({
+    description,
+    quantity,
+    unitPrice,
+    taxRate = 0,
+    taxed = false,
+    taxed2 = false,
+    total,
+    currency,
+  }) {
     this.description = description;
     this.quantity = parseFloat(quantity) || 0;
     this.unitPrice = parseFloat(unitPrice) || 0;
-    this.taxRate = parseFloat(taxRate) || 0;
-    this.total = parseFloat(total) || this.quantity * this.unitPrice;
-  }
-
-  /**
-   * Calculate line total before tax
-   * @returns {number} Line total
-   */
-  getSubtotal() {
-    return this.quantity * this.unitPrice;
-  }
-
-  /**
-   * Calculate tax amount
-   * @returns {number} Tax amount
-   */
-  getTaxAmount() {
-    return this.getSubtotal() * (this.taxRate / 100);
+    this.taxRate = parseFloat(taxRate) || 0; // Combined rate of all taxes on the item
+    this.taxed = Boolean(taxed); // Harvest: first invoice tax applies
+    this.taxed2 = Boolean(taxed2); // Harvest: second invoice tax applies
+    this.total =
+      parseFloat(total) || Money.of(this.unitPrice, currency).multiply(this.quantity).toNumber();
   }
+}
 
-  /**
-   * Calculate total including tax
-   * @returns {number} Total with tax
-   */
-  getTotalWithTax() {
-    return this.getSubtotal() + this.getTaxAmount();
+/**
+ * Payment recorded against an invoice
+ */
+class PaymentDTO {
+  constructor({ amount, paidDate, notes }) {
+    this.amount = parseFloat(amount) || 0;
+    this.paidDate = paidDate;
+    this.notes = notes || '';
   }
 }
 
@@ -73,6 +100,7 @@ class LineItemDTO {
  */
 class InvoiceDTO {
   constructor({
+    id = null,
     number,
     issueDate,
     dueDate,
@@ -80,31 +108,240 @@ class InvoiceDTO {
     debtor,
     items = [],
     subtotal,
+    discountRate = null,
+    discountAmount = 0,
     taxTotal,
+    taxRate = null,
+    taxAmount = null,
+    tax2Rate = null,
+    tax2Amount = 0,
     total,
     currency,
     notes,
+    customerReference = '',
+    language = 'de',
+    clientId = null,
+    customerNumber = null,
+    qrReferenceType = null,
+    paymentTerms = '',
+    recipientEmail = '',
+    template = null,
+    type = null,
+    reminder = null,
+    originalInvoiceNumber = null,
+    dueAmount = null,
+    payments = [],
+    taxRounding = 'document',
+    cashRounding = false,
   }) {
+    this.id = id; // Harvest invoice or estimate ID
     this.number = number;
     this.issueDate = issueDate;
     this.dueDate = dueDate;
     this.creditor = creditor instanceof AddressDTO ? creditor : new AddressDTO(creditor);
     this.debtor = debtor instanceof AddressDTO ? debtor : new AddressDTO(debtor);
-    this.items = items.map(item => (item instanceof LineItemDTO ? item : new LineItemDTO(item)));
-    this.subtotal = parseFloat(subtotal) || 0;
-    this.taxTotal = parseFloat(taxTotal) || 0;
+    this.items = items.map(item =>
+      item instanceof LineItemDTO ? item : new LineItemDTO({ currency, ...item })
+    );
+    this.subtotal = parseFloat(subtotal) || 0; // Sum of the line items, before the discount
+    this.discountRate = discountRate === null ? null : parseFloat(discountRate) || 0; // Percent
+    this.discountAmount = parseFloat(discountAmount) || 0;
+    this.taxTotal = parseFloat(taxTotal) || 0; // Both taxes
+    this.taxRate = taxRate === null ? null : parseFloat(taxRate) || 0; // Harvest `tax` (%)
+    this.tax2Rate = tax2Rate === null ? null : parseFloat(tax2Rate) || 0; // Harvest `tax2` (%)
+    this.tax2Amount = parseFloat(tax2Amount) || 0;
+    this.taxAmount =
+      taxAmount === null ? this.taxTotal - this.tax2Amount : parseFloat(taxAmount) || 0;
     this.total = parseFloat(total) || 0;
     this.currency = currency;
     this.notes = notes || '';
+    this.customerReference = customerReference || ''; // Client's purchase order or reference
+    this.language = language;
+    this.clientId = clientId;
+    this.customerNumber = customerNumber; // Customer segment of the QR reference, default clientId
+    this.qrReferenceType = qrReferenceType; // Overrides COMPANY_QR_REFERENCE_TYPE when set
+    this.paymentTerms = paymentTerms || '';
+    this.recipientEmail = recipientEmail || '';
+    this.template = template; // Template variant, null for the default template
+    this.type = type; // invoice, estimate, reminder or credit-note, see getType()
+    this.reminder = reminder; // { level, date, daysOverdue, fee } for payment reminders
+    this.originalInvoiceNumber = originalInvoiceNumber; // Invoice a credit note refers to
+    this.dueAmount = dueAmount === null ? null : parseFloat(dueAmount) || 0; // Open balance
+    this.payments = payments.map(payment =>
+      payment instanceof PaymentDTO ? payment : new PaymentDTO(payment)
+    );
+    this.taxRounding = taxRounding; // Round VAT per line item ('line') or per rate ('document')
+    this.cashRounding = Boolean(cashRounding); // Round CHF amounts due to 0.05
+  }
+
+  /**
+   * Convert an amount of the invoice to Money
+   * @param {number} amount - Amount in the invoice currency
+   * @returns {Money} Amount rounded to the currency's minor unit
+   */
+  toMoney(amount) {
+    return Money.of(amount, this.currency || 'CHF');
+  }
+
+  /**
+   * Sum Money amounts of the invoice
+   * @param {Money[]} amounts - Amounts in the invoice currency
+   * @returns {Money} Sum, zero if there are no amounts
+   */
+  sumMoney(amounts) {
+    return Money.sum(amounts, this.currency || 'CHF');
   }
 
   /**
-   * Calculate totals from line items
+   * Calculate totals from line items, each line total rounded to the minor unit
    */
   calculateTotals() {
-    this.subtotal = this.items.reduce((sum, item) => sum + item.getSubtotal(), 0);
-    this.taxTotal = this.items.reduce((sum, item) => sum + item.getTaxAmount(), 0);
-    this.total = this.subtotal + this.taxTotal;
+    const subtotal = this.sumMoney(this.items.map(item => this.toMoney(item.total)));
+    const taxTotal = this.sumMoney(this.getVatRates().map(({ tax }) => this.toMoney(tax)));
+
+    this.subtotal = subtotal.toNumber();
+    this.taxTotal = taxTotal.toNumber();
+    this.total = subtotal.subtract(this.toMoney(this.discountAmount)).add(taxTotal).toNumber();
+  }
+
+  /**
+   * Get the share of the line item amounts left after the discount
+   * @returns {number} Factor between 0 and 1 (1 without discount)
+   */
+  getDiscountFactor() {
+    if (this.discountRate !== null) {
+      return 1 - this.discountRate / 100;
+    }
+    return this.subtotal > 0 ? 1 - this.discountAmount / this.subtotal : 1;
+  }
+
+  /**
+   * Get the taxes shown in the totals, one per Harvest tax
+   * @returns {Array<{rate: number|null, amount: number}>} Taxes with an amount
+   */
+  getTaxes() {
+    return [
+      { rate: this.taxRate, amount: this.taxAmount },
+      { rate: this.tax2Rate, amount: this.tax2Amount },
+    ].filter(tax => tax.amount !== 0);
+  }
+
+  /**
+   * Recompute discount, taxes and total and compare them with the stored amounts
+   * @returns {string[]} Differences, empty if the totals are consistent
+   */
+  checkTotals() {
+    const problems = [];
+    const differs = (a, b) => Math.abs(this.toMoney(a).minor - this.toMoney(b).minor) > 1;
+    const format = amount => this.toMoney(amount).toString();
+
+    if (this.items.length > 0) {
+      const itemsTotal = this.sumMoney(this.items.map(item => this.toMoney(item.total))).toNumber();
+      if (differs(itemsTotal, this.subtotal)) {
+        problems.push(`line items add up to ${format(itemsTotal)}, not ${format(this.subtotal)}`);
+      }
+
+      const tax = this.sumMoney(
+        this.getVatRates().map(({ tax: rateTax }) => this.toMoney(rateTax))
+      ).toNumber();
+      if (differs(tax, this.taxTotal)) {
+        problems.push(`taxes are ${format(tax)} on the line items, not ${format(this.taxTotal)}`);
+      }
+    }
+
+    if (this.discountRate !== null) {
+      const discount = this.toMoney(this.subtotal).percent(this.discountRate).toNumber();
+      if (differs(discount, this.discountAmount)) {
+        problems.push(
+          `discount of ${this.discountRate}% is ${format(discount)}, ` +
+            `not ${format(this.discountAmount)}`
+        );
+      }
+    }
+
+    const total = this.subtotal - this.discountAmount + this.taxTotal;
+    if (differs(total, this.total)) {
+      problems.push(
+        `subtotal - discount + taxes is ${format(total)}, not the total ${format(this.total)}`
+      );
+    }
+
+    return problems;
+  }
+
+  /**
+   * Get the VAT rates that apply to a line item
+   *
+   * Uses the Harvest invoice taxes and the item's taxed/taxed2 flags when known,
+   * otherwise the item's own tax rate.
+   * @param {LineItemDTO} item - Line item
+   * @returns {number[]} VAT rates, empty if the item is exempt
+   */
+  getItemVatRates(item) {
+    if (this.taxRate === null && this.tax2Rate === null) {
+      return item.taxRate > 0 ? [item.taxRate] : [];
+    }
+    return [item.taxed && this.taxRate, item.taxed2 && this.tax2Rate].filter(rate => rate > 0);
+  }
+
+  /**
+   * Get the net amount of each line item after its share of the discount
+   *
+   * The discount is allocated in proportion to the line totals, so the nets
+   * add up to subtotal - discount without a Rappen lost.
+   * @returns {Money[]} Net amount per line item
+   */
+  getItemNets() {
+    const totals = this.items.map(item => this.toMoney(item.total));
+    const discount = this.toMoney(this.discountAmount);
+    if (discount.isZero() || totals.length === 0) {
+      return totals;
+    }
+    if (totals.some(total => total.isNegative()) || totals.every(total => total.isZero())) {
+      const factor = this.getDiscountFactor();
+      return totals.map(total => total.multiply(factor));
+    }
+
+    const shares = discount.allocate(totals.map(total => total.minor));
+    return totals.map((total, index) => total.subtract(shares[index]));
+  }
+
+  /**
+   * Get the net amount (after the discount) and tax per VAT rate of the line items
+   *
+   * The tax is rounded once per rate, or per line item if taxRounding is 'line'.
+   * @returns {Array<{rate: number, net: number, tax: number}>} VAT summary, highest rate first
+   */
+  getVatRates() {
+    const nets = this.getItemNets();
+    const rates = new Map();
+    this.items.forEach((item, index) => {
+      this.getItemVatRates(item).forEach(rate => {
+        const entry = rates.get(rate) || { nets: [], taxes: [] };
+        entry.nets.push(nets[index]);
+        entry.taxes.push(nets[index].percent(rate));
+        rates.set(rate, entry);
+      });
+    });
+
+    return [...rates.entries()]
+      .map(([rate, entry]) => {
+        const net = this.sumMoney(entry.nets);
+        const tax = this.taxRounding === 'line' ? this.sumMoney(entry.taxes) : net.percent(rate);
+        return { rate, net: net.toNumber(), tax: tax.toNumber() };
+      })
+      .sort((a, b) => b.rate - a.rate);
+  }
+
+  /**
+   * Get the net amount of the line items no VAT applies to, after the discount
+   * @returns {number} Exempt amount
+   */
+  getExemptAmount() {
+    const nets = this.getItemNets();
+    return this.sumMoney(
+      nets.filter((net, index) => this.getItemVatRates(this.items[index]).length === 0)
+    ).toNumber();
   }
 
   /**
@@ -121,14 +358,68 @@ class InvoiceDTO {
    * @returns {string} Formatted amount
    */
   formatAmount(amount) {
-    return `${this.currency} ${amount.toFixed(2)}`;
+    return `${this.currency} ${this.toMoney(amount).toString()}`;
+  }
+
+  /**
+   * Get the sum of all recorded payments
+   * @returns {number} Amount paid
+   */
+  getAmountPaid() {
+    return this.sumMoney(this.payments.map(payment => this.toMoney(payment.amount))).toNumber();
+  }
+
+  /**
+   * Get the open balance of the invoice
+   *
+   * Uses the balance reported by Harvest when known, otherwise the total
+   * less the recorded payments.
+   * @returns {number} Open balance
+   */
+  getOpenAmount() {
+    if (this.dueAmount !== null) {
+      return this.dueAmount;
+    }
+    const open = this.toMoney(this.total).subtract(this.toMoney(this.getAmountPaid()));
+    return Math.max(open.toNumber(), 0);
+  }
+
+  /**
+   * Get the amount the debtor has to pay, including any reminder fee
+   *
+   * Rounded to 0.05 for CHF if cash rounding is enabled.
+   * @returns {number} Amount due
+   */
+  getAmountDue() {
+    const due = this.toMoney(this.getOpenAmount()).add(this.toMoney(this.reminder?.fee || 0));
+    return (this.cashRounding ? due.roundToCash() : due).toNumber();
   }
 
   /**
-   * Get invoice type (invoice or estimate)
+   * Get the difference cash rounding makes to the amount due
+   * @returns {number} Rounding difference, 0 without cash rounding
+   */
+  getCashRoundingDifference() {
+    const unrounded = this.toMoney(this.getOpenAmount()).add(this.toMoney(this.reminder?.fee || 0));
+    return this.toMoney(this.getAmountDue()).subtract(unrounded).toNumber();
+  }
+
+  /**
+   * Check whether the document is a credit note, which the debtor does not pay
+   * @returns {boolean} True for credit notes
+   */
+  isCreditNote() {
+    return this.getType() === 'credit-note';
+  }
+
+  /**
+   * Get document type (invoice, estimate, reminder or credit-note)
    * @returns {string} Document type
    */
   getType() {
+    if (this.type) {
+      return this.type;
+    }
     return this.number?.startsWith('E') ? 'estimate' : 'invoice';
   }
 }
@@ -145,7 +436,9 @@ class QRBillDTO {
     currency,
     referenceType,
     reference,
+    message,
     additionalInfo,
+    language = 'de',
   }) {
     this.account = account;
     this.creditor = creditor instanceof AddressDTO ? creditor : new AddressDTO(creditor);
@@ -154,63 +447,16 @@ class QRBillDTO {
     this.currency = currency;
     this.referenceType = referenceType; // QRR, SCOR, NON
     this.reference = reference || '';
+    this.message = message || ''; // Unstructured message
     this.additionalInfo = additionalInfo || '';
-  }
-
-  /**
-   * Validate QR-bill data
-   * @throws {Error} If validation fails
-   */
-  validate() {
-    if (!this.account) {
-      throw new Error('Account (IBAN) is required');
-    }
-
-    if (!['CHF', 'EUR'].includes(this.currency)) {
-      throw new Error('Currency must be CHF or EUR');
-    }
-
-    if (!['QRR', 'SCOR', 'NON'].includes(this.referenceType)) {
-      throw new Error('Reference type must be QRR, SCOR, or NON');
-    }
-
-    // QR-IBAN validation for QRR
-    if (this.referenceType === 'QRR') {
-      // Check if it's a valid QR-IBAN (IID 30000-31999)
-      const qrIbanPattern = /^CH\d{2}3[01]\d{3}\d{12}$/;
-      if (!qrIbanPattern.test(this.account)) {
-        throw new Error('QRR reference type requires a QR-IBAN (IID 30000-31999)');
-      }
-      
-      // Extract and validate the IID range
-      const iid = parseInt(this.account.substring(4, 9), 10);
-      if (iid < 30000 || iid > 31999) {
-        throw new Error('QRR reference type requires a QR-IBAN (IID 30000-31999)');
-      }
-
-      if (!this.reference || !/^\d{27}$/.test(this.reference)) {
-        throw new Error('QRR reference must be exactly 27 digits');
-      }
-    }
-
-    // SCOR reference validation
-    if (this.referenceType === 'SCOR' && this.reference) {
-      if (!/^RF\d{2}[A-Za-z0-9]+$/.test(this.reference)) {
-        throw new Error(
-          'SCOR reference must start with RF followed by 2 digits and alphanumeric characters'
-        );
-      }
-    }
-
-    if (this.amount < 0.01 || this.amount > 999999999.99) {
-      throw new Error('Amount must be between 0.01 and 999,999,999.99');
-    }
+    this.language = language;
   }
 }
 
 module.exports = {
   AddressDTO,
   LineItemDTO,
+  PaymentDTO,
   InvoiceDTO,
   QRBillDTO,
 };
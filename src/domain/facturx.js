@@ -0,0 +1,550 @@
+/**
+ * Factur-X / ZUGFeRD e-invoices (UN/CEFACT CII, EN 16931 profile)
+ *
+ * The XML is built from the InvoiceDTO, the creditor configuration and the VAT
+ * breakdown, with the same amounts as the printed document. validateFacturX()
+ * is a pre-check of the EN 16931 business rules (BR-xx) that can go wrong with
+ * our data, before the XML is written or embedded in a PDF. It does not replace
+ * the official XSD and schematron; the tests check the XML against the XSD.
+ */
+
+const { XMLBuilder, XMLParser } = require('fast-xml-parser');
+const config = require('../config/env');
+const { Money } = require('./money');
+const qrGenerator = require('./qr');
+const i18n = require('../i18n');
+
+/**
+ * Specification identifier (BT-24) of the EN 16931 profile
+ */
+const EN16931_GUIDELINE = 'urn:cen.eu:en16931:2017';
+
+/**
+ * File name of the XML in a hybrid PDF, as the Factur-X specification requires
+ */
+const FACTURX_FILENAME = 'factur-x.xml';
+
+/**
+ * Factur-X version and conformance level, recorded in the PDF's XMP metadata
+ */
+const FACTURX_VERSION = '1.0';
+const FACTURX_CONFORMANCE_LEVEL = 'EN 16931';
+
+/**
+ * Repeatable elements of the parsed XML, without namespace prefixes
+ */
+const REPEATED_ELEMENTS = [
+  'CrossIndustryInvoice.SupplyChainTradeTransaction.IncludedSupplyChainTradeLineItem',
+  'CrossIndustryInvoice.SupplyChainTradeTransaction.ApplicableHeaderTradeSettlement.ApplicableTradeTax',
+  'CrossIndustryInvoice.SupplyChainTradeTransaction.ApplicableHeaderTradeSettlement.SpecifiedTradeAllowanceCharge',
+];
+
+const NAMESPACES = {
+  '@_xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+  '@_xmlns:ram':
+    'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+  '@_xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+  '@_xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100',
+};
+
+/**
+ * Invoice type codes (UNTDID 1001)
+ */
+const TYPE_CODES = {
+  invoice: '380',
+  'credit-note': '381',
+};
+
+/**
+ * Payment means codes (UNTDID 4461)
+ */
+const PAYMENT_MEANS = {
+  creditTransfer: '30',
+  sepaCreditTransfer: '58',
+};
+
+/**
+ * Format a date as CII date string (format 102: YYYYMMDD)
+ * @param {import('dayjs').Dayjs} date - Date
+ * @returns {object} udt:DateTimeString element
+ */
+function dateTime(date) {
+  return { 'udt:DateTimeString': { '#text': date.format('YYYYMMDD'), '@_format': '102' } };
+}
+
+/**
+ * Format a quantity or price with up to 4 decimals
+ * @param {number} value - Value
+ * @returns {string} Decimal without exponent
+ */
+function formatDecimal(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Get the VAT category of a line item (UNCL 5305)
+ *
+ * Items without VAT are exempt (E) if the creditor is registered for VAT,
+ * otherwise the whole invoice is not subject to VAT (O).
+ * @param {number|null} rate - VAT rate of the item, null if it has none
+ * @param {boolean} registered - Whether the creditor has a VAT number
+ * @returns {string} Category code S, E or O
+ */
+function getCategory(rate, registered) {
+  if (rate !== null) {
+    return 'S';
+  }
+  return registered ? 'E' : 'O';
+}
+
+/**
+ * Build a trade tax element, omitting the rate for category O
+ * @param {string} category - VAT category code
+ * @param {number|null} rate - VAT rate
+ * @returns {object} Tax category and rate
+ */
+function taxCategory(category, rate) {
+  return {
+    'ram:CategoryCode': category,
+    'ram:RateApplicablePercent': category === 'O' ? undefined : formatDecimal(rate || 0),
+  };
+}
+
+/**
+ * Build a trade party (seller or buyer)
+ * @param {AddressDTO} address - Party address
+ * @param {object} [contact] - Electronic address and VAT number
+ * @param {string} [contact.email] - Email address (BT-34/BT-49)
+ * @param {string} [contact.vatNumber] - VAT identifier (BT-31)
+ * @returns {object} Trade party element
+ */
+function tradeParty(address, { email, vatNumber } = {}) {
+  const [lineTwo, lineThree] = address.addressLines;
+  return {
+    'ram:Name': address.name,
+    'ram:PostalTradeAddress': {
+      'ram:PostcodeCode': address.zip || undefined,
+      'ram:LineOne': address.getStreetLine() || undefined,
+      'ram:LineTwo': lineTwo,
+      'ram:LineThree': lineThree,
+      'ram:CityName': address.city || undefined,
+      'ram:CountryID': address.country,
+    },
+    'ram:URIUniversalCommunication': email
+      ? { 'ram:URIID': { '#text': email, '@_schemeID': 'EM' } }
+      : undefined,
+    'ram:SpecifiedTaxRegistration': vatNumber
+      ? { 'ram:ID': { '#text': vatNumber, '@_schemeID': 'VA' } }
+      : undefined,
+  };
+}
+
+/**
+ * Build the payment instructions: a credit transfer to the bank account
+ *
+ * QR-IBANs only accept payments with a QR reference through a QR-bill, so the
+ * plain account of the bank details is used. A SCOR reference is also valid in
+ * SEPA transfers, otherwise the debtor refers to the invoice number.
+ * @param {InvoiceDTO} invoice - Invoice data
+ * @returns {{reference: string, means: object}} Payment reference (BT-83) and means (BG-16)
+ * @throws {Error} If there is no IBAN for plain transfers
+ */
+function paymentInstructions(invoice) {
+  if (!config.company.bankIban) {
+    throw new Error(
+      `Invoice ${invoice.number} needs a payee account (BT-84), ` +
+        'set COMPANY_BANK_IBAN as COMPANY_IBAN is a QR-IBAN'
+    );
+  }
+
+  const reference =
+    qrGenerator.getReferenceType(invoice) === 'SCOR'
+      ? qrGenerator.generateReference(invoice)
+      : invoice.number;
+
+  return {
+    reference,
+    means: {
+      'ram:TypeCode':
+        invoice.currency === 'EUR'
+          ? PAYMENT_MEANS.sepaCreditTransfer
+          : PAYMENT_MEANS.creditTransfer,
+      'ram:PayeePartyCreditorFinancialAccount': {
+        'ram:IBANID': config.company.bankIban.replace(/\s/g, ''),
+      },
+      'ram:PayeeSpecifiedCreditorFinancialInstitution': config.company.bic
+        ? { 'ram:BICID': config.company.bic }
+        : undefined,
+    },
+  };
+}
+
+/**
+ * Check whether a document can be issued as Factur-X e-invoice
+ * @param {InvoiceDTO} invoice - Invoice, estimate, reminder or credit note
+ * @returns {boolean} True for invoices and credit notes
+ */
+function isFacturXDocument(invoice) {
+  return Boolean(TYPE_CODES[invoice.getType()]);
+}
+
+/**
+ * Build the Factur-X XML (CII, EN 16931 profile) of an invoice or credit note
+ *
+ * Credit notes (type code 381) carry positive amounts, as EN 16931 requires.
+ * @param {InvoiceDTO} invoice - Invoice or credit note
+ * @returns {string} CrossIndustryInvoice XML
+ * @throws {Error} If the document is not an invoice or credit note, or a line has two VAT rates
+ */
+function buildFacturX(invoice) {
+  if (!isFacturXDocument(invoice)) {
+    throw new Error(
+      `Factur-X is only available for invoices and credit notes, not for ${invoice.getType()}`
+    );
+  }
+
+  const { currency } = invoice;
+  const sign = invoice.isCreditNote() ? -1 : 1;
+  const money = amount => invoice.toMoney(amount).multiply(sign);
+  const vatNumber = config.company.vatNumber.replace(/[\s.-]/g, '');
+  const registered = Boolean(vatNumber);
+  const label = key => i18n.t(invoice.language, key);
+
+  // VAT category and rate of each line item
+  const lines = invoice.items.map((item, index) => {
+    const rates = invoice.getItemVatRates(item);
+    if (rates.length > 1) {
+      throw new Error(
+        `Line ${index + 1} of ${invoice.number} has two VAT rates, a Factur-X line has only one`
+      );
+    }
+    const rate = rates.length > 0 ? rates[0] : null;
+    return { item, rate, category: getCategory(rate, registered) };
+  });
+
+  // Per VAT category and rate: line totals, discount share and net amount after the discount
+  const nets = invoice.getItemNets();
+  const groups = new Map();
+  lines.forEach(({ item, rate, category }, index) => {
+    const key = `${category}:${rate}`;
+    const group = groups.get(key) || {
+      category,
+      rate,
+      total: Money.zero(currency),
+      net: Money.zero(currency),
+    };
+    group.total = group.total.add(money(item.total));
+    group.net = group.net.add(nets[index].multiply(sign));
+    groups.set(key, group);
+  });
+  const breakdown = [...groups.values()].map(group => ({
+    ...group,
+    allowance: group.total.subtract(group.net),
+    tax: group.category === 'S' ? group.net.percent(group.rate) : Money.zero(currency),
+  }));
+  if (invoice.taxRounding === 'line') {
+    // Keep the VAT of the printed summary, rounded per line item
+    invoice.getVatRates().forEach(({ rate, tax }) => {
+      const group = breakdown.find(entry => entry.category === 'S' && entry.rate === rate);
+      group.tax = money(tax);
+    });
+  }
+
+  const sum = amounts => amounts.reduce((total, amount) => total.add(amount), Money.zero(currency));
+  const lineTotal = sum(breakdown.map(group => group.total));
+  const allowanceTotal = sum(breakdown.map(group => group.allowance));
+  const taxBasis = lineTotal.subtract(allowanceTotal);
+  const taxTotal = sum(breakdown.map(group => group.tax));
+  const grandTotal = taxBasis.add(taxTotal);
+  const prepaid = invoice.isCreditNote() ? Money.zero(currency) : money(invoice.getAmountPaid());
+  const open = grandTotal.subtract(prepaid);
+  const duePayable = invoice.cashRounding ? open.roundToCash() : open;
+  const rounding = duePayable.subtract(open);
+
+  const payment = invoice.isCreditNote() ? null : paymentInstructions(invoice);
+
+  const document = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    'rsm:CrossIndustryInvoice': {
+      ...NAMESPACES,
+      'rsm:ExchangedDocumentContext': {
+        'ram:GuidelineSpecifiedDocumentContextParameter': { 'ram:ID': EN16931_GUIDELINE },
+      },
+      'rsm:ExchangedDocument': {
+        'ram:ID': invoice.number,
+        'ram:TypeCode': TYPE_CODES[invoice.getType()],
+        'ram:IssueDateTime': dateTime(invoice.issueDate),
+        'ram:IncludedNote': invoice.notes ? { 'ram:Content': invoice.notes } : undefined,
+      },
+      'rsm:SupplyChainTradeTransaction': {
+        'ram:IncludedSupplyChainTradeLineItem': lines.map(({ item, rate, category }, index) => ({
+          'ram:AssociatedDocumentLineDocument': { 'ram:LineID': String(index + 1) },
+          'ram:SpecifiedTradeProduct': { 'ram:Name': item.description },
+          'ram:SpecifiedLineTradeAgreement': {
+            'ram:NetPriceProductTradePrice': {
+              'ram:ChargeAmount': formatDecimal(Math.abs(item.unitPrice)),
+            },
+          },
+          'ram:SpecifiedLineTradeDelivery': {
+            'ram:BilledQuantity': {
+              '#text': formatDecimal(sign * Math.sign(item.unitPrice || 1) * item.quantity),
+              '@_unitCode': 'C62',
+            },
+          },
+          'ram:SpecifiedLineTradeSettlement': {
+            'ram:ApplicableTradeTax': { 'ram:TypeCode': 'VAT', ...taxCategory(category, rate) },
+            'ram:SpecifiedTradeSettlementLineMonetarySummation': {
+              'ram:LineTotalAmount': money(item.total).toString(),
+            },
+          },
+        })),
+        'ram:ApplicableHeaderTradeAgreement': {
+          'ram:SellerTradeParty': tradeParty(invoice.creditor, {
+            email: config.company.email,
+            vatNumber,
+          }),
+          'ram:BuyerTradeParty': tradeParty(invoice.debtor, {
+            email: invoice.recipientEmail || undefined,
+          }),
+          'ram:BuyerOrderReferencedDocument': invoice.customerReference
+            ? { 'ram:IssuerAssignedID': invoice.customerReference }
+            : undefined,
+        },
+        'ram:ApplicableHeaderTradeDelivery': {},
+        'ram:ApplicableHeaderTradeSettlement': {
+          'ram:PaymentReference': payment ? payment.reference : undefined,
+          'ram:InvoiceCurrencyCode': currency,
+          'ram:SpecifiedTradeSettlementPaymentMeans': payment ? payment.means : undefined,
+          'ram:ApplicableTradeTax': breakdown.map(group => ({
+            'ram:CalculatedAmount': group.tax.toString(),
+            'ram:TypeCode': 'VAT',
+            'ram:ExemptionReason': group.category === 'S' ? undefined : label('vatExempt'),
+            'ram:BasisAmount': group.net.toString(),
+            ...taxCategory(group.category, group.rate),
+          })),
+          'ram:SpecifiedTradeAllowanceCharge': breakdown
+            .filter(group => !group.allowance.isZero())
+            .map(group => ({
+              'ram:ChargeIndicator': { 'udt:Indicator': 'false' },
+              'ram:ActualAmount': group.allowance.toString(),
+              'ram:Reason': label('discount'),
+              'ram:CategoryTradeTax': {
+                'ram:TypeCode': 'VAT',
+                ...taxCategory(group.category, group.rate),
+              },
+            })),
+          'ram:SpecifiedTradePaymentTerms':
+            invoice.paymentTerms || invoice.dueDate
+              ? {
+                  'ram:Description': invoice.paymentTerms || undefined,
+                  'ram:DueDateDateTime': invoice.dueDate ? dateTime(invoice.dueDate) : undefined,
+                }
+              : undefined,
+          'ram:SpecifiedTradeSettlementHeaderMonetarySummation': {
+            'ram:LineTotalAmount': lineTotal.toString(),
+            'ram:AllowanceTotalAmount': allowanceTotal.isZero()
+              ? undefined
+              : allowanceTotal.toString(),
+            'ram:TaxBasisTotalAmount': taxBasis.toString(),
+            'ram:TaxTotalAmount': { '#text': taxTotal.toString(), '@_currencyID': currency },
+            'ram:RoundingAmount': rounding.isZero() ? undefined : rounding.toString(),
+            'ram:GrandTotalAmount': grandTotal.toString(),
+            'ram:TotalPrepaidAmount': prepaid.isZero() ? undefined : prepaid.toString(),
+            'ram:DuePayableAmount': duePayable.toString(),
+          },
+          'ram:InvoiceReferencedDocument': invoice.originalInvoiceNumber
+            ? { 'ram:IssuerAssignedID': invoice.originalInvoiceNumber }
+            : undefined,
+        },
+      },
+    },
+  };
+
+  const builder = new XMLBuilder({ format: true, ignoreAttributes: false });
+  return builder.build(document);
+}
+
+/**
+ * Pre-check Factur-X XML against a subset of the EN 16931 business rules
+ *
+ * Covers the mandatory fields, the totals (BR-CO-10 to BR-CO-16) and the VAT
+ * breakdown per category (BR-S, BR-E, BR-O) for the data this generator
+ * produces. Neither the XSD nor the rest of the official schematron is checked.
+ * @param {string} xml - CrossIndustryInvoice XML
+ * @returns {Array<{rule: string, message: string}>} Violated rules, empty if valid
+ */
+function validateFacturX(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    isArray: (name, jpath) => REPEATED_ELEMENTS.includes(jpath),
+  });
+  const errors = [];
+  const check = (condition, rule, message) => {
+    if (!condition) {
+      errors.push({ rule, message });
+    }
+  };
+
+  const root = parser.parse(xml).CrossIndustryInvoice;
+  if (!root) {
+    return [{ rule: 'CII', message: 'root element must be rsm:CrossIndustryInvoice' }];
+  }
+
+  const text = value => (value && typeof value === 'object' ? value['#text'] : value);
+  const amount = value => (value === undefined ? 0 : Number(text(value)));
+  const equal = (a, b) => Math.abs(a - b) < 0.005;
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const lineTax = line => line.SpecifiedLineTradeSettlement?.ApplicableTradeTax;
+  const lineAmount = line =>
+    amount(
+      line.SpecifiedLineTradeSettlement?.SpecifiedTradeSettlementLineMonetarySummation
+        ?.LineTotalAmount
+    );
+
+  const context = root.ExchangedDocumentContext?.GuidelineSpecifiedDocumentContextParameter;
+  const document = root.ExchangedDocument || {};
+  const transaction = root.SupplyChainTradeTransaction || {};
+  const agreement = transaction.ApplicableHeaderTradeAgreement || {};
+  const settlement = transaction.ApplicableHeaderTradeSettlement || {};
+  const totals = settlement.SpecifiedTradeSettlementHeaderMonetarySummation || {};
+  const lines = transaction.IncludedSupplyChainTradeLineItem || [];
+  const breakdown = settlement.ApplicableTradeTax || [];
+  const allowances = (settlement.SpecifiedTradeAllowanceCharge || []).filter(
+    allowance => text(allowance.ChargeIndicator?.Indicator) === 'false'
+  );
+  const seller = agreement.SellerTradeParty || {};
+  const buyer = agreement.BuyerTradeParty || {};
+
+  check(context?.ID === EN16931_GUIDELINE, 'BR-01', 'specification identifier is missing');
+  check(document.ID, 'BR-02', 'invoice number is missing');
+  check(text(document.IssueDateTime?.DateTimeString), 'BR-03', 'issue date is missing');
+  check(Object.values(TYPE_CODES).includes(document.TypeCode), 'BR-04', 'invalid type code');
+  check(settlement.InvoiceCurrencyCode, 'BR-05', 'currency code is missing');
+  check(seller.Name, 'BR-06', 'seller name is missing');
+  check(buyer.Name, 'BR-07', 'buyer name is missing');
+  check(seller.PostalTradeAddress?.CountryID, 'BR-09', 'seller country code is missing');
+  check(buyer.PostalTradeAddress?.CountryID, 'BR-11', 'buyer country code is missing');
+  check(lines.length > 0, 'BR-16', 'invoice has no lines');
+
+  lines.forEach((line, index) => {
+    const name = `line ${index + 1}`;
+    const price = line.SpecifiedLineTradeAgreement?.NetPriceProductTradePrice?.ChargeAmount;
+    check(line.SpecifiedTradeProduct?.Name, 'BR-25', `${name} has no item name`);
+    check(price !== undefined, 'BR-26', `${name} has no net price`);
+    check(!(Number(price) < 0), 'BR-27', `${name} has a negative net price`);
+    check(lineTax(line), 'BR-CO-04', `${name} has no VAT category`);
+  });
+
+  const lineTotal = sum(lines.map(lineAmount));
+  const allowanceTotal = sum(allowances.map(allowance => amount(allowance.ActualAmount)));
+  const taxTotal = sum(breakdown.map(entry => amount(entry.CalculatedAmount)));
+  check(
+    equal(lineTotal, amount(totals.LineTotalAmount)),
+    'BR-CO-10',
+    'sum of line net amounts differs'
+  );
+  check(
+    equal(allowanceTotal, amount(totals.AllowanceTotalAmount)),
+    'BR-CO-11',
+    'sum of allowances differs'
+  );
+  check(
+    equal(
+      amount(totals.TaxBasisTotalAmount),
+      amount(totals.LineTotalAmount) -
+        amount(totals.AllowanceTotalAmount) +
+        amount(totals.ChargeTotalAmount)
+    ),
+    'BR-CO-13',
+    'invoice total without VAT differs'
+  );
+  check(equal(taxTotal, amount(totals.TaxTotalAmount)), 'BR-CO-14', 'sum of VAT amounts differs');
+  check(
+    equal(
+      amount(totals.GrandTotalAmount),
+      amount(totals.TaxBasisTotalAmount) + amount(totals.TaxTotalAmount)
+    ),
+    'BR-CO-15',
+    'invoice total with VAT differs'
+  );
+  check(
+    equal(
+      amount(totals.DuePayableAmount),
+      amount(totals.GrandTotalAmount) -
+        amount(totals.TotalPrepaidAmount) +
+        amount(totals.RoundingAmount)
+    ),
+    'BR-CO-16',
+    'amount due for payment differs'
+  );
+  check(breakdown.length > 0, 'BR-CO-18', 'VAT breakdown is missing');
+  check(
+    !(amount(totals.DuePayableAmount) > 0) ||
+      settlement.SpecifiedTradePaymentTerms?.DueDateDateTime ||
+      settlement.SpecifiedTradePaymentTerms?.Description,
+    'BR-CO-25',
+    'payment due date or terms are missing'
+  );
+
+  const vatId = text(seller.SpecifiedTaxRegistration?.ID);
+  check(
+    !vatId || /^[A-Z]{2}/.test(vatId),
+    'BR-CO-09',
+    'seller VAT identifier has no country prefix'
+  );
+
+  // Per VAT category and rate: basis = line totals - allowances, VAT = basis × rate
+  breakdown.forEach(entry => {
+    const category = entry.CategoryCode;
+    const rate = entry.RateApplicablePercent;
+    const matches = tax => tax?.CategoryCode === category && tax?.RateApplicablePercent === rate;
+    const basis =
+      sum(lines.filter(line => matches(lineTax(line))).map(lineAmount)) -
+      sum(
+        allowances
+          .filter(allowance => matches(allowance.CategoryTradeTax))
+          .map(allowance => amount(allowance.ActualAmount))
+      );
+
+    check(
+      equal(basis, amount(entry.BasisAmount)),
+      `BR-${category}-08`,
+      `taxable amount of category ${category} differs`
+    );
+    if (category === 'S') {
+      check(vatId, 'BR-S-02', 'seller VAT identifier is missing for standard rated items');
+      const expected = Math.round(amount(entry.BasisAmount) * Number(rate)) / 100;
+      check(equal(expected, amount(entry.CalculatedAmount)), 'BR-S-09', `VAT at ${rate}% differs`);
+    } else {
+      check(
+        amount(entry.CalculatedAmount) === 0,
+        `BR-${category}-09`,
+        `VAT of category ${category} must be 0`
+      );
+      check(
+        entry.ExemptionReason || entry.ExemptionReasonCode,
+        `BR-${category}-10`,
+        `exemption reason of category ${category} is missing`
+      );
+    }
+    if (category === 'E') {
+      check(vatId, 'BR-E-02', 'seller VAT identifier is missing for exempt items');
+    }
+    if (category === 'O') {
+      check(!vatId, 'BR-O-02', 'seller VAT identifier must not be given when not subject to VAT');
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  FACTURX_FILENAME,
+  FACTURX_VERSION,
+  FACTURX_CONFORMANCE_LEVEL,
+  buildFacturX,
+  isFacturXDocument,
+  validateFacturX,
+};
@@ -6,9 +6,11 @@ const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
-const { AddressDTO, LineItemDTO, InvoiceDTO } = require('./dto');
-const { roundCurrency, parseAmount } = require('./money');
+const { AddressDTO, LineItemDTO, PaymentDTO, InvoiceDTO } = require('./dto');
+const { Money, parseAmount } = require('./money');
+const { parseAddress, checkDebtorAddress } = require('./address');
 const config = require('../config/env');
+const clientProfiles = require('../config/clients');
 const logger = require('../utils/logger');
 
 /**
@@ -19,31 +21,43 @@ class DataMapper {
    * Map Harvest invoice to InvoiceDTO
    * @param {object} harvestInvoice - Harvest invoice data
    * @param {object} harvestClient - Harvest client data
+   * @param {object} options - Mapping options
+   * @param {string} [options.language] - Document language, overrides the client's language
+   * @param {Array} [options.payments] - Harvest payments recorded against the invoice
    * @returns {InvoiceDTO} Mapped invoice
    */
-  mapInvoiceFromHarvest(harvestInvoice, harvestClient) {
+  mapInvoiceFromHarvest(harvestInvoice, harvestClient, options = {}) {
     logger.debug('Mapping Harvest invoice to InvoiceDTO');
 
+    const profile = clientProfiles.get(harvestClient.id);
     const creditor = this.mapCompanyToAddress();
     const debtor = this.mapClientToAddress(harvestClient);
-    const items = this.mapLineItems(harvestInvoice.line_items || []);
+    const taxes = this.mapTaxRates(harvestInvoice);
+    const currency = this.mapCurrency(harvestInvoice, profile);
+    const items = this.mapLineItems(harvestInvoice.line_items || [], taxes, currency);
 
     const invoice = new InvoiceDTO({
+      id: harvestInvoice.id,
       number: harvestInvoice.number,
       issueDate: this.parseDate(harvestInvoice.issue_date),
       dueDate: this.parseDate(harvestInvoice.due_date),
       creditor,
       debtor,
       items,
-      subtotal: roundCurrency(parseAmount(harvestInvoice.amount) - parseAmount(harvestInvoice.tax_amount || 0)),
-      taxTotal: roundCurrency(parseAmount(harvestInvoice.tax_amount || 0)),
-      total: roundCurrency(parseAmount(harvestInvoice.amount)),
-      currency: harvestInvoice.currency || config.company.currency,
+      ...this.mapAmounts(harvestInvoice, items, taxes, currency),
+      dueAmount: this.mapDueAmount(harvestInvoice, currency),
+      payments: this.mapPayments(options.payments || [], currency),
+      currency,
       notes: harvestInvoice.notes || '',
+      customerReference: harvestInvoice.purchase_order || '',
+      language: options.language || profile.language || config.i18n.language,
+      type: 'invoice',
+      ...this.mapRounding(),
+      ...this.mapProfileOverrides(harvestClient, profile),
     });
 
-    // Don't recalculate totals - use the values from Harvest as they include proper tax calculation
-    // invoice.calculateTotals();
+    // Keep Harvest's amounts, but report when they do not add up
+    this.checkTotals(invoice);
 
     logger.debug(`Mapped invoice ${invoice.number} with ${items.length} items`);
     return invoice;
@@ -53,36 +67,144 @@ class DataMapper {
    * Map Harvest estimate to InvoiceDTO
    * @param {object} harvestEstimate - Harvest estimate data
    * @param {object} harvestClient - Harvest client data
+   * @param {object} options - Mapping options
+   * @param {string} [options.language] - Document language, overrides the client's language
    * @returns {InvoiceDTO} Mapped estimate as invoice
    */
-  mapEstimateFromHarvest(harvestEstimate, harvestClient) {
+  mapEstimateFromHarvest(harvestEstimate, harvestClient, options = {}) {
     logger.debug('Mapping Harvest estimate to InvoiceDTO');
 
+    const profile = clientProfiles.get(harvestClient.id);
     const creditor = this.mapCompanyToAddress();
     const debtor = this.mapClientToAddress(harvestClient);
-    const items = this.mapLineItems(harvestEstimate.line_items || []);
+    const taxes = this.mapTaxRates(harvestEstimate);
+    const currency = this.mapCurrency(harvestEstimate, profile);
+    const items = this.mapLineItems(harvestEstimate.line_items || [], taxes, currency);
 
     const invoice = new InvoiceDTO({
+      id: harvestEstimate.id,
       number: harvestEstimate.number,
       issueDate: this.parseDate(harvestEstimate.issue_date),
       dueDate: null, // Estimates typically don't have due dates
       creditor,
       debtor,
       items,
-      subtotal: roundCurrency(parseAmount(harvestEstimate.amount) - parseAmount(harvestEstimate.tax_amount || 0)),
-      taxTotal: roundCurrency(parseAmount(harvestEstimate.tax_amount || 0)),
-      total: roundCurrency(parseAmount(harvestEstimate.amount)),
-      currency: harvestEstimate.currency || config.company.currency,
+      ...this.mapAmounts(harvestEstimate, items, taxes, currency),
+      currency,
       notes: harvestEstimate.notes || '',
+      language: options.language || profile.language || config.i18n.language,
+      type: 'estimate',
+      ...this.mapRounding(),
+      ...this.mapProfileOverrides(harvestClient, profile),
     });
 
-    // Don't recalculate totals - use the values from Harvest as they include proper tax calculation
-    // invoice.calculateTotals();
+    // Keep Harvest's amounts, but report when they do not add up
+    this.checkTotals(invoice);
 
     logger.debug(`Mapped estimate ${invoice.number} with ${items.length} items`);
     return invoice;
   }
 
+  /**
+   * Map an overdue Harvest invoice to a payment reminder
+   * @param {object} harvestInvoice - Harvest invoice data
+   * @param {object} harvestClient - Harvest client data
+   * @param {object} options - Mapping options
+   * @param {number} [options.level] - Reminder level 1, 2 or 3 (default: 1)
+   * @param {string} [options.language] - Document language, overrides the client's language
+   * @param {dayjs.Dayjs} [options.asOf] - Date the overdue days are counted to (default: today)
+   * @param {Array} [options.payments] - Harvest payments recorded against the invoice
+   * @returns {InvoiceDTO} Reminder for the invoice
+   * @throws {Error} If the invoice is paid or not overdue
+   */
+  mapReminderFromHarvest(harvestInvoice, harvestClient, options = {}) {
+    const level = options.level || 1;
+    const invoice = this.mapInvoiceFromHarvest(harvestInvoice, harvestClient, options);
+
+    if (harvestInvoice.state === 'paid' || invoice.getOpenAmount() <= 0) {
+      throw new Error(`Invoice ${invoice.number} is already paid`);
+    }
+
+    const asOf = (options.asOf || dayjs()).tz(config.timezone).startOf('day');
+    const daysOverdue = invoice.dueDate ? asOf.diff(invoice.dueDate.startOf('day'), 'day') : 0;
+    if (daysOverdue <= 0) {
+      throw new Error(`Invoice ${invoice.number} is not overdue`);
+    }
+
+    invoice.type = 'reminder';
+    invoice.reminder = {
+      level,
+      date: asOf,
+      daysOverdue,
+      fee: Money.of(config.reminders.fees[level - 1] || 0, invoice.currency).toNumber(),
+    };
+
+    logger.debug(`Mapped level ${level} reminder for invoice ${invoice.number}`);
+    return invoice;
+  }
+
+  /**
+   * Map a Harvest invoice with negative amount to a credit note
+   * @param {object} harvestInvoice - Harvest invoice data
+   * @param {object} harvestClient - Harvest client data
+   * @param {object} options - Mapping options
+   * @param {string} [options.originalInvoice] - Number of the invoice the credit note refers to
+   * @param {string} [options.language] - Document language, overrides the client's language
+   * @returns {InvoiceDTO} Credit note for the invoice
+   * @throws {Error} If the invoice amount is not negative
+   */
+  mapCreditNoteFromHarvest(harvestInvoice, harvestClient, options = {}) {
+    const creditNote = this.mapInvoiceFromHarvest(harvestInvoice, harvestClient, options);
+
+    if (creditNote.total >= 0) {
+      throw new Error(`Invoice ${creditNote.number} has no negative amount to credit`);
+    }
+
+    creditNote.type = 'credit-note';
+    creditNote.originalInvoiceNumber = options.originalInvoice || null;
+
+    logger.debug(`Mapped credit note ${creditNote.number}`);
+    return creditNote;
+  }
+
+  /**
+   * Map the currency of a Harvest invoice or estimate
+   *
+   * Harvest's amounts are not converted, so the client profile currency only
+   * applies to documents without a currency in Harvest.
+   * @param {object} harvestDocument - Harvest invoice or estimate data
+   * @param {object} profile - Client profile overrides
+   * @returns {string} ISO 4217 currency code
+   * @throws {Error} If the profile currency differs from Harvest's
+   */
+  mapCurrency(harvestDocument, profile) {
+    const { currency } = harvestDocument;
+    if (currency && profile.currency && currency !== profile.currency) {
+      throw new Error(
+        `Document ${harvestDocument.number} is in ${currency} in Harvest, but the client profile ` +
+          `sets ${profile.currency}; amounts are not converted`
+      );
+    }
+    return currency || profile.currency || config.company.currency;
+  }
+
+  /**
+   * Map client profile overrides to InvoiceDTO fields
+   * @param {object} harvestClient - Harvest client data
+   * @param {object} profile - Client profile overrides
+   * @returns {object} InvoiceDTO constructor fields
+   */
+  mapProfileOverrides(harvestClient, profile) {
+    return {
+      clientId: harvestClient.id,
+      customerNumber: profile.customerNumber || null,
+      qrReferenceType: profile.qrReferenceType || null,
+      paymentTerms: profile.paymentTerms || '',
+      recipientEmail: profile.email || '',
+      template: profile.template || null,
+    };
+  }
+
   /**
    * Map company configuration to AddressDTO
    * @returns {AddressDTO} Company address
@@ -103,57 +225,179 @@ class DataMapper {
    * @returns {AddressDTO} Client address
    */
   mapClientToAddress(harvestClient) {
-    // Parse address - Harvest sometimes puts everything in the address field
-    let street = harvestClient.address || '';
-    let zip = harvestClient.postal_code || '';
-    let city = harvestClient.city || '';
-
-    // If address contains line breaks, try to parse it
-    if (street.includes('\r\n') || street.includes('\n')) {
-      const lines = street.split(/\r?\n/);
-      if (lines.length >= 2) {
-        street = lines[0].trim();
-        const lastLine = lines[lines.length - 1].trim();
-        
-        // Try to extract zip and city from last line (format: "8004 Zürich")
-        const zipCityMatch = lastLine.match(/^(\d{4,5})\s+(.+)$/);
-        if (zipCityMatch) {
-          zip = zipCityMatch[1];
-          city = zipCityMatch[2];
-        }
-      }
+    // Harvest keeps the whole postal address in one free-form field
+    const parsed = parseAddress(harvestClient.address, {
+      postalCode: harvestClient.postal_code,
+      city: harvestClient.city,
+      country: harvestClient.country,
+      homeCountry: config.company.country,
+    });
+
+    // Address corrections from the client profile win over Harvest data
+    const corrections = clientProfiles.get(harvestClient.id).address || {};
+    if (corrections.street) {
+      parsed.buildingNumber = '';
     }
 
-    return new AddressDTO({
+    const address = new AddressDTO({
       name: harvestClient.name,
-      street: street,
-      zip: zip,
-      city: city,
-      country: harvestClient.country || 'CH',
+      street: parsed.street,
+      buildingNumber: parsed.buildingNumber,
+      addressLines: parsed.addressLines,
+      zip: parsed.zip,
+      city: parsed.city,
+      country: parsed.country,
+      ...corrections,
+    });
+
+    if (Object.keys(corrections).length === 0) {
+      parsed.warnings.forEach(warning => {
+        logger.warn(`Address of ${harvestClient.name}: ${warning}`);
+      });
+      if (parsed.confidence === 'low') {
+        logger.warn(`Address of ${harvestClient.name} could not be parsed reliably`);
+      }
+    }
+
+    checkDebtorAddress(address).forEach(warning => {
+      logger.warn(`QR-bill debtor block of ${harvestClient.name} is incomplete: ${warning}`);
+    });
+
+    return address;
+  }
+
+  /**
+   * Map the tax rates of a Harvest invoice or estimate
+   * @param {object} harvestDocument - Harvest invoice or estimate data
+   * @returns {{taxRate: number|null, tax2Rate: number|null}} Rates in percent, null if not set
+   */
+  mapTaxRates(harvestDocument) {
+    const parseRate = rate => (rate === undefined || rate === null ? null : parseFloat(rate) || 0);
+    return {
+      taxRate: parseRate(harvestDocument.tax),
+      tax2Rate: parseRate(harvestDocument.tax2),
+    };
+  }
+
+  /**
+   * Map the subtotal, discount, taxes and total of a Harvest invoice or estimate
+   *
+   * The subtotal is the sum of the line items; without line items it is derived
+   * from the total, the discount and the taxes.
+   * @param {object} harvestDocument - Harvest invoice or estimate data
+   * @param {LineItemDTO[]} items - Mapped line items
+   * @param {object} taxes - Tax rates from mapTaxRates()
+   * @param {string} currency - Document currency from mapCurrency()
+   * @returns {object} InvoiceDTO constructor fields
+   */
+  mapAmounts(harvestDocument, items, taxes, currency) {
+    const toMoney = amount => Money.of(parseAmount(amount || 0), currency);
+    const total = toMoney(harvestDocument.amount);
+    const discountAmount = toMoney(harvestDocument.discount_amount);
+    const taxAmount = toMoney(harvestDocument.tax_amount);
+    const tax2Amount = toMoney(harvestDocument.tax2_amount);
+    const subtotal =
+      items.length > 0
+        ? Money.sum(
+            items.map(item => Money.of(item.total, currency)),
+            currency
+          )
+        : total.add(discountAmount).subtract(taxAmount).subtract(tax2Amount);
+    const discountRate = harvestDocument.discount;
+
+    return {
+      subtotal: subtotal.toNumber(),
+      discountRate: discountRate === undefined || discountRate === null ? null : discountRate,
+      discountAmount: discountAmount.toNumber(),
+      taxTotal: taxAmount.add(tax2Amount).toNumber(),
+      taxAmount: taxAmount.toNumber(),
+      tax2Amount: tax2Amount.toNumber(),
+      ...taxes,
+      total: total.toNumber(),
+    };
+  }
+
+  /**
+   * Map the configured rounding of taxes and amounts due
+   * @returns {{taxRounding: string, cashRounding: boolean}} InvoiceDTO constructor fields
+   */
+  mapRounding() {
+    return {
+      taxRounding: config.money.taxRounding,
+      cashRounding: config.money.cashRounding,
+    };
+  }
+
+  /**
+   * Log a warning if the recomputed totals do not match Harvest's amounts
+   * @param {InvoiceDTO} invoice - Mapped invoice or estimate
+   */
+  checkTotals(invoice) {
+    invoice.checkTotals().forEach(problem => {
+      logger.warn(`Totals of ${invoice.getType()} ${invoice.number} do not match: ${problem}`);
     });
   }
 
   /**
    * Map Harvest line items to LineItemDTO array
    * @param {Array} harvestLineItems - Harvest line items
+   * @param {object} [taxes] - Invoice tax rates from mapTaxRates()
+   * @param {string} [currency] - Document currency, amounts are rounded to its minor unit
    * @returns {LineItemDTO[]} Mapped line items
    */
-  mapLineItems(harvestLineItems) {
+  mapLineItems(harvestLineItems, taxes = {}, currency = config.company.currency) {
     return harvestLineItems.map(item => {
       const quantity = parseFloat(item.quantity) || 1;
-      const unitPrice = parseAmount(item.unit_price) || 0;
-      const taxRate = parseFloat(item.tax_percentage) || 0;
+      const unitPrice = Money.of(parseAmount(item.unit_price) || 0, currency);
+      const amount = parseAmount(item.amount);
+      const taxed = Boolean(item.taxed);
+      const taxed2 = Boolean(item.taxed2);
 
       return new LineItemDTO({
         description: item.description || item.kind || 'Service',
         quantity,
-        unitPrice: roundCurrency(unitPrice),
-        taxRate,
-        total: roundCurrency(parseAmount(item.amount) || quantity * unitPrice),
+        unitPrice: unitPrice.toNumber(),
+        taxRate: (taxed ? taxes.taxRate || 0 : 0) + (taxed2 ? taxes.tax2Rate || 0 : 0),
+        taxed,
+        taxed2,
+        total: amount ? Money.of(amount, currency).toNumber() : null,
+        currency,
       });
     });
   }
 
+  /**
+   * Map the open balance of a Harvest invoice
+   * @param {object} harvestInvoice - Harvest invoice data
+   * @param {string} [currency] - Document currency
+   * @returns {number|null} Open balance, or null if Harvest did not report one
+   */
+  mapDueAmount(harvestInvoice, currency = config.company.currency) {
+    if (harvestInvoice.due_amount === undefined || harvestInvoice.due_amount === null) {
+      return null;
+    }
+    return Money.of(parseAmount(harvestInvoice.due_amount), currency).toNumber();
+  }
+
+  /**
+   * Map Harvest invoice payments to PaymentDTO array, oldest first
+   * @param {Array} harvestPayments - Harvest invoice payments
+   * @param {string} [currency] - Document currency
+   * @returns {PaymentDTO[]} Mapped payments
+   */
+  mapPayments(harvestPayments, currency = config.company.currency) {
+    return harvestPayments
+      .map(
+        payment =>
+          new PaymentDTO({
+            amount: Money.of(parseAmount(payment.amount), currency).toNumber(),
+            paidDate: this.parseDate(payment.paid_date || payment.paid_at),
+            notes: payment.notes,
+          })
+      )
+      .sort((a, b) => (a.paidDate && b.paidDate ? a.paidDate.diff(b.paidDate) : 0));
+  }
+
   /**
    * Parse date string to dayjs object
    * @param {string} dateString - Date string from Harvest
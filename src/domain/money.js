@@ -1,14 +1,319 @@
 /**
  * Money and rounding utilities for CHF/EUR calculations
+ *
+ * Amounts are calculated as Money values in integer minor units (Rappen, cents),
+ * so sums never drift. Decimal factors such as quantities and tax rates are
+ * applied exactly and the result is rounded half away from zero once.
  */
 
+/**
+ * Currencies a Swiss QR-bill can be issued in
+ */
+const QR_BILL_CURRENCIES = ['CHF', 'EUR'];
+
+/**
+ * Smallest cash amount in minor units, per currency (Swiss 0.05 rounding)
+ */
+const CASH_INCREMENTS = {
+  CHF: 5,
+};
+
+const fractionDigitsCache = new Map();
+
+/**
+ * Get the number of minor unit digits of a currency (ISO 4217)
+ * @param {string} currency - Currency code
+ * @returns {number} Fraction digits (2 for CHF and EUR, 0 for JPY)
+ */
+function getFractionDigits(currency) {
+  if (!fractionDigitsCache.has(currency)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions()
+        .maximumFractionDigits;
+    } catch (error) {
+      // Unknown currency codes keep two digits
+    }
+    fractionDigitsCache.set(currency, digits);
+  }
+  return fractionDigitsCache.get(currency);
+}
+
+/**
+ * Convert a decimal number to an exact fraction
+ * @param {number|string} value - Decimal value (e.g. 8.1, "1.005", 1e-7)
+ * @returns {{numerator: bigint, denominator: bigint}} Fraction with a power of ten denominator
+ * @throws {Error} If the value is not a finite number
+ */
+function toFraction(value) {
+  const number = typeof value === 'string' ? value.trim() : value;
+  if (!Number.isFinite(Number(number)) || number === '') {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  // Numbers print as their shortest exact decimal, except in exponent notation
+  let text = String(number);
+  if (/e/i.test(text)) {
+    text = Number(number).toFixed(20);
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const [, sign, integer, fraction = ''] = match;
+  const numerator = BigInt(`${integer || '0'}${fraction}`);
+  return {
+    numerator: sign === '-' ? -numerator : numerator,
+    denominator: 10n ** BigInt(fraction.length),
+  };
+}
+
+/**
+ * Divide two integers, rounding half away from zero
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Denominator (non-zero)
+ * @returns {bigint} Rounded quotient
+ */
+function divideRounded(numerator, denominator) {
+  const negative = numerator < 0n !== denominator < 0n;
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n * 2n + d) / (d * 2n);
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Immutable amount of money in integer minor units
+ */
+class Money {
+  /**
+   * @param {number|bigint} minor - Amount in minor units (e.g. Rappen)
+   * @param {string} currency - ISO 4217 currency code
+   */
+  constructor(minor, currency) {
+    this.minor = Number(minor);
+    this.currency = currency;
+    if (!Number.isSafeInteger(this.minor)) {
+      throw new Error(`Amount out of range: ${minor} ${currency} minor units`);
+    }
+    Object.freeze(this);
+  }
+
+  /**
+   * Create Money from a decimal amount, rounded to the currency's minor unit
+   * @param {number|string} amount - Amount (e.g. 12.35 or "12.35")
+   * @param {string} [currency] - Currency code (default: CHF)
+   * @returns {Money} Money value
+   */
+  static of(amount, currency = 'CHF') {
+    const { numerator, denominator } = toFraction(amount);
+    const scale = 10n ** BigInt(getFractionDigits(currency));
+    return new Money(divideRounded(numerator * scale, denominator), currency);
+  }
+
+  /**
+   * Create Money from minor units
+   * @param {number} minor - Amount in minor units
+   * @param {string} [currency] - Currency code (default: CHF)
+   * @returns {Money} Money value
+   */
+  static fromMinor(minor, currency = 'CHF') {
+    return new Money(minor, currency);
+  }
+
+  /**
+   * Create zero Money
+   * @param {string} [currency] - Currency code (default: CHF)
+   * @returns {Money} Zero
+   */
+  static zero(currency = 'CHF') {
+    return new Money(0, currency);
+  }
+
+  /**
+   * Sum Money values
+   * @param {Money[]} amounts - Amounts in the same currency
+   * @param {string} [currency] - Currency of the result if there are no amounts
+   * @returns {Money} Sum
+   */
+  static sum(amounts, currency = 'CHF') {
+    return amounts.reduce((sum, amount) => sum.add(amount), Money.zero(currency));
+  }
+
+  /**
+   * Check that another value has the same currency
+   * @param {Money} other - Other value
+   * @throws {Error} If the currencies differ
+   */
+  assertSameCurrency(other) {
+    if (other.currency !== this.currency) {
+      throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
+    }
+  }
+
+  /**
+   * Add another amount
+   * @param {Money} other - Amount in the same currency
+   * @returns {Money} Sum
+   */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  /**
+   * Subtract another amount
+   * @param {Money} other - Amount in the same currency
+   * @returns {Money} Difference
+   */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * Multiply by an exact decimal factor (quantity, share), rounded once
+   * @param {number|string} factor - Factor
+   * @returns {Money} Product
+   */
+  multiply(factor) {
+    const { numerator, denominator } = toFraction(factor);
+    return new Money(divideRounded(BigInt(this.minor) * numerator, denominator), this.currency);
+  }
+
+  /**
+   * Divide by an exact decimal divisor, rounded once
+   * @param {number|string} divisor - Non-zero divisor
+   * @returns {Money} Quotient
+   */
+  divide(divisor) {
+    const { numerator, denominator } = toFraction(divisor);
+    if (numerator === 0n) {
+      throw new Error('Division by zero');
+    }
+    return new Money(divideRounded(BigInt(this.minor) * denominator, numerator), this.currency);
+  }
+
+  /**
+   * Calculate a percentage of the amount (e.g. VAT), rounded once
+   * @param {number|string} rate - Rate in percent (e.g. 8.1)
+   * @returns {Money} Percentage amount
+   */
+  percent(rate) {
+    const { numerator, denominator } = toFraction(rate);
+    return new Money(
+      divideRounded(BigInt(this.minor) * numerator, denominator * 100n),
+      this.currency
+    );
+  }
+
+  /**
+   * Split the amount by ratios without losing a minor unit
+   *
+   * Remaining minor units go to the parts with the largest rounding remainder.
+   * @param {number[]} ratios - Non-negative ratios (e.g. [1, 1, 1] or net amounts)
+   * @returns {Money[]} Parts adding up to the amount
+   */
+  allocate(ratios) {
+    const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    if (ratios.length === 0 || total <= 0 || ratios.some(ratio => ratio < 0)) {
+      throw new Error('Allocation needs non-negative ratios with a positive sum');
+    }
+
+    const parts = ratios.map((ratio, index) => {
+      const exact = (this.minor * ratio) / total;
+      const minor = Math.trunc(exact);
+      return { index, minor, remainder: Math.abs(exact - minor) };
+    });
+    let left = this.minor - parts.reduce((sum, part) => sum + part.minor, 0);
+    const step = Math.sign(left);
+    [...parts]
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach(part => {
+        if (left !== 0) {
+          part.minor += step;
+          left -= step;
+        }
+      });
+
+    return parts.map(part => new Money(part.minor, this.currency));
+  }
+
+  /**
+   * Round to the smallest cash amount of the currency (CHF: 0.05)
+   * @returns {Money} Rounded amount, unchanged for currencies without cash rounding
+   */
+  roundToCash() {
+    const increment = CASH_INCREMENTS[this.currency];
+    if (!increment) {
+      return this;
+    }
+    return new Money(
+      Number(divideRounded(BigInt(this.minor), BigInt(increment))) * increment,
+      this.currency
+    );
+  }
+
+  /**
+   * Check whether the amount is zero
+   * @returns {boolean} True if zero
+   */
+  isZero() {
+    return this.minor === 0;
+  }
+
+  /**
+   * Check whether the amount is negative
+   * @returns {boolean} True if below zero
+   */
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  /**
+   * Compare with another amount
+   * @param {Money} other - Amount in the same currency
+   * @returns {number} Negative, zero or positive
+   */
+  compare(other) {
+    this.assertSameCurrency(other);
+    return this.minor - other.minor;
+  }
+
+  /**
+   * Check equality with another amount
+   * @param {Money} other - Other amount
+   * @returns {boolean} True if currency and amount are the same
+   */
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  /**
+   * Convert to a decimal number
+   * @returns {number} Amount (e.g. 12.35)
+   */
+  toNumber() {
+    return this.minor / 10 ** getFractionDigits(this.currency);
+  }
+
+  /**
+   * Format as a plain decimal string
+   * @returns {string} Amount with all minor unit digits (e.g. "12.30")
+   */
+  toString() {
+    return this.toNumber().toFixed(getFractionDigits(this.currency));
+  }
+}
+
 /**
  * Round amount to 2 decimal places (standard for CHF/EUR)
  * @param {number} amount - Amount to round
  * @returns {number} Rounded amount
  */
 function roundCurrency(amount) {
-  return Math.round((amount + Number.EPSILON) * 100) / 100;
+  return Money.of(amount).toNumber();
 }
 
 /**
@@ -17,7 +322,7 @@ function roundCurrency(amount) {
  * @returns {number} Rounded amount
  */
 function roundSwissCash(amount) {
-  return Math.round(amount * 20) / 20;
+  return Money.of(amount).roundToCash().toNumber();
 }
 
 /**
@@ -28,11 +333,27 @@ function roundSwissCash(amount) {
  * @returns {string} Formatted amount
  */
 function formatCurrency(amount, currency = 'CHF', locale = 'de-CH') {
+  const digits = getFractionDigits(currency);
   return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount);
+}
+
+/**
+ * Format an amount without currency, with the currency's minor unit digits
+ * @param {number} amount - Amount to format
+ * @param {string} [currency] - Currency code (default: CHF)
+ * @param {string} [locale] - Locale for the separators (default: de-CH)
+ * @returns {string} Formatted amount (e.g. "1’234.50", JPY "1’235")
+ */
+function formatAmount(amount, currency = 'CHF', locale = 'de-CH') {
+  const digits = getFractionDigits(currency);
+  return new Intl.NumberFormat(locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
   }).format(amount);
 }
 
@@ -43,7 +364,7 @@ function formatCurrency(amount, currency = 'CHF', locale = 'de-CH') {
  * @returns {number} Calculated percentage amount
  */
 function calculatePercentage(amount, percentage) {
-  return roundCurrency(amount * (percentage / 100));
+  return Money.of(amount).percent(percentage).toNumber();
 }
 
 /**
@@ -63,7 +384,8 @@ function calculateTax(netAmount, taxRate) {
  * @returns {number} Gross amount including tax
  */
 function calculateGross(netAmount, taxRate) {
-  return roundCurrency(netAmount + calculateTax(netAmount, taxRate));
+  const net = Money.of(netAmount);
+  return net.add(net.percent(taxRate)).toNumber();
 }
 
 /**
@@ -73,7 +395,13 @@ function calculateGross(netAmount, taxRate) {
  * @returns {number} Net amount before tax
  */
 function calculateNet(grossAmount, taxRate) {
-  return roundCurrency(grossAmount / (1 + taxRate / 100));
+  const { numerator, denominator } = toFraction(taxRate);
+  const gross = Money.of(grossAmount);
+  // net = gross * 100 / (100 + rate), as one exact division
+  return new Money(
+    divideRounded(BigInt(gross.minor) * denominator * 100n, denominator * 100n + numerator),
+    gross.currency
+  ).toNumber();
 }
 
 /**
@@ -82,17 +410,25 @@ function calculateNet(grossAmount, taxRate) {
  * @returns {number} Rounded sum
  */
 function sumAmounts(amounts) {
-  const sum = amounts.reduce((total, amount) => total + amount, 0);
-  return roundCurrency(sum);
+  return Money.sum(amounts.map(amount => Money.of(amount))).toNumber();
 }
 
 /**
  * Validate currency code
  * @param {string} currency - Currency code to validate
- * @returns {boolean} True if valid
+ * @returns {boolean} True if it is an ISO 4217 currency code
  */
 function isValidCurrency(currency) {
-  return ['CHF', 'EUR'].includes(currency);
+  return Intl.supportedValuesOf('currency').includes(currency);
+}
+
+/**
+ * Check whether a Swiss QR-bill can be issued in a currency
+ * @param {string} currency - Currency code
+ * @returns {boolean} True for CHF and EUR
+ */
+function isQRBillCurrency(currency) {
+  return QR_BILL_CURRENCIES.includes(currency);
 }
 
 /**
@@ -121,12 +457,12 @@ function parseAmount(value) {
   if (typeof value === 'string') {
     // Remove currency symbols and spaces, but keep numbers, dots, commas, and apostrophes
     let cleaned = value.replace(/[^\d.,''-]/g, '');
-    
+
     // Handle Swiss/European number formatting
     // If there are multiple dots and commas, assume the last one is decimal separator
     const lastDot = cleaned.lastIndexOf('.');
     const lastComma = cleaned.lastIndexOf(',');
-    
+
     if (lastDot > lastComma) {
       // Dot is decimal separator, remove commas and apostrophes
       cleaned = cleaned.replace(/[,']/g, '');
@@ -137,7 +473,7 @@ function parseAmount(value) {
       // No decimal separator or only one type, remove apostrophes
       cleaned = cleaned.replace(/'/g, '');
     }
-    
+
     return parseFloat(cleaned) || 0;
   }
 
@@ -145,15 +481,20 @@ function parseAmount(value) {
 }
 
 module.exports = {
+  QR_BILL_CURRENCIES,
+  Money,
+  getFractionDigits,
   roundCurrency,
   roundSwissCash,
   formatCurrency,
+  formatAmount,
   calculatePercentage,
   calculateTax,
   calculateGross,
   calculateNet,
   sumAmounts,
   isValidCurrency,
+  isQRBillCurrency,
   getCurrencySymbol,
   parseAmount,
 };
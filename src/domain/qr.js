@@ -1,75 +1,139 @@
 const { SwissQRBill } = require('swissqrbill/svg');
 const { QRBillDTO } = require('./dto');
+const { createQRReference, createSCORReference } = require('./reference');
+const { mod10CheckDigit, rf97CheckDigits } = require('./checksum');
+const { validateQRBill, isValidIBAN, isQRIBAN } = require('./validation');
+const { buildS1 } = require('./swico');
+const { encodeText } = require('./charset');
+const { isQRBillCurrency } = require('./money');
 const config = require('../config/env');
+const i18n = require('../i18n');
 const logger = require('../utils/logger');
 
 /**
  * Swiss QR-bill generator
  */
 class QRBillGenerator {
+  /**
+   * Get why a document is printed without QR-bill
+   *
+   * Credit notes are not paid by the debtor, other currencies than CHF and EUR
+   * show bank details instead, and paid invoices have nothing left to pay.
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {{field: string, message: string}|null} Reason, null if it has a QR-bill
+   */
+  getOmissionReason(invoice) {
+    if (invoice.isCreditNote()) {
+      return { field: 'type', message: 'credit notes are not paid by the debtor, no QR-bill' };
+    }
+    if (!isQRBillCurrency(invoice.currency)) {
+      return {
+        field: 'currency',
+        message: `${invoice.currency} cannot be paid by QR-bill, bank details are shown instead`,
+      };
+    }
+    if (invoice.getAmountDue() <= 0) {
+      return { field: 'amount', message: 'nothing is due, no QR-bill' };
+    }
+    return null;
+  }
+
   /**
    * Build QRBillDTO from InvoiceDTO
    * @param {InvoiceDTO} invoice - Invoice data
    * @returns {QRBillDTO} QR-bill data
    */
   buildQRBillData(invoice) {
+    const qrBillData = this.createQRBillData(invoice);
+
+    // Validate the QR-bill data
+    this.validate(qrBillData, invoice.number);
+
+    logger.debug(`QR-bill data validated for invoice ${invoice.number}`);
+    return qrBillData;
+  }
+
+  /**
+   * Create QRBillDTO from InvoiceDTO without validating it
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {QRBillDTO} QR-bill data
+   */
+  createQRBillData(invoice) {
     logger.debug(`Building QR-bill data for invoice ${invoice.number}`);
 
-    const qrBillData = new QRBillDTO({
+    // Message and billing information share 140 characters, the billing information has priority
+    const billingInfo = this.buildBillingInfo(invoice);
+
+    return new QRBillDTO({
       account: config.company.iban,
       creditor: invoice.creditor,
       debtor: invoice.debtor,
-      amount: invoice.total,
+      amount: invoice.getAmountDue(),
       currency: invoice.currency,
-      referenceType: config.company.qrReferenceType,
+      referenceType: this.getReferenceType(invoice),
       reference: this.generateReference(invoice),
-      additionalInfo: this.buildAdditionalInfo(invoice),
+      message: this.buildMessage(invoice, 140 - billingInfo.length),
+      additionalInfo: billingInfo,
+      language: invoice.language,
     });
+  }
 
-    // Validate the QR-bill data
-    qrBillData.validate();
+  /**
+   * Validate QR-bill data against the SIX spec, logging warnings
+   * @param {QRBillDTO} qrBillData - QR-bill data
+   * @param {string} number - Invoice number for messages
+   * @throws {Error} Listing every field error if the data is invalid
+   */
+  validate(qrBillData, number) {
+    const { errors, warnings } = validateQRBill(qrBillData);
 
-    logger.debug(`QR-bill data validated for invoice ${invoice.number}`);
-    return qrBillData;
+    warnings.forEach(({ field, message }) => {
+      logger.warn(`QR-bill of invoice ${number}: ${field} ${message}`);
+    });
+
+    if (errors.length > 0) {
+      const details = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+      throw new Error(`Invalid QR-bill data for invoice ${number}: ${details}`);
+    }
   }
 
   /**
-   * Generate reference number based on configuration and invoice
+   * Get the reference type for an invoice (client profile override or company default)
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {string} Reference type (QRR, SCOR, NON)
+   */
+  getReferenceType(invoice) {
+    return invoice.qrReferenceType || config.company.qrReferenceType;
+  }
+
+  /**
+   * Generate the payment reference of an invoice
+   *
+   * Built from the customer number, document type and Harvest invoice ID (or
+   * the invoice number for SCOR, see QR_SCOR_SOURCE), see domain/reference.js.
+   * Reminders reuse the reference of their invoice.
    * @param {InvoiceDTO} invoice - Invoice data
    * @returns {string} Reference number
+   * @throws {Error} If the invoice has no ID or a segment does not fit
    */
   generateReference(invoice) {
-    const referenceType = config.company.qrReferenceType;
-
+    const referenceType = this.getReferenceType(invoice);
     if (referenceType === 'NON') {
       return '';
     }
 
-    if (referenceType === 'SCOR') {
-      // Use configured SCOR reference or generate one
-      if (config.company.qrReference) {
-        return config.company.qrReference;
-      }
-
-      // Generate SCOR reference with invoice number
-      const invoiceNum = invoice.number.replace(/[^0-9]/g, '').padStart(8, '0');
-      const checkDigits = this.calculateRF97CheckDigits(invoiceNum);
-      return `RF${checkDigits}${invoiceNum}`;
+    if (!invoice.id) {
+      throw new Error(`Invoice ${invoice.number} has no ID to build the QR reference from`);
     }
 
-    if (referenceType === 'QRR') {
-      // Use configured QRR reference or generate one
-      if (config.company.qrReference) {
-        return config.company.qrReference;
-      }
-
-      // Generate QRR reference with invoice number
-      const invoiceNum = invoice.number.replace(/[^0-9]/g, '').padStart(20, '0');
-      const checkDigits = this.calculateMod10CheckDigits(invoiceNum);
-      return `${invoiceNum}${checkDigits}`;
-    }
+    const parts = {
+      customerNumber: invoice.customerNumber || invoice.clientId || 0,
+      documentType: invoice.getType() === 'estimate' ? 'estimate' : 'invoice',
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.number,
+    };
 
-    return '';
+    return referenceType === 'QRR' ? createQRReference(parts) : createSCORReference(parts);
   }
 
   /**
@@ -78,17 +142,7 @@ class QRBillGenerator {
    * @returns {string} Two-digit check digits
    */
   calculateRF97CheckDigits(reference) {
-    // Move RF to the end and replace with 2715
-    const rearranged = reference + '2715';
-
-    // Calculate mod 97
-    let remainder = 0;
-    for (let i = 0; i < rearranged.length; i++) {
-      remainder = (remainder * 10 + parseInt(rearranged[i], 10)) % 97;
-    }
-
-    const checkDigits = 98 - remainder;
-    return checkDigits.toString().padStart(2, '0');
+    return rf97CheckDigits(reference);
   }
 
   /**
@@ -97,60 +151,97 @@ class QRBillGenerator {
    * @returns {string} Check digits
    */
   calculateMod10CheckDigits(reference) {
-    const digits = reference.split('').map(Number);
-    let carry = 0;
+    return mod10CheckDigit(reference);
+  }
 
-    const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+  /**
+   * Build the structured billing information (Swico S1) of the QR-bill
+   *
+   * VAT details are only given with COMPANY_VAT_NUMBER, payment conditions only
+   * for documents with a due date. If even the invoice number and date do not
+   * fit, the QR-bill has no billing information and only the message.
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {string} S1 billing information, empty if it does not fit
+   */
+  buildBillingInfo(invoice) {
+    const { vatNumber } = config.company;
+    const vatRates = invoice.getVatRates();
+    const hasVat = vatNumber && vatRates.some(({ rate }) => rate > 0);
+    const paymentDays =
+      invoice.issueDate && invoice.dueDate ? invoice.dueDate.diff(invoice.issueDate, 'day') : -1;
 
-    for (const digit of digits) {
-      carry = table[(carry + digit) % 10];
+    try {
+      return buildS1({
+        invoiceNumber: invoice.number,
+        invoiceDate: invoice.issueDate,
+        customerReference: invoice.customerReference,
+        vatNumber: hasVat ? vatNumber : '',
+        vatRates: hasVat
+          ? vatRates.map(({ rate, net }) => ({ rate, amount: vatRates.length > 1 ? net : null }))
+          : [],
+        conditions: paymentDays >= 0 ? [{ discount: 0, days: paymentDays }] : [],
+      });
+    } catch (error) {
+      logger.warn(`No billing information for invoice ${invoice.number}: ${error.message}`);
+      return '';
     }
-
-    return ((10 - carry) % 10).toString();
   }
 
   /**
-   * Build additional information for QR-bill
+   * Build the unstructured message of the QR-bill
    * @param {InvoiceDTO} invoice - Invoice data
-   * @returns {string} Additional information
+   * @param {number} [maxLength] - Characters left next to the billing information
+   * @returns {string} Unstructured message
    */
-  buildAdditionalInfo(invoice) {
+  buildMessage(invoice, maxLength = 140) {
     const parts = [];
 
     if (invoice.number) {
-      parts.push(`Rechnung ${invoice.number}`);
+      // Reminders quote the original invoice so the payment reconciles against it
+      const label = invoice.getType() === 'estimate' ? 'estimate' : 'invoice';
+      parts.push(`${i18n.t(invoice.language, label)} ${invoice.number}`);
     }
 
     if (invoice.notes && invoice.notes.trim()) {
       parts.push(invoice.notes.trim());
     }
 
-    return parts.join(' / ').substring(0, 140); // Max 140 characters
+    return parts.join(' / ').substring(0, maxLength);
   }
 
   /**
-   * Sanitize text for Swiss QR-bill compatibility
-   * @param {string} text - Text to sanitize
-   * @returns {string} Sanitized text
+   * Encode the text fields of the QR-bill data for the Swiss QR-bill character set
+   * @param {QRBillDTO} qrBillData - QR-bill data
+   * @returns {{fields: object, altered: Array<{field: string, original: string, encoded: string}>}}
+   *   Encoded fields by path (e.g. "debtor.name") and the fields that were changed
    */
-  sanitizeText(text) {
-    if (!text) return '';
-    
-    // Replace common German umlauts and special characters
-    return text
-      .replace(/ä/g, 'ae')
-      .replace(/ö/g, 'oe')
-      .replace(/ü/g, 'ue')
-      .replace(/Ä/g, 'Ae')
-      .replace(/Ö/g, 'Oe')
-      .replace(/Ü/g, 'Ue')
-      .replace(/ß/g, 'ss')
-      // Remove other non-ASCII characters that might cause issues
-      .replace(/[^\x00-\x7F]/g, '');
+  encodeTextFields(qrBillData) {
+    const fields = {};
+    const altered = [];
+    const encode = (field, value) => {
+      const encoded = encodeText(value);
+      if (encoded.altered) {
+        altered.push({ field, original: value, encoded: encoded.text });
+      }
+      fields[field] = encoded.text;
+    };
+
+    ['creditor', 'debtor'].forEach(party => {
+      ['name', 'street', 'buildingNumber', 'zip', 'city'].forEach(key => {
+        encode(`${party}.${key}`, qrBillData[party][key]);
+      });
+    });
+    encode('message', qrBillData.message);
+    encode('additionalInfo', qrBillData.additionalInfo);
+
+    return { fields, altered };
   }
 
   /**
    * Generate Swiss QR-bill SVG
+   *
+   * Text the QR-bill character set does not allow is transliterated; every
+   * changed field is logged as a warning.
    * @param {QRBillDTO} qrBillData - QR-bill data
    * @returns {string} SVG content
    */
@@ -158,26 +249,34 @@ class QRBillGenerator {
     logger.debug('Generating Swiss QR-bill SVG');
 
     try {
+      const { fields, altered } = this.encodeTextFields(qrBillData);
+      altered.forEach(({ field, original, encoded }) => {
+        logger.warn(`QR-bill field ${field} changed from "${original}" to "${encoded}"`);
+      });
+
       // Map our DTO to swissqrbill v4 format
       const swissQRBillData = {
         currency: qrBillData.currency,
         amount: qrBillData.amount,
         creditor: {
           account: qrBillData.account.replace(/\s/g, ''), // Remove spaces from IBAN
-          name: this.sanitizeText(qrBillData.creditor.name),
-          address: this.sanitizeText(qrBillData.creditor.street),
-          zip: qrBillData.creditor.zip,
-          city: this.sanitizeText(qrBillData.creditor.city),
+          name: fields['creditor.name'],
+          address: fields['creditor.street'],
+          buildingNumber: fields['creditor.buildingNumber'] || undefined,
+          zip: fields['creditor.zip'],
+          city: fields['creditor.city'],
           country: qrBillData.creditor.country,
         },
         debtor: {
-          name: this.sanitizeText(qrBillData.debtor.name),
-          address: this.sanitizeText(qrBillData.debtor.street),
-          zip: qrBillData.debtor.zip || '',
-          city: this.sanitizeText(qrBillData.debtor.city),
+          name: fields['debtor.name'],
+          address: fields['debtor.street'],
+          buildingNumber: fields['debtor.buildingNumber'] || undefined,
+          zip: fields['debtor.zip'],
+          city: fields['debtor.city'],
           country: qrBillData.debtor.country,
         },
-        additionalInformation: this.sanitizeText(qrBillData.additionalInfo?.replace(/\r\n/g, ' ').replace(/\n/g, ' ') || ''),
+        message: fields.message,
+        additionalInformation: fields.additionalInfo,
       };
 
       // Add reference only if it exists and is valid
@@ -185,10 +284,12 @@ class QRBillGenerator {
         swissQRBillData.reference = qrBillData.reference;
       }
 
-      // Generate the QR-bill SVG
-      const qrBill = new SwissQRBill(swissQRBillData);
+      // Generate the QR-bill SVG, with the payment part in the document language
+      const qrBill = new SwissQRBill(swissQRBillData, {
+        language: i18n.isSupported(qrBillData.language) ? qrBillData.language.toUpperCase() : 'DE',
+      });
       const svgContent = qrBill.toString();
-      
+
       logger.debug('Successfully generated Swiss QR-bill SVG');
       return svgContent;
     } catch (error) {
@@ -214,26 +315,16 @@ class QRBillGenerator {
    */
   isQRIBAN(iban) {
     // QR-IBAN has IID (Institution ID) between 30000-31999
-    // Pattern: CH + 2 check digits + 3 (first digit of IID) + 0000-1999 (rest of IID range)
-    const qrIbanPattern = /^CH\d{2}3[01]\d{3}\d{12}$/;
-    if (!qrIbanPattern.test(iban)) {
-      return false;
-    }
-    
-    // Extract the IID (positions 4-8)
-    const iid = parseInt(iban.substring(4, 9), 10);
-    return iid >= 30000 && iid <= 31999;
+    return /^(CH|LI)\d{19}$/.test(iban.replace(/\s/g, '')) && isQRIBAN(iban);
   }
 
   /**
-   * Validate IBAN format (basic check)
+   * Validate a Swiss or Liechtenstein IBAN, including its check digits
    * @param {string} iban - IBAN to validate
-   * @returns {boolean} True if valid format
+   * @returns {boolean} True if valid
    */
   isValidIBAN(iban) {
-    // Basic Swiss IBAN format check
-    const ibanPattern = /^CH\d{19}$/;
-    return ibanPattern.test(iban.replace(/\s/g, ''));
+    return isValidIBAN(iban);
   }
 }
 
@@ -0,0 +1,124 @@
+/**
+ * Matching of incoming bank credits against open invoices
+ */
+
+const { normalizeReference } = require('./camt');
+
+/**
+ * Convert an amount to cents for exact comparison
+ * @param {number} amount - Amount
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Normalize a party name for comparison
+ * @param {string} name - Company or person name
+ * @returns {string} Lower-case name with only letters and digits
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check whether the debtor of a bank credit is the client of an invoice
+ *
+ * Banks often shorten or extend the name (e.g. "Muster AG" vs. "Muster AG, Zürich"),
+ * so either name containing the other counts as a match.
+ * @param {string} debtorName - Debtor name from the bank statement
+ * @param {string} clientName - Client name from Harvest
+ * @returns {boolean} True if the names match
+ */
+function isSameParty(debtorName, clientName) {
+  const debtor = normalizeName(debtorName);
+  const client = normalizeName(clientName);
+  if (!debtor || !client) {
+    return false;
+  }
+  return debtor.includes(client) || client.includes(debtor);
+}
+
+/**
+ * Find the invoice a bank credit pays
+ *
+ * Matches by structured reference first. Credits without a reference, or with
+ * one that no single open invoice carries, fall back to the open amount and
+ * the debtor name.
+ * @param {object} entry - Credit entry from parseStatement()
+ * @param {object[]} invoices - Open invoices ({ reference, currency, openAmount, clientName, ... })
+ * @returns {{invoice: object, matchedBy: string}|null} Matching invoice or null
+ */
+function findInvoice(entry, invoices) {
+  const sameCurrency = invoices.filter(invoice => invoice.currency === entry.currency);
+
+  if (entry.reference) {
+    const byReference = sameCurrency.filter(
+      invoice => normalizeReference(invoice.reference) === entry.reference
+    );
+    if (byReference.length === 1) {
+      return { invoice: byReference[0], matchedBy: 'reference' };
+    }
+  }
+
+  const byAmount = sameCurrency.filter(
+    invoice =>
+      toCents(invoice.openAmount) === toCents(entry.amount) &&
+      isSameParty(entry.debtorName, invoice.clientName)
+  );
+  if (byAmount.length >= 1) {
+    // Several equal invoices of one client - settle the oldest first
+    return { invoice: byAmount[0], matchedBy: 'amount' };
+  }
+
+  return null;
+}
+
+/**
+ * Reconcile bank credits against open invoices
+ *
+ * Each match reduces the open amount of the invoice, so a second credit for
+ * the same invoice is compared against what is left.
+ * @param {object[]} entries - Credit entries from parseStatement()
+ * @param {object[]} invoices - Open invoices, oldest first
+ *   ({ id, number, clientName, currency, openAmount, reference })
+ * @returns {object[]} Result per entry ({ entry, invoice, matchedBy, status, openAmount })
+ */
+function reconcile(entries, invoices) {
+  const open = invoices.map(invoice => ({ ...invoice }));
+
+  return entries.map(entry => {
+    const match = findInvoice(
+      entry,
+      open.filter(invoice => invoice.openAmount > 0)
+    );
+    if (!match) {
+      return { entry, invoice: null, matchedBy: null, status: 'unknown', openAmount: null };
+    }
+
+    const { invoice, matchedBy } = match;
+    const difference = toCents(entry.amount) - toCents(invoice.openAmount);
+    let status = 'matched';
+    if (difference < 0) {
+      status = 'partial';
+    } else if (difference > 0) {
+      status = 'overpaid';
+    }
+
+    const openAmount = invoice.openAmount;
+    invoice.openAmount = difference < 0 ? -difference / 100 : 0;
+
+    return { entry, invoice, matchedBy, status, openAmount };
+  });
+}
+
+module.exports = {
+  isSameParty,
+  findInvoice,
+  reconcile,
+};
@@ -0,0 +1,274 @@
+/**
+ * Structured QR-bill payment references (QRR and SCOR)
+ *
+ * Every reference is built from the same segments, right-aligned in front of
+ * the check digit(s):
+ *
+ *   QRR:  [BESR-ID][zeros][customer number][document type][invoice ID][mod 10 check digit]
+ *   SCOR: RF[ISO 11649 check digits][customer number][document type][invoice ID]
+ *
+ * With QR_SCOR_SOURCE=number, SCOR references carry the invoice number instead:
+ *
+ *   SCOR: RF[ISO 11649 check digits][document type][encoded invoice number]
+ *
+ * The Harvest invoice ID is unique per account and the document type keeps
+ * invoices and estimates apart, so every document gets a unique reference.
+ * Invoice numbers are encoded with Z as escape letter (see SEPARATOR_CODES),
+ * so numbers that only differ in their separators keep different references.
+ */
+
+const config = require('../config/env');
+const { mod10CheckDigit, rf97CheckDigits } = require('./checksum');
+
+/**
+ * Document type segment per document type. Reminders pay the invoice and use its reference.
+ */
+const DOCUMENT_TYPES = {
+  invoice: '1',
+  estimate: '2',
+};
+
+/**
+ * Code after the escape letter Z per separator of an invoice number, Z itself is doubled
+ */
+const SEPARATOR_CODES = {
+  '-': '1',
+  '/': '2',
+  '.': '3',
+  _: '4',
+  ' ': '5',
+};
+
+const QRR_LENGTH = 27;
+const SCOR_MAX_BODY_LENGTH = 21;
+
+/**
+ * Pad a numeric segment to its configured width
+ * @param {string|number} value - Segment value
+ * @param {number} width - Segment width in digits
+ * @param {string} name - Segment name for error messages
+ * @returns {string} Zero-padded segment
+ * @throws {Error} If the value is not numeric or does not fit
+ */
+function padSegment(value, width, name) {
+  if (width === 0) {
+    return '';
+  }
+  const digits = String(value ?? '');
+  if (!/^\d+$/.test(digits)) {
+    throw new Error(`QR reference ${name} must be numeric, got "${digits}"`);
+  }
+  // Strip leading zeros so "007" fits into a 1-digit segment
+  const trimmed = digits.replace(/^0+(?=\d)/, '');
+  if (trimmed.length > width) {
+    throw new Error(`QR reference ${name} ${digits} does not fit into ${width} digits`);
+  }
+  return trimmed.padStart(width, '0');
+}
+
+/**
+ * Build the segment digits shared by QRR and SCOR references
+ * @param {object} parts - Reference parts
+ * @param {string|number} parts.customerNumber - Customer number
+ * @param {string} parts.documentType - Document type (invoice or estimate)
+ * @param {string|number} parts.invoiceId - Harvest invoice or estimate ID
+ * @param {object} options - Segment layout (default: config.references)
+ * @returns {string} Segment digits
+ */
+function buildSegments({ customerNumber, documentType, invoiceId }, options) {
+  const typeDigit = DOCUMENT_TYPES[documentType];
+  if (!typeDigit) {
+    throw new Error(`No QR reference document type for "${documentType}"`);
+  }
+
+  return (
+    padSegment(customerNumber || 0, options.customerDigits, 'customer number') +
+    typeDigit +
+    padSegment(invoiceId, options.invoiceDigits, 'invoice ID')
+  );
+}
+
+/**
+ * Create a QR reference (QRR)
+ * @param {object} parts - Reference parts, see buildSegments()
+ * @param {object} [options] - Segment layout and BESR-ID (default: config.references)
+ * @returns {string} 27-digit QR reference
+ */
+function createQRReference(parts, options = config.references) {
+  const segments = buildSegments(parts, options);
+  const padding = QRR_LENGTH - 1 - options.besrId.length - segments.length;
+  if (padding < 0) {
+    throw new Error('QR reference segments exceed 26 digits');
+  }
+
+  const digits = options.besrId + '0'.repeat(padding) + segments;
+  return digits + mod10CheckDigit(digits);
+}
+
+/**
+ * Encode an invoice number with the characters allowed in a creditor reference
+ *
+ * Each separator becomes Z and its code, Z becomes ZZ, so different numbers
+ * never get the same encoding.
+ * @param {string} number - Invoice number (e.g. "DI-2024-A17")
+ * @returns {string} Upper-case letters and digits (e.g. "DIZ12024Z1A17")
+ * @throws {Error} If the number has characters that cannot be encoded
+ */
+function encodeInvoiceNumber(number) {
+  return Array.from(number || '')
+    .map(char => {
+      if (char === 'Z') {
+        return 'ZZ';
+      }
+      if (SEPARATOR_CODES[char]) {
+        return `Z${SEPARATOR_CODES[char]}`;
+      }
+      if (!/[A-Y0-9]/.test(char)) {
+        throw new Error(
+          `Invoice number ${number} cannot be used in a SCOR reference: ` +
+            'only upper-case letters, digits and - / . _ or spaces are allowed'
+        );
+      }
+      return char;
+    })
+    .join('');
+}
+
+/**
+ * Decode an invoice number encoded by encodeInvoiceNumber()
+ * @param {string} encoded - Encoded invoice number (e.g. "DIZ12024Z1A17")
+ * @returns {string} Invoice number (e.g. "DI-2024-A17")
+ * @throws {Error} If an escape sequence is unknown
+ */
+function decodeInvoiceNumber(encoded) {
+  return encoded.replace(/Z(.?)/g, (sequence, code) => {
+    if (code === 'Z') {
+      return 'Z';
+    }
+    const separator = Object.keys(SEPARATOR_CODES).find(key => SEPARATOR_CODES[key] === code);
+    if (!separator) {
+      throw new Error(`Invoice number ${encoded} has an unknown escape sequence ${sequence}`);
+    }
+    return separator;
+  });
+}
+
+/**
+ * Create a creditor reference (SCOR, ISO 11649)
+ * @param {object} parts - Reference parts, see buildSegments()
+ * @param {string} [parts.invoiceNumber] - Invoice number, used with scorSource 'number'
+ * @param {object} [options] - Segment layout and SCOR source (default: config.references)
+ * @returns {string} Creditor reference starting with "RF"
+ */
+function createSCORReference(parts, options = config.references) {
+  let body;
+  if (options.scorSource === 'number') {
+    const typeDigit = DOCUMENT_TYPES[parts.documentType];
+    const number = encodeInvoiceNumber(parts.invoiceNumber);
+    if (!typeDigit || !number) {
+      throw new Error('SCOR reference needs a document type and an invoice number');
+    }
+    body = typeDigit + number;
+  } else {
+    body = buildSegments(parts, options);
+  }
+
+  if (body.length > SCOR_MAX_BODY_LENGTH) {
+    throw new Error(`SCOR reference ${body} exceeds ${SCOR_MAX_BODY_LENGTH} characters`);
+  }
+
+  return `RF${rf97CheckDigits(body)}${body}`;
+}
+
+/**
+ * Check the check digit(s) of a QRR or SCOR reference
+ * @param {string} reference - Reference, spaces allowed
+ * @returns {boolean} True if the check digit(s) are correct
+ */
+function isValidReference(reference) {
+  const compact = (reference || '').replace(/\s/g, '').toUpperCase();
+
+  if (compact.startsWith('RF')) {
+    return (
+      /^RF\d{2}[A-Z0-9]{1,21}$/.test(compact) &&
+      rf97CheckDigits(compact.slice(4)) === compact.slice(2, 4)
+    );
+  }
+
+  if (/^\d{27}$/.test(compact)) {
+    return mod10CheckDigit(compact.slice(0, 26)) === compact[26];
+  }
+
+  return false;
+}
+
+/**
+ * Find the document type of a document type digit
+ * @param {string} typeDigit - Document type segment
+ * @param {string} reference - Reference for error messages
+ * @returns {string} Document type
+ * @throws {Error} If the digit is no known document type
+ */
+function decodeDocumentType(typeDigit, reference) {
+  const documentType = Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type] === typeDigit);
+  if (!documentType) {
+    throw new Error(`QR reference ${reference} has unknown document type ${typeDigit}`);
+  }
+  return documentType;
+}
+
+/**
+ * Decode a reference created by createQRReference() or createSCORReference()
+ * @param {string} reference - QRR or SCOR reference, spaces allowed
+ * @param {object} [options] - Segment layout, BESR-ID and SCOR source (default: config.references)
+ * @returns {{referenceType: string, besrId: string, customerNumber: string,
+ *   documentType: string, invoiceId: string, invoiceNumber: string}} Reference parts
+ * @throws {Error} If the check digits are wrong or the segments do not match the layout
+ */
+function decodeReference(reference, options = config.references) {
+  const compact = (reference || '').replace(/\s/g, '').toUpperCase();
+  if (!isValidReference(compact)) {
+    throw new Error(`Invalid QR reference ${reference}: wrong format or check digits`);
+  }
+
+  const isSCOR = compact.startsWith('RF');
+  if (isSCOR && options.scorSource === 'number') {
+    return {
+      referenceType: 'SCOR',
+      besrId: '',
+      customerNumber: '',
+      documentType: decodeDocumentType(compact[4], reference),
+      invoiceId: '',
+      invoiceNumber: decodeInvoiceNumber(compact.slice(5)),
+    };
+  }
+
+  const digits = isSCOR ? compact.slice(4) : compact.slice(0, 26);
+  const segmentLength = options.customerDigits + 1 + options.invoiceDigits;
+  if ((isSCOR && digits.length !== segmentLength) || /[A-Z]/.test(digits)) {
+    throw new Error(`QR reference ${reference} does not match the configured segment layout`);
+  }
+
+  const segments = digits.slice(-segmentLength);
+  if (!isSCOR && !digits.startsWith(options.besrId)) {
+    throw new Error(`QR reference ${reference} does not start with BESR-ID ${options.besrId}`);
+  }
+
+  return {
+    referenceType: isSCOR ? 'SCOR' : 'QRR',
+    besrId: isSCOR ? '' : options.besrId,
+    customerNumber: segments.slice(0, options.customerDigits).replace(/^0+(?=\d)/, ''),
+    documentType: decodeDocumentType(segments[options.customerDigits], reference),
+    invoiceId: segments.slice(options.customerDigits + 1).replace(/^0+(?=\d)/, ''),
+    invoiceNumber: '',
+  };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  encodeInvoiceNumber,
+  createQRReference,
+  createSCORReference,
+  isValidReference,
+  decodeReference,
+};
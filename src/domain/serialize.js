@@ -0,0 +1,123 @@
+/**
+ * Machine-readable representations of an invoice, attached to PDF/A documents
+ */
+
+const { XMLBuilder } = require('fast-xml-parser');
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {import('dayjs').Dayjs|null} date - Date
+ * @returns {string|null} Formatted date
+ */
+function formatDate(date) {
+  return date ? date.format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Convert an address to a plain object
+ * @param {AddressDTO} address - Address
+ * @returns {object} Address fields
+ */
+function serializeAddress(address) {
+  return {
+    name: address.name,
+    addressLines: address.addressLines,
+    street: address.street || '',
+    buildingNumber: address.buildingNumber,
+    zip: address.zip,
+    city: address.city,
+    country: address.country,
+  };
+}
+
+/**
+ * Convert an invoice to a plain object with its amounts as computed for the document
+ * @param {InvoiceDTO} invoice - Invoice, estimate, reminder or credit note
+ * @returns {object} Invoice data
+ */
+function serializeInvoice(invoice) {
+  return {
+    type: invoice.getType(),
+    number: invoice.number,
+    issueDate: formatDate(invoice.issueDate),
+    dueDate: formatDate(invoice.dueDate),
+    currency: invoice.currency,
+    language: invoice.language,
+    customerReference: invoice.customerReference,
+    originalInvoiceNumber: invoice.originalInvoiceNumber,
+    creditor: serializeAddress(invoice.creditor),
+    debtor: serializeAddress(invoice.debtor),
+    items: invoice.items.map(({ description, quantity, unitPrice, taxRate, total }) => ({
+      description,
+      quantity,
+      unitPrice,
+      taxRate,
+      total,
+    })),
+    subtotal: invoice.subtotal,
+    discountRate: invoice.discountRate,
+    discountAmount: invoice.discountAmount,
+    vatRates: invoice.getVatRates(),
+    taxTotal: invoice.taxTotal,
+    total: invoice.total,
+    payments: invoice.payments.map(payment => ({
+      date: formatDate(payment.paidDate),
+      amount: payment.amount,
+    })),
+    reminder: invoice.reminder
+      ? {
+          level: invoice.reminder.level,
+          date: formatDate(invoice.reminder.date),
+          daysOverdue: invoice.reminder.daysOverdue,
+          fee: invoice.reminder.fee,
+        }
+      : null,
+    amountDue: invoice.getAmountDue(),
+    paymentTerms: invoice.paymentTerms,
+    notes: invoice.notes,
+  };
+}
+
+/**
+ * Serialize an invoice as JSON
+ * @param {InvoiceDTO} invoice - Invoice
+ * @returns {string} JSON document
+ */
+function toJSON(invoice) {
+  return `${JSON.stringify(serializeInvoice(invoice), null, 2)}\n`;
+}
+
+/**
+ * Serialize an invoice as XML, with the same fields as the JSON representation
+ *
+ * Lists become a wrapper element with one child per entry (`<items><item>`),
+ * empty values are left out.
+ * @param {InvoiceDTO} invoice - Invoice
+ * @returns {string} XML document
+ */
+function toXML(invoice) {
+  const data = serializeInvoice(invoice);
+  const withoutNulls = object =>
+    Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+  const address = ({ addressLines, ...fields }) =>
+    withoutNulls({ ...fields, addressLines: { line: addressLines } });
+
+  const builder = new XMLBuilder({ format: true, ignoreAttributes: false });
+  return builder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    invoice: withoutNulls({
+      ...data,
+      creditor: address(data.creditor),
+      debtor: address(data.debtor),
+      items: { item: data.items },
+      vatRates: { vatRate: data.vatRates },
+      payments: { payment: data.payments },
+    }),
+  });
+}
+
+module.exports = {
+  serializeInvoice,
+  toJSON,
+  toXML,
+};
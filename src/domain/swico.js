@@ -0,0 +1,241 @@
+/**
+ * Structured billing information for the QR-bill (Swico S1 syntax)
+ *
+ *   //S1/10/<invoice number>/11/<invoice date>/20/<customer reference>/30/<UID number>
+ *       /31/<VAT date>/32/<VAT rates>/33/<import tax>/40/<payment conditions>
+ *
+ * Dates are YYMMDD, the UID number is given without "CHE" and separators. VAT rates are
+ * either a single rate for the whole invoice ("8.1") or rate:net amount pairs
+ * ("8.1:1000;2.6:51.8"), payment conditions are discount:days pairs ("2:10;0:30").
+ * A "/" inside a value is escaped as "\/", a "\" as "\\".
+ */
+
+const dayjs = require('dayjs');
+
+const PREFIX = '//S1';
+
+/**
+ * Tag per field, in the order they must appear
+ */
+const TAGS = {
+  invoiceNumber: '10',
+  invoiceDate: '11',
+  customerReference: '20',
+  vatNumber: '30',
+  vatDate: '31',
+  vatRates: '32',
+  importTax: '33',
+  conditions: '40',
+};
+
+/**
+ * Optional fields dropped, in this order, when the billing information is too long
+ */
+const DROP_ORDER = [
+  'conditions',
+  'importTax',
+  'vatRates',
+  'vatDate',
+  'customerReference',
+  'vatNumber',
+];
+
+/**
+ * Format a number without trailing zeros
+ * @param {number} value - Number
+ * @returns {string} Formatted number (e.g. "8.1", "1000")
+ */
+function formatNumber(value) {
+  return String(Number(Number(value).toFixed(2)));
+}
+
+/**
+ * Format rate:amount pairs, or a single rate if no amounts are given
+ * @param {Array<{rate: number, amount: number|null}>} rates - Rates with optional amounts
+ * @returns {string} Formatted pairs
+ */
+function formatPairs(rates) {
+  if (rates.length === 1 && (rates[0].amount === null || rates[0].amount === undefined)) {
+    return formatNumber(rates[0].rate);
+  }
+  return rates.map(({ rate, amount }) => `${formatNumber(rate)}:${formatNumber(amount)}`).join(';');
+}
+
+/**
+ * Format the value of a field
+ * @param {string} field - Field name, see TAGS
+ * @param {*} value - Field value
+ * @returns {string} Unescaped tag value, empty if the field is not set
+ */
+function formatValue(field, value) {
+  if ([null, undefined, ''].includes(value) || (Array.isArray(value) && value.length === 0)) {
+    return '';
+  }
+
+  switch (field) {
+    case 'invoiceDate':
+    case 'vatDate':
+      return dayjs(value).format('YYMMDD');
+    case 'vatNumber':
+      return String(value).replace(/\D/g, '');
+    case 'vatRates':
+    case 'importTax':
+      return formatPairs(value);
+    case 'conditions':
+      return value.map(({ discount, days }) => `${formatNumber(discount)}:${days}`).join(';');
+    default:
+      return String(value).trim();
+  }
+}
+
+/**
+ * Build Swico S1 billing information
+ * @param {object} fields - Billing fields (all optional)
+ * @param {string} [fields.invoiceNumber] - Invoice number
+ * @param {dayjs.Dayjs|string} [fields.invoiceDate] - Invoice date
+ * @param {string} [fields.customerReference] - Customer reference (e.g. purchase order)
+ * @param {string} [fields.vatNumber] - Creditor's UID/VAT number (e.g. "CHE-123.456.789 MWST")
+ * @param {dayjs.Dayjs|string} [fields.vatDate] - VAT date if not the invoice date
+ * @param {Array<{rate: number, amount: number|null}>} [fields.vatRates] - VAT rates, net amounts
+ * @param {Array<{rate: number, amount: number}>} [fields.importTax] - Import tax rates, amounts
+ * @param {Array<{discount: number, days: number}>} [fields.conditions] - Payment conditions
+ * @param {number} [maxLength] - Maximum length; optional fields are dropped to fit (default: 140)
+ * @returns {string} Billing information, empty if no field is set
+ * @throws {Error} If the invoice number and date alone exceed the maximum length
+ */
+function buildS1(fields, maxLength = 140) {
+  const build = current => {
+    const parts = Object.keys(TAGS)
+      .map(field => [field, formatValue(field, current[field])])
+      .filter(([, value]) => value)
+      .map(([field, value]) => `/${TAGS[field]}/${value.replace(/[\\/]/g, '\\$&')}`);
+    return parts.length > 0 ? PREFIX + parts.join('') : '';
+  };
+
+  const current = { ...fields };
+  let billingInfo = build(current);
+  for (const field of DROP_ORDER) {
+    if (billingInfo.length <= maxLength) {
+      break;
+    }
+    delete current[field];
+    billingInfo = build(current);
+  }
+
+  if (billingInfo.length > maxLength) {
+    throw new Error(`Billing information exceeds ${maxLength} characters: ${billingInfo}`);
+  }
+  return billingInfo;
+}
+
+/**
+ * Parse rate:amount pairs
+ * @param {string} value - Tag value
+ * @returns {Array<{rate: number, amount: number|null}>} Rates with amounts (null if not given)
+ */
+function parsePairs(value) {
+  return value.split(';').map(pair => {
+    const [rate, amount] = pair.split(':');
+    return { rate: parseFloat(rate), amount: amount === undefined ? null : parseFloat(amount) };
+  });
+}
+
+/**
+ * Parse a YYMMDD date
+ * @param {string} value - Tag value
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function parseDate(value) {
+  if (!/^\d{6}$/.test(value)) {
+    throw new Error(`Invalid S1 date "${value}"`);
+  }
+  return `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+/**
+ * Parse Swico S1 billing information
+ * @param {string} billingInfo - Billing information starting with "//S1/"
+ * @returns {object} Billing fields, see buildS1(); dates as YYYY-MM-DD
+ * @throws {Error} If the text is not valid S1 billing information
+ */
+function parseS1(billingInfo) {
+  if (!billingInfo || !billingInfo.startsWith(`${PREFIX}/`)) {
+    throw new Error('Billing information must start with //S1/');
+  }
+
+  return parseTokens(splitTokens(billingInfo.slice(PREFIX.length + 1)));
+}
+
+/**
+ * Split S1 content at unescaped slashes and unescape the tokens
+ * @param {string} content - Content after "//S1/"
+ * @returns {string[]} Tokens
+ */
+function splitTokens(content) {
+  const tokens = [''];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\\' && i + 1 < content.length) {
+      tokens[tokens.length - 1] += content[++i];
+    } else if (content[i] === '/') {
+      tokens.push('');
+    } else {
+      tokens[tokens.length - 1] += content[i];
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Turn tag/value tokens into billing fields
+ * @param {string[]} tokens - Alternating tags and values
+ * @returns {object} Billing fields
+ * @throws {Error} If a tag is unknown, repeated, out of order or has no value
+ */
+function parseTokens(tokens) {
+  if (tokens.length % 2 !== 0) {
+    throw new Error('S1 billing information must consist of tag/value pairs');
+  }
+
+  const fields = {};
+  let lastTag = '';
+  for (let i = 0; i < tokens.length; i += 2) {
+    const [tag, value] = [tokens[i], tokens[i + 1]];
+    const field = Object.keys(TAGS).find(name => TAGS[name] === tag);
+    if (!field) {
+      throw new Error(`Unknown S1 tag "${tag}"`);
+    }
+    if (tag <= lastTag) {
+      throw new Error(`S1 tag ${tag} is repeated or out of order`);
+    }
+    if (!value) {
+      throw new Error(`S1 tag ${tag} has no value`);
+    }
+    lastTag = tag;
+
+    switch (field) {
+      case 'invoiceDate':
+      case 'vatDate':
+        fields[field] = parseDate(value);
+        break;
+      case 'vatRates':
+      case 'importTax':
+        fields[field] = parsePairs(value);
+        break;
+      case 'conditions':
+        fields[field] = parsePairs(value).map(({ rate, amount }) => ({
+          discount: rate,
+          days: amount,
+        }));
+        break;
+      default:
+        fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+module.exports = {
+  TAGS,
+  buildS1,
+  parseS1,
+};
@@ -0,0 +1,216 @@
+/**
+ * Validation of Swiss QR-bill data against the SIX Implementation Guidelines
+ *
+ * Collects every problem instead of stopping at the first one, so a document can
+ * be checked completely before rendering. Errors make the QR-bill invalid,
+ * warnings point at data that is altered or incomplete on the printed bill.
+ */
+
+const { mod10CheckDigit, mod97, rf97CheckDigits } = require('./checksum');
+const { parseS1 } = require('./swico');
+const { findInvalidCharacters, encodeText } = require('./charset');
+
+/**
+ * ISO 3166-1 alpha-2 country codes
+ */
+const COUNTRY_CODES = new Set(
+  (
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ ' +
+    'BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM ' +
+    'DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS ' +
+    'GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN ' +
+    'KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ ' +
+    'MR MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM ' +
+    'PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV ' +
+    'SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI ' +
+    'VN VU WF WS YE YT ZA ZM ZW'
+  ).split(' ')
+);
+
+/**
+ * Maximum field lengths of the QR-bill address and text fields
+ */
+const MAX_LENGTHS = {
+  name: 70,
+  street: 70,
+  buildingNumber: 16,
+  zip: 16,
+  city: 35,
+  additionalInfo: 140,
+};
+
+/**
+ * Normalize an IBAN for checks (no spaces, upper case)
+ * @param {string} iban - IBAN, spaces allowed
+ * @returns {string} Compact IBAN
+ */
+function compactIBAN(iban) {
+  return (iban || '').replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Check a Swiss or Liechtenstein IBAN, including its mod-97 check digits
+ * @param {string} iban - IBAN, spaces allowed
+ * @returns {boolean} True if valid
+ */
+function isValidIBAN(iban) {
+  const compact = compactIBAN(iban);
+  if (!/^(CH|LI)\d{2}\d{5}[A-Z0-9]{12}$/.test(compact)) {
+    return false;
+  }
+  return mod97(compact.slice(4) + compact.slice(0, 4)) === 1;
+}
+
+/**
+ * Check whether an IBAN is a QR-IBAN (institution ID 30000-31999)
+ * @param {string} iban - IBAN, spaces allowed
+ * @returns {boolean} True if the IBAN is a QR-IBAN
+ */
+function isQRIBAN(iban) {
+  const iid = parseInt(compactIBAN(iban).substring(4, 9), 10);
+  return iid >= 30000 && iid <= 31999;
+}
+
+/**
+ * Validate QR-bill data
+ * @param {QRBillDTO} qrBill - QR-bill data
+ * @returns {{errors: Array<{field: string, message: string}>,
+ *   warnings: Array<{field: string, message: string}>}} Field-level errors and warnings
+ */
+function validateQRBill(qrBill) {
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+
+  const checkText = (field, value, maxLength) => {
+    if (value && value.length > maxLength) {
+      error(field, `must not exceed ${maxLength} characters (has ${value.length})`);
+    }
+    const invalid = findInvalidCharacters(value);
+    if (invalid.length > 0) {
+      warn(
+        field,
+        `contains characters outside the QR-bill character set (${invalid.join(' ')}), ` +
+          `printed as "${encodeText(value).text}"`
+      );
+    }
+  };
+
+  const checkAddress = (party, address, required) => {
+    const isEmpty = !address || (!address.name && !address.zip && !address.city);
+    if (isEmpty) {
+      if (required) {
+        error(party, 'address is required');
+      }
+      return;
+    }
+
+    if (!address.name) {
+      error(`${party}.name`, 'is required');
+    }
+    if (!address.zip) {
+      error(`${party}.zip`, 'is required');
+    }
+    if (!address.city) {
+      error(`${party}.city`, 'is required');
+    }
+    if (!COUNTRY_CODES.has(address.country)) {
+      error(`${party}.country`, `"${address.country || ''}" is not an ISO 3166-1 country code`);
+    }
+    if (!address.street) {
+      warn(`${party}.street`, 'is missing');
+    }
+
+    ['name', 'street', 'buildingNumber', 'zip', 'city'].forEach(field => {
+      checkText(`${party}.${field}`, address[field], MAX_LENGTHS[field]);
+    });
+  };
+
+  // Account
+  const account = compactIBAN(qrBill.account);
+  if (!account) {
+    error('account', 'IBAN is required');
+  } else if (!/^(CH|LI)/.test(account)) {
+    error('account', 'must be a Swiss (CH) or Liechtenstein (LI) IBAN');
+  } else if (!isValidIBAN(account)) {
+    error('account', 'is not a valid IBAN (wrong format or check digits)');
+  }
+
+  // Currency and amount
+  if (!['CHF', 'EUR'].includes(qrBill.currency)) {
+    error('currency', 'must be CHF or EUR');
+  }
+  if (!(qrBill.amount >= 0.01 && qrBill.amount <= 999999999.99)) {
+    error('amount', 'must be between 0.01 and 999,999,999.99');
+  }
+
+  // Reference
+  const reference = (qrBill.reference || '').replace(/\s/g, '').toUpperCase();
+  const qrIBAN = account && isQRIBAN(account);
+  if (qrBill.referenceType === 'QRR') {
+    if (account && !qrIBAN) {
+      error('account', 'QRR references require a QR-IBAN (IID 30000-31999)');
+    }
+    if (!/^\d{27}$/.test(reference)) {
+      error('reference', 'QRR reference must be exactly 27 digits');
+    } else if (mod10CheckDigit(reference.slice(0, 26)) !== reference[26]) {
+      error('reference', 'QRR reference has an invalid check digit');
+    }
+  } else if (qrBill.referenceType === 'SCOR') {
+    if (qrIBAN) {
+      error('account', 'a QR-IBAN can only be used with QRR references');
+    }
+    if (!/^RF\d{2}[A-Z0-9]{1,21}$/.test(reference)) {
+      error(
+        'reference',
+        'SCOR reference must be RF, 2 check digits and up to 21 letters or digits'
+      );
+    } else if (rf97CheckDigits(reference.slice(4)) !== reference.slice(2, 4)) {
+      error('reference', 'SCOR reference has invalid check digits');
+    }
+  } else if (qrBill.referenceType === 'NON') {
+    if (qrIBAN) {
+      error('account', 'a QR-IBAN can only be used with QRR references');
+    }
+    if (reference) {
+      error('reference', 'must be empty for reference type NON');
+    }
+  } else {
+    error('referenceType', 'must be QRR, SCOR, or NON');
+  }
+
+  // Addresses
+  checkAddress('creditor', qrBill.creditor, true);
+  checkAddress('debtor', qrBill.debtor, false);
+
+  // Unstructured message and billing information share 140 characters
+  const message = qrBill.message || '';
+  const additionalInfo = qrBill.additionalInfo || '';
+  if (message.length + additionalInfo.length > MAX_LENGTHS.additionalInfo) {
+    error(
+      'additionalInfo',
+      `message and billing information must not exceed ${MAX_LENGTHS.additionalInfo} ` +
+        `characters together (have ${message.length + additionalInfo.length})`
+    );
+  }
+  checkText('message', message, Infinity);
+  checkText('additionalInfo', additionalInfo, Infinity);
+  if (additionalInfo.startsWith('//S1/')) {
+    try {
+      parseS1(additionalInfo);
+    } catch (parseError) {
+      error('additionalInfo', `is no valid Swico S1 billing information: ${parseError.message}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  COUNTRY_CODES,
+  MAX_LENGTHS,
+  isValidIBAN,
+  isQRIBAN,
+  validateQRBill,
+};
@@ -82,6 +82,58 @@ class HarvestClient {
     }
   }
 
+  /**
+   * Iterate over all records of a paginated Harvest list endpoint
+   *
+   * Follows `links.next` when Harvest provides it and falls back to the
+   * `page`/`total_pages` fields otherwise.
+   * @param {string} path - API endpoint path (e.g. '/invoices')
+   * @param {object} options - Pagination options
+   * @param {object} [options.params] - Query parameters for the first page
+   * @param {string} [options.key] - Response key holding the records (default: last path segment)
+   * @param {number} [options.maxItems] - Stop after yielding this many records
+   * @returns {AsyncGenerator<object>} Records across all pages
+   */
+  async *paginate(path, { params = {}, key, maxItems = Infinity } = {}) {
+    const recordsKey = key || path.split('/').filter(Boolean).pop();
+    let count = 0;
+    let request = { path, params: { per_page: 100, ...params } };
+
+    while (request && count < maxItems) {
+      const response = await this.get(request.path, request.params);
+
+      for (const record of response[recordsKey] || []) {
+        yield record;
+        if (++count >= maxItems) {
+          return;
+        }
+      }
+
+      if (response.links?.next) {
+        // The next link already carries every query parameter
+        request = { path: response.links.next, params: {} };
+      } else if (response.page && response.page < response.total_pages) {
+        request = { path, params: { ...request.params, page: response.page + 1 } };
+      } else {
+        request = null;
+      }
+    }
+  }
+
+  /**
+   * Collect all records of a paginated Harvest list endpoint into an array
+   * @param {string} path - API endpoint path (e.g. '/invoices')
+   * @param {object} options - Pagination options, see paginate()
+   * @returns {Promise<object[]>} Records across all pages
+   */
+  async list(path, options = {}) {
+    const records = [];
+    for await (const record of this.paginate(path, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
   /**
    * Make a POST request to the Harvest API
    * @param {string} path - API endpoint path
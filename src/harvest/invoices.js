@@ -77,13 +77,16 @@ class HarvestInvoices {
   /**
    * Get invoice with related client data
    * @param {string|number} id - Invoice ID
-   * @returns {Promise<{invoice: object, client: object}>} Invoice and client data
+   * @returns {Promise<{invoice: object, client: object, payments: object[]}>} Invoice data
    */
   async getInvoiceWithClient(id) {
     const invoice = await this.getInvoice(id);
-    const clientData = await this.getClient(invoice.client.id);
+    const [clientData, payments] = await Promise.all([
+      this.getClient(invoice.client.id),
+      this.getInvoicePayments(invoice),
+    ]);
 
-    return { invoice, client: clientData };
+    return { invoice, client: clientData, payments };
   }
 
   /**
@@ -154,15 +157,189 @@ class HarvestInvoices {
     }
   }
 
+  /**
+   * List invoices matching the given filters, following all result pages
+   * @param {object} filters - List filters
+   * @param {string|number} [filters.clientId] - Only invoices for this client
+   * @param {string} [filters.from] - Only invoices issued on or after this date (YYYY-MM-DD)
+   * @param {string} [filters.to] - Only invoices issued on or before this date (YYYY-MM-DD)
+   * @param {string} [filters.state] - Only invoices in this state (draft, open, paid)
+   * @param {object} options - List options
+   * @param {number} [options.maxItems] - Maximum number of invoices to return
+   * @returns {Promise<object[]>} Matching invoices
+   */
+  async listInvoices({ clientId, from, to, state } = {}, { maxItems } = {}) {
+    logger.info('Fetching invoice list...');
+
+    try {
+      const invoices = await client.list('/invoices', {
+        params: { client_id: clientId, from, to, state },
+        maxItems,
+      });
+
+      logger.info(`Found ${invoices.length} matching invoice(s)`);
+      return invoices;
+    } catch (error) {
+      logger.error('Failed to list invoices:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List estimates matching the given filters, following all result pages
+   * @param {object} filters - List filters
+   * @param {string|number} [filters.clientId] - Only estimates for this client
+   * @param {string} [filters.from] - Only estimates issued on or after this date (YYYY-MM-DD)
+   * @param {string} [filters.to] - Only estimates issued on or before this date (YYYY-MM-DD)
+   * @param {string} [filters.state] - Only estimates in this state (draft, sent, accepted, declined)
+   * @param {object} options - List options
+   * @param {number} [options.maxItems] - Maximum number of estimates to return
+   * @returns {Promise<object[]>} Matching estimates
+   */
+  async listEstimates({ clientId, from, to, state } = {}, { maxItems } = {}) {
+    logger.info('Fetching estimate list...');
+
+    try {
+      const estimates = await client.list('/estimates', {
+        params: { client_id: clientId, from, to, state },
+        maxItems,
+      });
+
+      logger.info(`Found ${estimates.length} matching estimate(s)`);
+      return estimates;
+    } catch (error) {
+      logger.error('Failed to list estimates:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List clients, following all result pages
+   * @param {object} filters - List filters
+   * @param {boolean} [filters.isActive] - Only active or only archived clients
+   * @param {object} options - List options
+   * @param {number} [options.maxItems] - Maximum number of clients to return
+   * @returns {Promise<object[]>} Clients
+   */
+  async listClients({ isActive } = {}, { maxItems } = {}) {
+    logger.info('Fetching client list...');
+
+    try {
+      const clients = await client.list('/clients', {
+        params: { is_active: isActive },
+        maxItems,
+      });
+
+      logger.info(`Found ${clients.length} client(s)`);
+      return clients;
+    } catch (error) {
+      logger.error('Failed to list clients:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List client contacts, following all result pages
+   * @param {object} filters - List filters
+   * @param {string|number} [filters.clientId] - Only contacts of this client
+   * @param {object} options - List options
+   * @param {number} [options.maxItems] - Maximum number of contacts to return
+   * @returns {Promise<object[]>} Contacts
+   */
+  async listContacts({ clientId } = {}, { maxItems } = {}) {
+    logger.info('Fetching contact list...');
+
+    try {
+      const contacts = await client.list('/contacts', {
+        params: { client_id: clientId },
+        maxItems,
+      });
+
+      logger.info(`Found ${contacts.length} contact(s)`);
+      return contacts;
+    } catch (error) {
+      logger.error('Failed to list contacts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List payments recorded against an invoice, following all result pages
+   * @param {string|number} invoiceId - Invoice ID
+   * @param {object} options - List options
+   * @param {number} [options.maxItems] - Maximum number of payments to return
+   * @returns {Promise<object[]>} Invoice payments
+   */
+  async listPayments(invoiceId, { maxItems } = {}) {
+    logger.info(`Fetching payments of invoice ${invoiceId}...`);
+
+    try {
+      const payments = await client.list(`/invoices/${invoiceId}/payments`, {
+        key: 'invoice_payments',
+        maxItems,
+      });
+
+      logger.info(`Found ${payments.length} payment(s) for invoice ${invoiceId}`);
+      return payments;
+    } catch (error) {
+      logger.error(`Failed to list payments of invoice ${invoiceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a payment against an invoice
+   * @param {string|number} invoiceId - Invoice ID
+   * @param {object} payment - Payment details
+   * @param {number} payment.amount - Amount paid
+   * @param {string} payment.paidDate - Date paid (YYYY-MM-DD)
+   * @param {string} [payment.notes] - Payment notes
+   * @returns {Promise<object>} Created invoice payment
+   */
+  async recordPayment(invoiceId, { amount, paidDate, notes }) {
+    logger.info(`Recording payment of ${amount} for invoice ${invoiceId}...`);
+
+    try {
+      const payment = await client.post(`/invoices/${invoiceId}/payments`, {
+        amount,
+        paid_date: paidDate,
+        notes,
+      });
+
+      logger.info(`Recorded payment ${payment.id} for invoice ${invoiceId}`);
+      return payment;
+    } catch (error) {
+      logger.error(`Failed to record payment for invoice ${invoiceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the payments of an invoice, skipping the request when nothing was paid yet
+   * @param {object} invoice - Harvest invoice data
+   * @returns {Promise<object[]>} Invoice payments
+   */
+  async getInvoicePayments(invoice) {
+    const amount = parseFloat(invoice.amount) || 0;
+    const dueAmount = parseFloat(invoice.due_amount);
+    if (Number.isNaN(dueAmount) || dueAmount >= amount) {
+      return [];
+    }
+    return this.listPayments(invoice.id);
+  }
+
   /**
    * Get the most recent invoice with related client data
-   * @returns {Promise<{invoice: object, client: object}>} Most recent invoice and client data
+   * @returns {Promise<{invoice: object, client: object, payments: object[]}>} Most recent invoice data
    */
   async getLatestInvoiceWithClient() {
     const invoice = await this.getLatestInvoice();
-    const clientData = await this.getClient(invoice.client.id);
+    const [clientData, payments] = await Promise.all([
+      this.getClient(invoice.client.id),
+      this.getInvoicePayments(invoice),
+    ]);
 
-    return { invoice, client: clientData };
+    return { invoice, client: clientData, payments };
   }
 
   /**
@@ -0,0 +1,63 @@
+/**
+ * German labels
+ */
+module.exports = {
+  locale: 'de-CH',
+  dateFormat: 'DD.MM.YYYY',
+  labels: {
+    invoice: 'Rechnung',
+    estimate: 'Offerte',
+    creditNote: 'Gutschrift',
+    reminder: 'Mahnung',
+    reminder1: 'Zahlungserinnerung',
+    reminder2: '2. Mahnung',
+    reminder3: '3. Mahnung',
+    reminderText1:
+      'Sicher ist es Ihrer Aufmerksamkeit entgangen, dass die folgende Rechnung noch offen ist. Wir bitten Sie, den Betrag innert 10 Tagen zu begleichen.',
+    reminderText2:
+      'Leider konnten wir trotz unserer Zahlungserinnerung noch keinen Zahlungseingang feststellen. Wir bitten Sie, den offenen Betrag innert 10 Tagen zu überweisen.',
+    reminderText3:
+      'Trotz wiederholter Mahnung ist die folgende Rechnung noch immer offen. Begleichen Sie den Betrag bitte innert 5 Tagen, ansonsten leiten wir weitere Schritte ein.',
+    reminderIgnore:
+      'Sollte sich Ihre Zahlung mit diesem Schreiben gekreuzt haben, betrachten Sie es bitte als gegenstandslos.',
+    invoiceNumber: 'Rechnungsnummer',
+    invoiceDate: 'Rechnungsdatum',
+    originalInvoice: 'Zu Rechnung',
+    creditNoteNotice: 'Der Betrag wird Ihnen gutgeschrieben. Bitte nicht einzahlen.',
+    daysOverdue: 'Tage überfällig',
+    openAmount: 'Offener Betrag',
+    reminderFee: 'Mahngebühr',
+    totalDue: 'Zu bezahlen',
+    cashRounding: 'Rundungsdifferenz',
+    number: 'Nummer',
+    date: 'Datum',
+    dueDate: 'Fällig',
+    billTo: 'Empfänger',
+    description: 'Beschreibung',
+    quantity: 'Menge',
+    unitPrice: 'Einzelpreis',
+    amount: 'Betrag',
+    totalHours: 'Total Stunden',
+    subtotal: 'Zwischensumme',
+    discount: 'Rabatt',
+    vat: 'MWST',
+    vatRate: 'MWST-Satz',
+    netAmount: 'Netto',
+    vatExempt: 'Steuerfrei',
+    total: 'Total',
+    comments: 'Bemerkungen',
+    paymentInformation: 'Zahlungsinformationen',
+    paymentInstructions: 'Bitte verwenden Sie für die Zahlung den beigefügten QR-Code.',
+    bankTransferInstructions:
+      'Bitte überweisen Sie den Betrag unter Angabe der Rechnungsnummer auf folgendes Konto:',
+    accountHolder: 'Kontoinhaber',
+    paymentReference: 'Zahlungszweck',
+    paymentHistory: 'Zahlungseingänge',
+    paymentOn: 'Zahlung vom',
+    amountPaid: 'Bereits bezahlt',
+    paidInFull: 'Diese Rechnung ist vollständig bezahlt.',
+    carryForward: 'Übertrag',
+    pageOf: 'Seite {page} von {pages}',
+    thankYou: 'Vielen Dank für Ihr Vertrauen!',
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * English labels
+ */
+module.exports = {
+  locale: 'en-GB',
+  dateFormat: 'DD/MM/YYYY',
+  labels: {
+    invoice: 'Invoice',
+    estimate: 'Estimate',
+    creditNote: 'Credit Note',
+    reminder: 'Reminder',
+    reminder1: 'Payment Reminder',
+    reminder2: 'Second Reminder',
+    reminder3: 'Final Reminder',
+    reminderText1:
+      'Our records show that the following invoice is still outstanding. Please settle the amount within 10 days.',
+    reminderText2:
+      'Despite our reminder we have not yet received your payment. Please transfer the outstanding amount within 10 days.',
+    reminderText3:
+      'Despite repeated reminders the following invoice is still unpaid. Please settle the amount within 5 days, otherwise we will take further steps.',
+    reminderIgnore: 'If your payment has crossed with this letter, please disregard it.',
+    invoiceNumber: 'Invoice Number',
+    invoiceDate: 'Invoice Date',
+    originalInvoice: 'Original Invoice',
+    creditNoteNotice: 'This amount will be credited to you. Please do not pay it.',
+    daysOverdue: 'Days Overdue',
+    openAmount: 'Open Amount',
+    reminderFee: 'Reminder Fee',
+    totalDue: 'Amount Due',
+    cashRounding: 'Rounding difference',
+    number: 'Number',
+    date: 'Date',
+    dueDate: 'Due',
+    billTo: 'Bill To',
+    description: 'Description',
+    quantity: 'Quantity',
+    unitPrice: 'Unit Price',
+    amount: 'Amount',
+    totalHours: 'Total Hours',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    vat: 'VAT',
+    vatRate: 'VAT rate',
+    netAmount: 'Net',
+    vatExempt: 'Exempt',
+    total: 'Total',
+    comments: 'Comments',
+    paymentInformation: 'Payment Information',
+    paymentInstructions: 'Please use the attached QR code for payment.',
+    bankTransferInstructions:
+      'Please transfer the amount to the following account, quoting the invoice number:',
+    accountHolder: 'Account Holder',
+    paymentReference: 'Payment Reference',
+    paymentHistory: 'Payments Received',
+    paymentOn: 'Payment of',
+    amountPaid: 'Already Paid',
+    paidInFull: 'This invoice has been paid in full.',
+    carryForward: 'Carried forward',
+    pageOf: 'Page {page} of {pages}',
+    thankYou: 'Thank you for your trust!',
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * French labels
+ */
+module.exports = {
+  locale: 'fr-CH',
+  dateFormat: 'DD.MM.YYYY',
+  labels: {
+    invoice: 'Facture',
+    estimate: 'Devis',
+    creditNote: 'Note de crédit',
+    reminder: 'Rappel',
+    reminder1: 'Rappel de paiement',
+    reminder2: '2e rappel',
+    reminder3: '3e rappel',
+    reminderText1:
+      'La facture suivante semble vous avoir échappé et reste impayée. Nous vous prions de bien vouloir en régler le montant dans les 10 jours.',
+    reminderText2:
+      "Malgré notre rappel, nous n'avons pas encore reçu votre paiement. Nous vous prions de virer le montant dû dans les 10 jours.",
+    reminderText3:
+      "Malgré nos rappels répétés, la facture suivante reste impayée. Veuillez en régler le montant dans les 5 jours, faute de quoi nous engagerons d'autres démarches.",
+    reminderIgnore:
+      'Si votre paiement a croisé ce courrier, nous vous prions de ne pas en tenir compte.',
+    invoiceNumber: 'Numéro de facture',
+    invoiceDate: 'Date de facture',
+    originalInvoice: 'Concerne la facture',
+    creditNoteNotice: 'Ce montant vous sera crédité. Veuillez ne pas le payer.',
+    daysOverdue: 'Jours de retard',
+    openAmount: 'Montant ouvert',
+    reminderFee: 'Frais de rappel',
+    totalDue: 'À payer',
+    cashRounding: 'Arrondi',
+    number: 'Numéro',
+    date: 'Date',
+    dueDate: 'Échéance',
+    billTo: 'Destinataire',
+    description: 'Description',
+    quantity: 'Quantité',
+    unitPrice: 'Prix unitaire',
+    amount: 'Montant',
+    totalHours: 'Total heures',
+    subtotal: 'Sous-total',
+    discount: 'Rabais',
+    vat: 'TVA',
+    vatRate: 'Taux de TVA',
+    netAmount: 'Net',
+    vatExempt: 'Exonéré',
+    total: 'Total',
+    comments: 'Remarques',
+    paymentInformation: 'Informations de paiement',
+    paymentInstructions: 'Veuillez utiliser le code QR ci-joint pour le paiement.',
+    bankTransferInstructions:
+      'Veuillez virer le montant sur le compte suivant en indiquant le numéro de facture :',
+    accountHolder: 'Titulaire du compte',
+    paymentReference: 'Motif du paiement',
+    paymentHistory: 'Paiements reçus',
+    paymentOn: 'Paiement du',
+    amountPaid: 'Déjà payé',
+    paidInFull: 'Cette facture est entièrement payée.',
+    carryForward: 'Report',
+    pageOf: 'Page {page} sur {pages}',
+    thankYou: 'Merci de votre confiance !',
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Translation catalog for invoice labels, date formats and QR-bill texts
+ */
+const catalogs = {
+  de: require('./de'),
+  fr: require('./fr'),
+  it: require('./it'),
+  en: require('./en'),
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+const DEFAULT_LANGUAGE = 'de';
+
+class I18n {
+  /**
+   * Check whether a language is supported
+   * @param {string} language - Language code (de, fr, it, en)
+   * @returns {boolean} True if supported
+   */
+  isSupported(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+  }
+
+  /**
+   * Get the catalog for a language, falling back to German
+   * @param {string} language - Language code
+   * @returns {{locale: string, dateFormat: string, labels: object}} Catalog
+   */
+  getCatalog(language) {
+    return catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * Translate a label
+   * @param {string} language - Language code
+   * @param {string} key - Label key
+   * @returns {string} Translated label, or the key itself if unknown
+   */
+  t(language, key) {
+    return this.getCatalog(language).labels[key] ?? key;
+  }
+
+  /**
+   * Format a date in the language's date format
+   * @param {dayjs.Dayjs|null} date - Date to format
+   * @param {string} language - Language code
+   * @returns {string} Formatted date or empty string
+   */
+  formatDate(date, language) {
+    if (!date) {
+      return '';
+    }
+    return date.format(this.getCatalog(language).dateFormat);
+  }
+}
+
+module.exports = new I18n();
+module.exports.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
@@ -0,0 +1,63 @@
+/**
+ * Italian labels
+ */
+module.exports = {
+  locale: 'it-CH',
+  dateFormat: 'DD.MM.YYYY',
+  labels: {
+    invoice: 'Fattura',
+    estimate: 'Preventivo',
+    creditNote: 'Nota di credito',
+    reminder: 'Sollecito',
+    reminder1: 'Promemoria di pagamento',
+    reminder2: '2° sollecito',
+    reminder3: '3° sollecito',
+    reminderText1:
+      'Probabilmente le è sfuggito che la seguente fattura risulta ancora aperta. La preghiamo di saldare l’importo entro 10 giorni.',
+    reminderText2:
+      'Nonostante il nostro promemoria non abbiamo ancora ricevuto il pagamento. La preghiamo di versare l’importo aperto entro 10 giorni.',
+    reminderText3:
+      'Nonostante ripetuti solleciti la seguente fattura risulta ancora aperta. La preghiamo di saldare l’importo entro 5 giorni, altrimenti avvieremo ulteriori passi.',
+    reminderIgnore:
+      'Se il suo pagamento si è incrociato con questa lettera, la preghiamo di non tenerne conto.',
+    invoiceNumber: 'Numero fattura',
+    invoiceDate: 'Data fattura',
+    originalInvoice: 'Relativa alla fattura',
+    creditNoteNotice: 'L’importo le sarà accreditato. La preghiamo di non pagarlo.',
+    daysOverdue: 'Giorni di ritardo',
+    openAmount: 'Importo aperto',
+    reminderFee: 'Spese di sollecito',
+    totalDue: 'Da pagare',
+    cashRounding: 'Arrotondamento',
+    number: 'Numero',
+    date: 'Data',
+    dueDate: 'Scadenza',
+    billTo: 'Destinatario',
+    description: 'Descrizione',
+    quantity: 'Quantità',
+    unitPrice: 'Prezzo unitario',
+    amount: 'Importo',
+    totalHours: 'Totale ore',
+    subtotal: 'Subtotale',
+    discount: 'Sconto',
+    vat: 'IVA',
+    vatRate: 'Aliquota IVA',
+    netAmount: 'Netto',
+    vatExempt: 'Esente',
+    total: 'Totale',
+    comments: 'Osservazioni',
+    paymentInformation: 'Informazioni di pagamento',
+    paymentInstructions: 'Si prega di utilizzare il codice QR allegato per il pagamento.',
+    bankTransferInstructions:
+      'La preghiamo di versare l’importo sul seguente conto indicando il numero della fattura:',
+    accountHolder: 'Titolare del conto',
+    paymentReference: 'Causale',
+    paymentHistory: 'Pagamenti ricevuti',
+    paymentOn: 'Pagamento del',
+    amountPaid: 'Già pagato',
+    paidInFull: 'Questa fattura è interamente pagata.',
+    carryForward: 'Riporto',
+    pageOf: 'Pagina {page} di {pages}',
+    thankYou: 'Grazie per la vostra fiducia!',
+  },
+};
@@ -0,0 +1,168 @@
+const puppeteer = require('puppeteer');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a page may load a URL - only inlined content, never the network
+ * @param {string} url - Requested URL
+ * @returns {boolean} True for data: URLs and about:blank
+ */
+function isInlineUrl(url) {
+  return url.startsWith('data:') || url === 'about:blank';
+}
+
+/**
+ * Shared headless browser with a bounded pool of reusable pages
+ *
+ * The browser is launched lazily on first use and kept open until close()
+ * is called, so rendering many documents only pays the launch cost once.
+ */
+class BrowserPool {
+  /**
+   * @param {object} options - Pool options
+   * @param {number} [options.concurrency] - Maximum number of pages rendering at the same time
+   * @param {object|function(): object} [options.launchOptions] - Options passed to
+   *   puppeteer.launch, or a function returning them when the browser is launched
+   */
+  constructor({ concurrency = 4, launchOptions = {} } = {}) {
+    this.concurrency = concurrency;
+    this.launchOptions = launchOptions;
+    this.browserPromise = null;
+    this.idlePages = [];
+    this.activeCount = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Get the shared browser, launching it on first use
+   * @returns {Promise<import('puppeteer').Browser>} Browser instance
+   */
+  async getBrowser() {
+    if (!this.browserPromise) {
+      logger.debug('Launching shared browser...');
+
+      const resolveLaunchOptions = () =>
+        typeof this.launchOptions === 'function' ? this.launchOptions() : this.launchOptions;
+
+      this.browserPromise = Promise.resolve()
+        .then(() => puppeteer.launch(resolveLaunchOptions()))
+        .then(browser => {
+          browser.on('disconnected', () => {
+            logger.debug('Shared browser disconnected');
+            this.browserPromise = null;
+            this.idlePages = [];
+          });
+          return browser;
+        });
+
+      // Allow a later call to retry if the launch itself failed
+      this.browserPromise.catch(() => {
+        this.browserPromise = null;
+      });
+    }
+
+    return this.browserPromise;
+  }
+
+  /**
+   * Run a task with a page from the pool
+   *
+   * Waits for a free slot when `concurrency` pages are already in use. The
+   * page is returned to the pool afterwards, or discarded if the task failed.
+   * @param {function(import('puppeteer').Page): Promise<any>} task - Task to run
+   * @returns {Promise<any>} Task result
+   */
+  async withPage(task) {
+    await this.acquireSlot();
+
+    let page;
+    let healthy = false;
+    try {
+      page = this.idlePages.pop() || (await this.createPage());
+      const result = await task(page);
+      healthy = true;
+      return result;
+    } finally {
+      if (page && healthy && !page.isClosed()) {
+        this.idlePages.push(page);
+      } else if (page && !page.isClosed()) {
+        await page.close().catch(error => logger.warn('Error closing page:', error.message));
+      }
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Open a new page with the default render timeouts and without network access
+   *
+   * Documents inline their fonts and images, so any other request can only come
+   * from injected content and is aborted.
+   * @returns {Promise<import('puppeteer').Page>} New page
+   */
+  async createPage() {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+
+    page.setDefaultTimeout(60000);
+    page.setDefaultNavigationTimeout(60000);
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (isInlineUrl(request.url())) {
+        request.continue();
+      } else {
+        logger.warn(`Blocked request to ${request.url()}`);
+        request.abort('blockedbyclient');
+      }
+    });
+
+    return page;
+  }
+
+  /**
+   * Wait until fewer than `concurrency` pages are in use
+   */
+  async acquireSlot() {
+    if (this.activeCount < this.concurrency) {
+      this.activeCount++;
+      return;
+    }
+
+    // The releasing task hands its slot over directly
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  /**
+   * Hand the slot to the next waiting task, or free it
+   */
+  releaseSlot() {
+    const resumeWaiting = this.waiting.shift();
+    if (resumeWaiting) {
+      resumeWaiting();
+    } else {
+      this.activeCount--;
+    }
+  }
+
+  /**
+   * Close the shared browser and all pooled pages
+   */
+  async close() {
+    if (!this.browserPromise) {
+      return;
+    }
+
+    const browserPromise = this.browserPromise;
+    this.browserPromise = null;
+    this.idlePages = [];
+
+    try {
+      const browser = await browserPromise;
+      await browser.close();
+      logger.debug('Browser closed successfully');
+    } catch (error) {
+      logger.warn('Error closing browser:', error.message);
+    }
+  }
+}
+
+module.exports = BrowserPool;
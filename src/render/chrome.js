@@ -0,0 +1,81 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Well-known Chrome/Chromium install locations per platform
+ */
+const KNOWN_PATHS = {
+  linux: [
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/google-chrome',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/snap/bin/chromium',
+  ],
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  ],
+  win32: [
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+  ],
+};
+
+/**
+ * Get Puppeteer's bundled Chromium path, if it was downloaded
+ * @returns {string|null} Executable path or null
+ */
+function getBundledPath() {
+  try {
+    const bundledPath = puppeteer.executablePath();
+    return bundledPath && fs.existsSync(bundledPath) ? bundledPath : null;
+  } catch (error) {
+    logger.debug('No bundled Chromium available:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find the Chrome executable used for PDF rendering
+ *
+ * Lookup order: CHROME_PATH, Puppeteer's bundled Chromium, then the
+ * well-known install locations of the current platform.
+ * @param {string} [platform] - Platform to look up known paths for (default: current)
+ * @returns {string} Path to the Chrome executable
+ * @throws {Error} If no executable can be found
+ */
+function resolveExecutablePath(platform = process.platform) {
+  const configuredPath = config.render.chromePath;
+  if (configuredPath) {
+    if (!fs.existsSync(configuredPath)) {
+      throw new Error(`CHROME_PATH does not exist: ${configuredPath}`);
+    }
+    logger.debug(`Using Chrome from CHROME_PATH: ${configuredPath}`);
+    return configuredPath;
+  }
+
+  const bundledPath = getBundledPath();
+  if (bundledPath) {
+    logger.debug(`Using Puppeteer's bundled Chromium: ${bundledPath}`);
+    return bundledPath;
+  }
+
+  const knownPath = (KNOWN_PATHS[platform] || []).find(candidate => fs.existsSync(candidate));
+  if (knownPath) {
+    logger.debug(`Using Chrome found at: ${knownPath}`);
+    return knownPath;
+  }
+
+  throw new Error(
+    'No Chrome or Chromium executable found. Set CHROME_PATH, run ' +
+      '`npx puppeteer browsers install chrome`, or use --format html.'
+  );
+}
+
+module.exports = {
+  KNOWN_PATHS,
+  resolveExecutablePath,
+};
@@ -0,0 +1,172 @@
+/**
+ * sRGB ICC profile for the PDF/A output intent
+ *
+ * PDF/A needs the colours of a document described by an embedded ICC profile.
+ * Rather than shipping an opaque binary, the profile is built here as an ICC
+ * version 2 display profile from the sRGB primaries (adapted to D50) and the
+ * sRGB tone curve, so it is available offline and can be reviewed.
+ */
+
+/**
+ * Name of the colour space, used as the output condition of PDF/A documents
+ */
+const SRGB_NAME = 'sRGB IEC61966-2.1';
+
+// D50 white point of the profile connection space
+const D50 = [0.9642, 1.0, 0.8249];
+
+// sRGB primaries adapted to D50 (Bradford)
+const PRIMARIES = {
+  rXYZ: [0.4360747, 0.2225045, 0.0139322],
+  gXYZ: [0.3850649, 0.7168786, 0.0971045],
+  bXYZ: [0.1430804, 0.0606169, 0.7141733],
+};
+
+// Entries of the sampled tone curve
+const CURVE_POINTS = 1024;
+
+/**
+ * Encode a number as s15Fixed16Number
+ * @param {number} value - Value
+ * @returns {Buffer} 4 bytes
+ */
+function s15Fixed16(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+}
+
+/**
+ * Build a tag with its type signature and the reserved bytes
+ * @param {string} type - Tag type signature
+ * @param {Buffer[]} parts - Tag data
+ * @returns {Buffer} Tag
+ */
+function tag(type, parts) {
+  return Buffer.concat([Buffer.from(type, 'ascii'), Buffer.alloc(4), ...parts]);
+}
+
+/**
+ * Build an XYZType tag
+ * @param {number[]} xyz - X, Y and Z
+ * @returns {Buffer} Tag
+ */
+function xyzTag(xyz) {
+  return tag('XYZ ', xyz.map(s15Fixed16));
+}
+
+/**
+ * Build a textDescriptionType tag with an ASCII description only
+ * @param {string} text - Description
+ * @returns {Buffer} Tag
+ */
+function descriptionTag(text) {
+  const ascii = Buffer.from(`${text}\0`, 'ascii');
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(ascii.length);
+  // Empty Unicode (language and count) and ScriptCode (code, count and 67 bytes) descriptions
+  return tag('desc', [count, ascii, Buffer.alloc(8), Buffer.alloc(3 + 67)]);
+}
+
+/**
+ * Build a textType tag
+ * @param {string} text - Text
+ * @returns {Buffer} Tag
+ */
+function textTag(text) {
+  return tag('text', [Buffer.from(`${text}\0`, 'ascii')]);
+}
+
+/**
+ * Build a curveType tag sampling the sRGB tone curve
+ * @returns {Buffer} Tag
+ */
+function srgbCurveTag() {
+  const curve = Buffer.alloc(4 + CURVE_POINTS * 2);
+  curve.writeUInt32BE(CURVE_POINTS);
+  for (let i = 0; i < CURVE_POINTS; i++) {
+    const value = i / (CURVE_POINTS - 1);
+    const linear = value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    curve.writeUInt16BE(Math.round(linear * 65535), 4 + i * 2);
+  }
+  return tag('curv', [curve]);
+}
+
+/**
+ * Pad a buffer to a multiple of 4 bytes, as tags must start on a 4-byte boundary
+ * @param {Buffer} buffer - Data
+ * @returns {Buffer} Padded data
+ */
+function pad(buffer) {
+  return Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)]);
+}
+
+/**
+ * Build the 128-byte profile header
+ * @param {number} size - Profile size in bytes
+ * @returns {Buffer} Header
+ */
+function header(size) {
+  const buffer = Buffer.alloc(128);
+  buffer.writeUInt32BE(size, 0);
+  buffer.writeUInt32BE(0x02100000, 8); // Version 2.1
+  buffer.write('mntr', 12, 'ascii'); // Display device
+  buffer.write('RGB ', 16, 'ascii');
+  buffer.write('XYZ ', 20, 'ascii'); // Profile connection space
+  // Creation date, fixed so the profile is the same in every document
+  [2024, 1, 1, 0, 0, 0].forEach((value, index) => buffer.writeUInt16BE(value, 24 + index * 2));
+  buffer.write('acsp', 36, 'ascii');
+  buffer.writeUInt32BE(0, 64); // Perceptual rendering intent
+  D50.forEach((value, index) => s15Fixed16(value).copy(buffer, 68 + index * 4));
+  return buffer;
+}
+
+let profile = null;
+
+/**
+ * Get the sRGB ICC profile
+ * @returns {Buffer} ICC profile
+ */
+function getSRGBProfile() {
+  if (profile) {
+    return profile;
+  }
+
+  const curve = srgbCurveTag();
+  const tags = [
+    ['desc', descriptionTag(SRGB_NAME)],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(D50)],
+    ...Object.entries(PRIMARIES).map(([signature, xyz]) => [signature, xyzTag(xyz)]),
+    // The three channels share the same curve data
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve],
+  ];
+
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length);
+
+  const data = [];
+  const offsets = new Map();
+  let offset = 128 + table.length;
+  tags.forEach(([signature, content], index) => {
+    if (!offsets.has(content)) {
+      offsets.set(content, offset);
+      data.push(pad(content));
+      offset += data.at(-1).length;
+    }
+    const entry = 4 + index * 12;
+    table.write(signature, entry, 'ascii');
+    table.writeUInt32BE(offsets.get(content), entry + 4);
+    table.writeUInt32BE(content.length, entry + 8);
+  });
+
+  profile = Buffer.concat([header(offset), table, ...data]);
+  return profile;
+}
+
+module.exports = {
+  SRGB_NAME,
+  getSRGBProfile,
+};
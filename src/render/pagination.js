@@ -0,0 +1,180 @@
+/**
+ * Page layout for multi-page documents
+ *
+ * Documents are paginated before rendering, so the HTML output is paginated
+ * the same way as the PDF. Heights are estimated in millimetres from the
+ * print styles (styles.css) and err on the generous side: a page that is
+ * too full would push the QR-bill off its position at the bottom.
+ */
+const { Money } = require('../domain/money');
+
+/**
+ * A4 page layout in mm, see styles.css
+ */
+const LAYOUT = {
+  pageHeight: 297,
+  pagePadding: 20,
+  qrBillHeight: 110, // 105mm payment part plus the gap above it
+  pageNumberHeight: 8, // Page number above the QR-bill, otherwise it is in the padding
+  firstHeaderHeight: 125, // Logo, company, document details and debtor address
+  nextHeaderHeight: 20, // Company name and document number
+  tableHeadHeight: 10,
+  tableMargin: 15,
+  rowHeight: 10.5, // Line item with one line of text
+  lineHeight: 4.5, // Every further line of a line item
+  charsPerLine: 50, // Characters per line of the description column
+  totalsRowHeight: 9,
+  vatRowHeight: 8,
+  notesHeight: 48, // Margins and label of the notes
+  notesLineHeight: 4.8,
+  notesCharsPerLine: 65,
+  paymentInfoHeight: 25,
+  bankRowHeight: 5,
+};
+
+/**
+ * Height available for content on a page
+ * @param {boolean} qrBill - Whether the page has the QR-bill at the bottom
+ * @returns {number} Height in mm
+ */
+function contentHeight(qrBill) {
+  const { pageHeight, pagePadding, qrBillHeight, pageNumberHeight } = LAYOUT;
+  return qrBill
+    ? pageHeight - pagePadding - qrBillHeight - pageNumberHeight
+    : pageHeight - 2 * pagePadding;
+}
+
+/**
+ * Count the lines a text wraps to
+ * @param {string} text - Text with optional line breaks
+ * @param {number} charsPerLine - Characters that fit on a line
+ * @returns {number} Number of lines
+ */
+function countLines(text, charsPerLine) {
+  return String(text || '')
+    .split('\n')
+    .reduce((lines, line) => lines + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+}
+
+/**
+ * Estimate the height of a line item row
+ * @param {{description: string}} item - Line item
+ * @returns {number} Height in mm
+ */
+function estimateItemHeight(item) {
+  const lines = countLines(item.description, LAYOUT.charsPerLine);
+  return LAYOUT.rowHeight + (lines - 1) * LAYOUT.lineHeight;
+}
+
+/**
+ * Estimate the height of everything below the line items: totals, VAT summary,
+ * payment history, notes, payment information and bank details
+ * @param {object} sections - Section sizes
+ * @param {number} sections.totalsRows - Rows of the totals table
+ * @param {number} [sections.vatRows] - Rows of the VAT summary (0 if none)
+ * @param {number} [sections.paymentRows] - Payments in the payment history (0 if none)
+ * @param {string} [sections.notes] - Notes text
+ * @param {number} [sections.bankRows] - Rows of the bank details (0 if none)
+ * @returns {number} Height in mm
+ */
+function estimateClosingHeight({ totalsRows, vatRows = 0, paymentRows = 0, notes, bankRows = 0 }) {
+  const { tableMargin, totalsRowHeight, vatRowHeight } = LAYOUT;
+  // Margin below the line items and the totals table
+  let height = 2 * tableMargin + totalsRows * totalsRowHeight;
+
+  if (vatRows > 0) {
+    height += tableMargin + (vatRows + 1) * vatRowHeight;
+  }
+  if (paymentRows > 0) {
+    height += tableMargin + (paymentRows + 2) * totalsRowHeight;
+  }
+  if (notes) {
+    height +=
+      LAYOUT.notesHeight + countLines(notes, LAYOUT.notesCharsPerLine) * LAYOUT.notesLineHeight;
+  }
+  height += LAYOUT.paymentInfoHeight;
+  if (bankRows > 0) {
+    height += (bankRows + 1) * LAYOUT.bankRowHeight;
+  }
+  return height;
+}
+
+/**
+ * Split the line items of a document into pages
+ *
+ * Every page but the last ends with the running total of its line items, which
+ * the next page starts with. The totals and the rest of the document follow the
+ * last line item, on a new page if they do not fit. The QR-bill is placed at the
+ * bottom of the last page, or on a page of its own if there is no room for it.
+ * @param {Array<{description: string, total: number}>} items - Line items
+ * @param {object} options - Layout options
+ * @param {number} options.closingHeight - Height below the line items, see estimateClosingHeight()
+ * @param {boolean} options.qrBill - Whether the document has a QR-bill
+ * @param {string} [options.currency] - Currency of the running totals (default: CHF)
+ * @returns {Array<{number: number, first: boolean, items: object[], carriedOver: number|null,
+ *   carryForward: number|null, closing: boolean, qrBill: boolean}>} Pages
+ */
+function paginate(items, { closingHeight, qrBill, currency = 'CHF' }) {
+  const { firstHeaderHeight, nextHeaderHeight, tableHeadHeight, rowHeight } = LAYOUT;
+  const heights = items.map(estimateItemHeight);
+  const itemsHeight = heights.reduce((sum, height) => sum + height, 0);
+
+  const createPage = carriedOver => ({
+    number: 0,
+    first: false,
+    items: [],
+    carriedOver,
+    carryForward: null,
+    closing: false,
+    qrBill: false,
+  });
+
+  // Everything fits on one page - the usual case
+  if (firstHeaderHeight + tableHeadHeight + itemsHeight + closingHeight <= contentHeight(qrBill)) {
+    return [{ ...createPage(null), number: 1, first: true, items, closing: true, qrBill }];
+  }
+
+  const pages = [{ ...createPage(null), first: true }];
+  let page = pages[0];
+  let used = firstHeaderHeight + tableHeadHeight;
+  let runningTotal = Money.zero(currency);
+
+  items.forEach((item, index) => {
+    // Leave room for the running total row at the bottom of the page
+    const needed = heights[index] + rowHeight;
+    if (page.items.length > 0 && used + needed > contentHeight(false)) {
+      page.carryForward = runningTotal.toNumber();
+      page = createPage(runningTotal.toNumber());
+      pages.push(page);
+      used = nextHeaderHeight + tableHeadHeight + rowHeight;
+    }
+    page.items.push(item);
+    used += heights[index];
+    runningTotal = runningTotal.add(Money.of(item.total, currency));
+  });
+
+  if (used + closingHeight > contentHeight(false)) {
+    page = createPage(null);
+    pages.push(page);
+    used = nextHeaderHeight;
+  }
+  page.closing = true;
+  used += closingHeight;
+
+  if (qrBill) {
+    if (used > contentHeight(true)) {
+      page = createPage(null);
+      pages.push(page);
+    }
+    page.qrBill = true;
+  }
+
+  return pages.map((current, index) => ({ ...current, number: index + 1 }));
+}
+
+module.exports = {
+  LAYOUT,
+  estimateItemHeight,
+  estimateClosingHeight,
+  paginate,
+};
@@ -0,0 +1,281 @@
+/**
+ * PDF/A-3b conversion of the PDF printed by Chrome
+ *
+ * Chrome already embeds (subsets of) every font it uses. The conversion adds
+ * what PDF/A asks for on top: an sRGB output intent with its ICC profile, XMP
+ * metadata matching the document information, a file identifier, printable
+ * annotations and, optionally, associated files such as the invoice data.
+ * Everything is built locally, no network access is needed.
+ */
+const crypto = require('crypto');
+const {
+  AFRelationship,
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString,
+} = require('pdf-lib');
+const { SRGB_NAME, getSRGBProfile } = require('./icc');
+
+/**
+ * Application recorded as the creator of the documents
+ */
+const CREATOR_TOOL = 'di08-invoices';
+
+/**
+ * Namespace of the Factur-X properties in the XMP metadata
+ */
+const FACTURX_NAMESPACE = 'urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#';
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date for XMP, to the second as in the document information
+ * @param {Date} date - Date
+ * @returns {string} ISO 8601 date in UTC
+ */
+function formatXmpDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Build the XMP description of an embedded Factur-X invoice, with the PDF/A
+ * extension schema that declares its properties
+ * @param {object} facturX - Factur-X document
+ * @param {string} facturX.fileName - Name of the attached XML file
+ * @param {string} facturX.version - Factur-X version
+ * @param {string} facturX.conformanceLevel - Profile, e.g. "EN 16931"
+ * @returns {string} XMP descriptions
+ */
+function buildFacturXDescription({ fileName, version, conformanceLevel }) {
+  const properties = [
+    ['DocumentFileName', 'Name of the embedded XML invoice file'],
+    ['DocumentType', 'INVOICE'],
+    ['Version', 'The actual version of the Factur-X XML schema'],
+    ['ConformanceLevel', 'The conformance level of the embedded Factur-X data'],
+  ].map(
+    ([name, description]) => `
+              <rdf:li rdf:parseType="Resource">
+                <pdfaProperty:name>${name}</pdfaProperty:name>
+                <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                <pdfaProperty:category>external</pdfaProperty:category>
+                <pdfaProperty:description>${description}</pdfaProperty:description>
+              </rdf:li>`
+  );
+
+  return `
+    <rdf:Description rdf:about="" xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${FACTURX_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>${properties.join('')}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:fx="${FACTURX_NAMESPACE}">
+      <fx:DocumentType>INVOICE</fx:DocumentType>
+      <fx:DocumentFileName>${escapeXml(fileName)}</fx:DocumentFileName>
+      <fx:Version>${escapeXml(version)}</fx:Version>
+      <fx:ConformanceLevel>${escapeXml(conformanceLevel)}</fx:ConformanceLevel>
+    </rdf:Description>`;
+}
+
+/**
+ * Build the XMP metadata packet of a PDF/A-3b document
+ * @param {object} metadata - Document metadata
+ * @param {string} metadata.title - Document title, e.g. "Rechnung 2024-001"
+ * @param {string} metadata.author - Creditor name
+ * @param {string} metadata.subject - Short description
+ * @param {string} metadata.identifier - Invoice number
+ * @param {string|null} metadata.issueDate - Issue date (YYYY-MM-DD)
+ * @param {string} metadata.producer - PDF producer
+ * @param {Date} metadata.date - Creation and modification date
+ * @param {object} [metadata.facturX] - Embedded Factur-X invoice, see buildFacturXDescription()
+ * @returns {string} XMP packet
+ */
+function buildXMP({ title, author, subject, identifier, issueDate, producer, date, facturX }) {
+  const xmpDate = formatXmpDate(date);
+  const issued = issueDate
+    ? `<dc:date><rdf:Seq><rdf:li>${issueDate}</rdf:li></rdf:Seq></dc:date>`
+    : '';
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <dc:format>application/pdf</dc:format>
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(subject)}</rdf:li></rdf:Alt></dc:description>
+      <dc:identifier>${escapeXml(identifier)}</dc:identifier>
+      ${issued}
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <xmp:CreatorTool>${CREATOR_TOOL}</xmp:CreatorTool>
+      <xmp:CreateDate>${xmpDate}</xmp:CreateDate>
+      <xmp:ModifyDate>${xmpDate}</xmp:ModifyDate>
+      <xmp:MetadataDate>${xmpDate}</xmp:MetadataDate>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdf:Producer>${escapeXml(producer)}</pdf:Producer>
+    </rdf:Description>${facturX ? buildFacturXDescription(facturX) : ''}
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Find the fonts of a document whose glyphs are not embedded
+ * @param {PDFDocument} pdfDoc - Document
+ * @returns {string[]} Base font names
+ */
+function findUnembeddedFonts(pdfDoc) {
+  const fonts = pdfDoc.context
+    .enumerateIndirectObjects()
+    .map(([, object]) => object)
+    .filter(
+      object => object instanceof PDFDict && object.get(PDFName.of('Type')) === PDFName.of('Font')
+    );
+
+  const isEmbedded = font => {
+    const subtype = font.get(PDFName.of('Subtype'));
+    if (subtype === PDFName.of('Type3')) {
+      return true; // Glyphs are drawn by the font's own content streams
+    }
+    if (subtype === PDFName.of('Type0')) {
+      const descendants = font.lookup(PDFName.of('DescendantFonts'), PDFArray);
+      return descendants.asArray().every(ref => isEmbedded(pdfDoc.context.lookup(ref, PDFDict)));
+    }
+    const descriptor = font.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+    return Boolean(
+      descriptor &&
+        ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)))
+    );
+  };
+
+  return fonts
+    .filter(font => !isEmbedded(font))
+    .map(font => String(font.get(PDFName.of('BaseFont'))).replace(/^\//, ''));
+}
+
+/**
+ * Mark all annotations as printable, as PDF/A requires
+ * @param {PDFDocument} pdfDoc - Document
+ */
+function makeAnnotationsPrintable(pdfDoc) {
+  pdfDoc.getPages().forEach(page => {
+    const annotations = page.node.Annots();
+    if (!annotations) {
+      return;
+    }
+    annotations.asArray().forEach(ref => {
+      pdfDoc.context.lookup(ref, PDFDict).set(PDFName.of('F'), PDFNumber.of(4));
+    });
+  });
+}
+
+/**
+ * Convert a PDF to PDF/A-3b
+ * @param {Uint8Array} pdfBytes - PDF printed by Chrome
+ * @param {object} metadata - Document metadata, see buildXMP()
+ * @param {string} metadata.language - Document language (de, fr, it or en)
+ * @param {Date} [metadata.date] - Creation date (default: now)
+ * @param {Array<{name: string, content: Uint8Array, mimeType: string,
+ *   description: string, relationship?: string}>} [attachments] - Associated files
+ * @returns {Promise<Uint8Array>} PDF/A-3b document
+ * @throws {Error} If a font is not embedded
+ */
+async function convertToPDFA(pdfBytes, metadata, attachments = []) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+
+  const unembedded = findUnembeddedFonts(pdfDoc);
+  if (unembedded.length > 0) {
+    throw new Error(`PDF/A needs embedded fonts, not embedded: ${unembedded.join(', ')}`);
+  }
+
+  // Dates are stored to the second, the XMP metadata must match them exactly
+  const date = new Date(Math.floor((metadata.date || new Date()).getTime() / 1000) * 1000);
+  const producer = 'pdf-lib';
+
+  // Document information, mirrored by the XMP metadata
+  pdfDoc.setTitle(metadata.title);
+  pdfDoc.setAuthor(metadata.author);
+  pdfDoc.setSubject(metadata.subject);
+  pdfDoc.setCreator(CREATOR_TOOL);
+  pdfDoc.setProducer(producer);
+  pdfDoc.setCreationDate(date);
+  pdfDoc.setModificationDate(date);
+  pdfDoc.setLanguage(metadata.language);
+
+  const xmp = buildXMP({ ...metadata, producer, date });
+  const metadataStream = context.stream(Buffer.from(xmp, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML',
+  });
+  catalog.set(PDFName.of('Metadata'), context.register(metadataStream));
+
+  // Colours are sRGB, as printed by Chrome
+  const profile = context.flateStream(getSRGBProfile(), { N: 3 });
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of(SRGB_NAME),
+    RegistryName: PDFString.of('http://www.color.org'),
+    Info: PDFString.of(SRGB_NAME),
+    DestOutputProfile: context.register(profile),
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+
+  makeAnnotationsPrintable(pdfDoc);
+
+  // pdf-lib lists the attachments in the catalog's AF array, as PDF/A-3 requires
+  for (const attachment of attachments) {
+    await pdfDoc.attach(attachment.content, attachment.name, {
+      mimeType: attachment.mimeType,
+      description: attachment.description,
+      creationDate: date,
+      modificationDate: date,
+      afRelationship: attachment.relationship || AFRelationship.Data,
+    });
+  }
+
+  // File identifier, required by PDF/A
+  const id = crypto.createHash('md5').update(pdfBytes).update(xmp).digest('hex');
+  context.trailerInfo.ID = context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+module.exports = {
+  buildXMP,
+  convertToPDFA,
+  findUnembeddedFonts,
+};
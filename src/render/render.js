@@ -1,20 +1,109 @@
 const fs = require('fs').promises;
 const path = require('path');
-const puppeteer = require('puppeteer');
 const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { AFRelationship } = require('pdf-lib');
 const config = require('../config/env');
 const qrGenerator = require('../domain/qr');
+const { toJSON, toXML } = require('../domain/serialize');
+const {
+  FACTURX_CONFORMANCE_LEVEL,
+  FACTURX_FILENAME,
+  FACTURX_VERSION,
+  buildFacturX,
+  isFacturXDocument,
+  validateFacturX,
+} = require('../domain/facturx');
+const { formatAmount, isQRBillCurrency } = require('../domain/money');
+const i18n = require('../i18n');
 const logger = require('../utils/logger');
+const BrowserPool = require('./browser-pool');
+const TemplateEngine = require('./templates');
+const { estimateClosingHeight, paginate } = require('./pagination');
+const { convertToPDFA } = require('./pdfa');
+const { resolveExecutablePath } = require('./chrome');
+
+/**
+ * HTML allowed in the rendered markdown notes, everything else is removed
+ */
+const NOTES_ALLOWED_HTML = {
+  allowedTags: [
+    ...['p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'del', 'code', 'pre', 'blockquote', 'a'],
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li'],
+    ...['table', 'thead', 'tbody', 'tr', 'th', 'td'],
+  ],
+  allowedAttributes: {
+    a: ['href'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  disallowedTagsMode: 'discard',
+};
 
 /**
  * PDF renderer for Swiss QR invoices
  */
 class InvoiceRenderer {
   constructor() {
-    this.templatePath = path.join(__dirname, 'template.html');
-    this.stylesPath = path.join(__dirname, 'styles.css');
-    this.fontsPath = path.join(__dirname, 'fonts.css');
-    this.logoPath = path.join(__dirname, 'logo.svg');
+    this.setTemplateDir(null);
+    this.setArchive({ pdfa: config.render.pdfa, attachment: config.render.attachment });
+    this.browserPool = new BrowserPool({
+      concurrency: config.render.concurrency,
+      // Resolved when the browser is launched, so HTML-only runs never need Chrome
+      launchOptions: () => ({
+        headless: 'new',
+        executablePath: resolveExecutablePath(),
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu',
+        ],
+        timeout: 60000, // 60 second timeout for browser launch
+      }),
+    });
+  }
+
+  /**
+   * Set how many documents may render at the same time
+   * @param {number} concurrency - Maximum number of concurrent renders
+   */
+  setConcurrency(concurrency) {
+    this.browserPool.concurrency = concurrency;
+  }
+
+  /**
+   * Load templates, partials, styles, fonts and logo from a directory
+   *
+   * Files missing in the directory fall back to the built-in templates.
+   * @param {string|null} dir - Template directory, null for the built-in templates
+   */
+  setTemplateDir(dir) {
+    this.templates = new TemplateEngine({ dir });
+    this.registerHelpers();
+  }
+
+  /**
+   * Set whether PDFs are converted to PDF/A-3b for archiving
+   * @param {object} options - Archive options
+   * @param {boolean} options.pdfa - Convert PDFs to PDF/A-3b
+   * @param {string|null} [options.attachment] - Attach the invoice data as 'json', 'xml' or
+   *   'factur-x' (PDF/A only)
+   */
+  setArchive({ pdfa, attachment = null }) {
+    this.archive = { pdfa, attachment };
+  }
+
+  /**
+   * Shut down the shared browser - call once at the end of a run
+   */
+  async close() {
+    await this.browserPool.close();
   }
 
   /**
@@ -27,38 +116,95 @@ class InvoiceRenderer {
     logger.info(`Rendering invoice ${invoice.number} to PDF...`);
 
     try {
-      // Generate QR-bill SVG
-      const qrBillSVG = qrGenerator.generateFromInvoice(invoice);
-
-      // Load and compile template
-      const html = await this.compileTemplate(invoice, qrBillSVG);
-      
-
-      // Try to generate PDF with puppeteer, fallback to HTML if Chrome is not available
-      try {
-        await this.generatePDF(html, outputPath);
-        logger.info(`Successfully generated PDF: ${outputPath}`);
-        return outputPath;
-      } catch (puppeteerError) {
-        logger.warn('Puppeteer failed, generating HTML file instead:', puppeteerError.message);
-
-        // Generate HTML file as fallback
-        const htmlPath = outputPath.replace('.pdf', '.html');
-        await this.generateHTML(html, htmlPath);
-
-        logger.info(`Generated HTML file: ${htmlPath}`);
-        logger.info('To convert to PDF, please:');
-        logger.info('1. Install Google Chrome: brew install --cask google-chrome');
-        logger.info('2. Or open the HTML file in a browser and print to PDF');
-
-        return htmlPath;
-      }
+      const html = await this.buildHTML(invoice);
+      await this.generatePDF(html, outputPath, invoice);
+
+      logger.info(`Successfully generated PDF: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      logger.error(`Failed to render: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Render an invoice or credit note to a standalone Factur-X XML e-invoice
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @param {string} outputPath - Output XML path
+   * @returns {Promise<string>} Path to generated XML file
+   */
+  async renderToXML(invoice, outputPath) {
+    logger.info(`Rendering invoice ${invoice.number} to Factur-X XML...`);
+
+    try {
+      const xml = this.buildEInvoice(invoice);
+      await this.ensureOutputDir(outputPath);
+      await fs.writeFile(outputPath, xml, 'utf8');
+
+      logger.info(`Successfully generated XML: ${outputPath}`);
+      return outputPath;
+    } catch (error) {
+      logger.error(`Failed to render: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the Factur-X XML of an invoice and pre-check it, see validateFacturX()
+   * @param {InvoiceDTO} invoice - Invoice or credit note
+   * @returns {string} CrossIndustryInvoice XML
+   * @throws {Error} If the XML breaks one of the pre-checked business rules
+   */
+  buildEInvoice(invoice) {
+    const xml = buildFacturX(invoice);
+    const errors = validateFacturX(xml);
+    if (errors.length > 0) {
+      const rules = errors.map(({ rule, message }) => `${rule} ${message}`).join('; ');
+      throw new Error(`Factur-X XML of ${invoice.number} is not valid: ${rules}`);
+    }
+    return xml;
+  }
+
+  /**
+   * Render invoice to a standalone HTML file (e.g. to print to PDF from a browser)
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @param {string} outputPath - Output HTML path
+   * @returns {Promise<string>} Path to generated HTML file
+   */
+  async renderToHTML(invoice, outputPath) {
+    logger.info(`Rendering invoice ${invoice.number} to HTML...`);
+
+    try {
+      const html = await this.buildHTML(invoice);
+      await this.generateHTML(html, outputPath);
+
+      logger.info(`Successfully generated HTML: ${outputPath}`);
+      return outputPath;
     } catch (error) {
       logger.error(`Failed to render: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Build the complete invoice HTML including the QR-bill
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {Promise<string>} Compiled HTML
+   */
+  async buildHTML(invoice) {
+    // Generate QR-bill SVG - a fully paid invoice or a credit note has nothing to pay
+    let qrBillSVG = '';
+    const omission = qrGenerator.getOmissionReason(invoice);
+    if (omission) {
+      logger.info(`${invoice.number}: ${omission.message}`);
+    } else {
+      qrBillSVG = qrGenerator.generateFromInvoice(invoice);
+    }
+
+    // Load and compile template
+    return this.compileTemplate(invoice, qrBillSVG);
+  }
+
   /**
    * Compile HTML template with invoice data
    * @param {InvoiceDTO} invoice - Invoice data
@@ -69,12 +215,11 @@ class InvoiceRenderer {
     logger.debug('Compiling HTML template...');
 
     try {
-      // Load template, styles, fonts, and logo
-      const [templateContent, stylesContent, fontsContent, logoContent] = await Promise.all([
-        fs.readFile(this.templatePath, 'utf-8'),
-        fs.readFile(this.stylesPath, 'utf-8'),
-        fs.readFile(this.fontsPath, 'utf-8'),
-        fs.readFile(this.logoPath, 'utf-8'),
+      // Load styles, fonts, and logo - from the template directory if it has them
+      const [stylesContent, fontsContent, logoContent] = await Promise.all([
+        this.templates.readAsset('styles.css'),
+        this.templates.readFonts('fonts.css'),
+        this.templates.readAsset('logo.svg'),
       ]);
 
       // Combine fonts and styles
@@ -88,20 +233,7 @@ class InvoiceRenderer {
         logoContent
       );
 
-      // Simple template replacement (no external template engine needed)
-      let html = templateContent;
-
-      // Handle loops (line items) FIRST - before global replacements
-      html = this.processLineItems(html, invoice.items, invoice.currency);
-
-      // Handle conditional blocks
-      html = this.processConditionals(html, templateData);
-
-      // Replace all template variables LAST - to avoid conflicts with line item placeholders
-      Object.entries(templateData).forEach(([key, value]) => {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        html = html.replace(regex, value || '');
-      });
+      const html = await this.templates.render(this.getTemplateFile(invoice), templateData);
 
       logger.debug('Template compiled successfully');
       return html;
@@ -111,8 +243,79 @@ class InvoiceRenderer {
     }
   }
 
+  /**
+   * Prepare the reminder specific template data
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {object} Reminder template data (empty for other documents)
+   */
+  prepareReminderData(invoice) {
+    if (!invoice.reminder) {
+      return {};
+    }
+
+    const { level, date, daysOverdue, fee } = invoice.reminder;
+    return {
+      reminderLevel: level,
+      reminderDate: this.formatDate(date, invoice.language),
+      reminderText: i18n.t(invoice.language, `reminderText${level}`),
+      daysOverdue: daysOverdue,
+      reminderFee: fee > 0 ? this.formatAmount(fee, invoice.currency) : null,
+    };
+  }
+
+  /**
+   * Get the title of a document, e.g. "Rechnung" or "1. Mahnung"
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {string} Translated document title
+   */
+  getDocumentTitle(invoice) {
+    if (invoice.reminder) {
+      return i18n.t(invoice.language, `reminder${invoice.reminder.level}`);
+    }
+    if (invoice.isCreditNote()) {
+      return i18n.t(invoice.language, 'creditNote');
+    }
+    return i18n.t(invoice.language, invoice.getType());
+  }
+
+  /**
+   * Get the template file name for an invoice
+   *
+   * Reminders use `reminder.html`, credit notes `credit-note.html`, all other documents
+   * `template.html`. A client profile can select a variant, which is loaded from
+   * `<base>.<variant>.html`. Without such a file, the base template is used.
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {string} Template file name
+   */
+  getTemplateFile(invoice) {
+    const type = invoice.getType();
+    const base = ['reminder', 'credit-note'].includes(type) ? type : 'template';
+    if (invoice.template) {
+      const variant = `${base}.${invoice.template}.html`;
+      if (this.templates.has(variant)) {
+        return variant;
+      }
+      logger.warn(
+        `Template variant ${variant} not found, using ${base}.html for ${invoice.number}`
+      );
+    }
+    return `${base}.html`;
+  }
+
+  /**
+   * Get the template file path for an invoice, see getTemplateFile()
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {string} Template file path
+   */
+  getTemplatePath(invoice) {
+    return this.templates.resolve(this.getTemplateFile(invoice));
+  }
+
   /**
    * Prepare data for template rendering
+   *
+   * Amounts and dates are formatted for the document, lists hold raw values for the
+   * template helpers. The mapped document itself is available as `invoice`.
    * @param {InvoiceDTO} invoice - Invoice data
    * @param {string} qrBillSVG - QR-bill SVG content
    * @param {string} stylesContent - CSS styles content
@@ -120,16 +323,21 @@ class InvoiceRenderer {
    * @returns {object} Template data
    */
   prepareTemplateData(invoice, qrBillSVG, stylesContent, logoContent) {
-    const isEstimate = invoice.getType() === 'estimate';
+    const documentTitle = this.getDocumentTitle(invoice);
 
     const templateData = {
       // Document info
-      documentType: isEstimate ? 'Estimate' : 'Invoice',
-      documentTitle: isEstimate ? 'Estimate' : 'Invoice',
+      invoice,
+      documentType: documentTitle,
+      documentTitle: documentTitle,
       invoiceNumber: invoice.number,
-      issueDate: this.formatDate(invoice.issueDate),
-      dueDate: invoice.dueDate ? this.formatDate(invoice.dueDate) : null,
+      issueDate: this.formatDate(invoice.issueDate, invoice.language),
+      dueDate: invoice.dueDate ? this.formatDate(invoice.dueDate, invoice.language) : null,
       currency: invoice.currency,
+      originalInvoiceNumber: invoice.originalInvoiceNumber,
+      language: invoice.language,
+      locale: i18n.getCatalog(invoice.language).locale,
+      t: i18n.getCatalog(invoice.language).labels,
 
       // Company info
       companyName: config.company.name,
@@ -141,17 +349,53 @@ class InvoiceRenderer {
 
       // Debtor info
       debtorName: invoice.debtor.name,
-      debtorStreet: invoice.debtor.street,
+      debtorAddressLines: invoice.debtor.addressLines,
+      debtorStreet: invoice.debtor.getStreetLine(),
       debtorZip: invoice.debtor.zip,
       debtorCity: invoice.debtor.city,
       debtorCountry: invoice.debtor.country,
+      recipientEmail: invoice.recipientEmail,
+
+      // Payment
+      paymentTerms: invoice.paymentTerms,
+
+      // Line items
+      lineItems: invoice.items.map(({ description, quantity, unitPrice, taxRate, total }) => ({
+        description,
+        quantity,
+        unitPrice,
+        taxRate,
+        total,
+      })),
 
       // Amounts
-      subtotal: this.formatAmount(invoice.subtotal),
-      taxTotal: this.formatAmount(invoice.taxTotal),
-      taxRate: this.calculateTaxRate(invoice),
-      total: this.formatAmount(invoice.total),
+      subtotal: this.formatAmount(invoice.subtotal, invoice.currency),
+      discount: invoice.discountAmount !== 0,
+      discountRate: invoice.discountRate ? `${this.formatRate(invoice.discountRate)}%` : '',
+      discountAmount: this.formatAmount(invoice.discountAmount, invoice.currency),
+      discountDeduction: this.formatAmount(-invoice.discountAmount, invoice.currency),
+      taxes: invoice.getTaxes(),
+      taxTotal: this.formatAmount(invoice.taxTotal, invoice.currency),
+      vatSummary: invoice.getVatRates().length > 0,
+      vatRates: this.prepareVatRates(invoice),
+      total: this.formatAmount(invoice.total, invoice.currency),
       totalHours: this.formatQuantity(invoice.getTotalHours()),
+      amountDue: this.formatAmount(invoice.getAmountDue(), invoice.currency),
+      cashRounded: invoice.getCashRoundingDifference() !== 0,
+      cashRoundingDifference: this.formatAmount(
+        invoice.getCashRoundingDifference(),
+        invoice.currency
+      ),
+
+      // Payments
+      payments: invoice.payments.map(({ paidDate, amount }) => ({ paidDate, amount })),
+      amountPaid: this.formatAmount(invoice.getAmountPaid(), invoice.currency),
+      openAmount: this.formatAmount(invoice.getOpenAmount(), invoice.currency),
+      paidInFull: invoice.getAmountDue() <= 0,
+      bankDetails: this.prepareBankDetails(invoice),
+
+      // Reminder
+      ...this.prepareReminderData(invoice),
 
       // Content
       notes: this.processMarkdown(invoice.notes),
@@ -160,11 +404,15 @@ class InvoiceRenderer {
       styles: stylesContent,
     };
 
+    // Pages
+    templateData.pages = this.preparePages(invoice, templateData);
+    templateData.paginated = templateData.pages.length > 1;
+
     // Debug: Log template data
     logger.debug('Template data amounts:', {
       subtotal: templateData.subtotal,
+      discountAmount: templateData.discountAmount,
       taxTotal: templateData.taxTotal,
-      taxRate: templateData.taxRate,
       total: templateData.total,
     });
 
@@ -172,133 +420,238 @@ class InvoiceRenderer {
   }
 
   /**
-   * Process conditional template blocks
-   * @param {string} html - HTML content
-   * @param {object} data - Template data
-   * @returns {string} Processed HTML
+   * Split the line items into pages, see paginate()
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @param {object} data - Template data of the document
+   * @returns {Array<object>} Pages with their line items, running totals and page label
    */
-  processConditionals(html, data) {
-    // Handle {{#if condition}} blocks
-    const ifRegex = /{{#if\s+(\w+)}}([\s\S]*?){{\/if}}/g;
-
-    return html.replace(ifRegex, (match, condition, content) => {
-      return data[condition] ? content : '';
+  preparePages(invoice, data) {
+    const closingHeight = estimateClosingHeight({
+      totalsRows: 3 + (data.discount ? 1 : 0) + data.taxes.length + (data.cashRounded ? 2 : 0),
+      vatRows: data.vatRates.length,
+      paymentRows: data.payments.length,
+      notes: invoice.notes,
+      bankRows: data.bankDetails.length,
+    });
+    const pages = paginate(data.lineItems, {
+      closingHeight,
+      qrBill: Boolean(data.qrBillSVG),
+      currency: invoice.currency,
     });
+    const formatRunningTotal = amount =>
+      amount === null ? null : this.formatAmount(amount, invoice.currency);
+
+    return pages.map(page => ({
+      number: page.number,
+      first: page.first,
+      closing: page.closing,
+      qrBill: page.qrBill,
+      itemsTable: page.first || page.items.length > 0,
+      lineItems: page.items,
+      carriedOver: formatRunningTotal(page.carriedOver),
+      carryForward: formatRunningTotal(page.carryForward),
+      pageLabel: i18n
+        .t(invoice.language, 'pageOf')
+        .replace('{page}', page.number)
+        .replace('{pages}', pages.length),
+    }));
   }
 
   /**
-   * Process line items loop
-   * @param {string} html - HTML content
-   * @param {LineItemDTO[]} items - Line items
-   * @param {string} currency - Currency code
-   * @returns {string} Processed HTML
+   * Prepare the VAT summary rows, with a row for the exempt amount if there is one
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {Array<{label: string, rate: number|null, net: number, tax: number}>} Rows
+   */
+  prepareVatRates(invoice) {
+    const rows = invoice.getVatRates().map(({ rate, net, tax }) => ({
+      label: `${this.formatRate(rate)}%`,
+      rate,
+      net,
+      tax,
+    }));
+    const exemptAmount = invoice.getExemptAmount();
+    if (rows.length > 0 && exemptAmount !== 0) {
+      rows.push({
+        label: i18n.t(invoice.language, 'vatExempt'),
+        rate: null,
+        net: exemptAmount,
+        tax: 0,
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Prepare the bank details, shown instead of the QR-bill for other currencies
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {Array<{label: string, value: string}>} Rows (empty if not needed)
+   * @throws {Error} If there is no IBAN for plain transfers
+   */
+  prepareBankDetails(invoice) {
+    if (
+      invoice.isCreditNote() ||
+      invoice.getAmountDue() <= 0 ||
+      isQRBillCurrency(invoice.currency)
+    ) {
+      return [];
+    }
+
+    const { name, bankIban, bic } = config.company;
+    if (!bankIban) {
+      throw new Error(
+        `Invoice ${invoice.number} in ${invoice.currency} needs bank details, ` +
+          'set COMPANY_BANK_IBAN as COMPANY_IBAN is a QR-IBAN'
+      );
+    }
+
+    return [
+      { label: i18n.t(invoice.language, 'accountHolder'), value: name },
+      { label: 'IBAN', value: bankIban },
+      { label: 'BIC', value: bic },
+      { label: i18n.t(invoice.language, 'paymentReference'), value: invoice.number },
+    ].filter(row => row.value);
+  }
+
+  /**
+   * Register the formatting helpers of the templates
+   *
+   * `{{money amount}}` formats in the document currency (or `{{money amount "EUR"}}`),
+   * `{{date paidDate}}` in the document language, `{{percent rate}}` and
+   * `{{number quantity}}` like the built-in templates.
    */
-  processLineItems(html, items, _currency) {
-    const eachRegex = /{{#each\s+lineItems}}([\s\S]*?){{\/each}}/g;
-
-    return html.replace(eachRegex, (match, template) => {
-      return items
-        .map(item => {
-          let itemHtml = template;
-
-          // Replace item properties
-          itemHtml = itemHtml.replace(/{{description}}/g, this.escapeHtml(item.description));
-          itemHtml = itemHtml.replace(/{{quantity}}/g, this.formatQuantity(item.quantity));
-          itemHtml = itemHtml.replace(/{{unitPrice}}/g, this.formatAmount(item.unitPrice));
-          itemHtml = itemHtml.replace(
-            /{{taxRate}}/g,
-            item.taxRate > 0 ? item.taxRate.toFixed(1) : ''
-          );
-          
-          itemHtml = itemHtml.replace(/{{total}}/g, this.formatAmount(item.total));
-
-          return itemHtml;
-        })
-        .join('');
+  registerHelpers() {
+    const root = options => options.data.root;
+
+    this.templates.registerHelper('money', (amount, ...args) => {
+      const options = args.pop();
+      const currency = args[0] || root(options).currency;
+      return amount === null || amount === undefined ? '' : this.formatAmount(amount, currency);
     });
+    this.templates.registerHelper('date', (date, options) =>
+      this.formatDate(date, root(options).language)
+    );
+    this.templates.registerHelper('percent', rate =>
+      rate === null || rate === undefined ? '' : `${this.formatRate(rate)}%`
+    );
+    this.templates.registerHelper('number', quantity => this.formatQuantity(quantity));
   }
 
   /**
    * Generate PDF using puppeteer
    * @param {string} html - HTML content
    * @param {string} outputPath - Output file path
+   * @param {InvoiceDTO} [invoice] - Invoice data, needed for PDF/A output
    */
-  async generatePDF(html, outputPath) {
+  async generatePDF(html, outputPath, invoice = null) {
     logger.debug('Generating PDF with puppeteer...');
 
-    let browser;
     try {
-      // Launch browser with increased timeouts and better error handling
-      browser = await puppeteer.launch({
-        headless: "new",
-        executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-        ],
-        timeout: 60000, // 60 second timeout for browser launch
+      let pdf = await this.browserPool.withPage(async page => {
+        logger.debug('Setting page content...');
+
+        // Fonts and images are inlined, so 'load' fires once everything is parsed
+        await page.setContent(html, {
+          waitUntil: 'load',
+          timeout: 30000,
+        });
+
+        // Wait for web fonts to finish loading instead of sleeping a fixed time
+        await page.evaluate('document.fonts.ready');
+
+        logger.debug('Generating PDF...');
+
+        // Generate PDF with A4 dimensions
+        return page.pdf({
+          format: 'A4',
+          margin: {
+            top: '0mm',
+            right: '0mm',
+            bottom: '0mm',
+            left: '0mm',
+          },
+          printBackground: true,
+          preferCSSPageSize: true,
+          timeout: 30000,
+        });
       });
 
-      const page = await browser.newPage();
-
-      // Set longer timeouts
-      page.setDefaultTimeout(60000);
-      page.setDefaultNavigationTimeout(60000);
-
-      logger.debug('Setting page content...');
-
-      // Set content with simpler wait conditions to avoid hanging
-      await page.setContent(html, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000,
-      });
-
-      // Wait a bit for any remaining rendering
-      await page.waitForTimeout(1000);
-
-      logger.debug('Generating PDF...');
+      if (this.archive.pdfa && invoice) {
+        pdf = await this.convertToArchive(pdf, invoice);
+      }
 
       // Ensure output directory exists
       await this.ensureOutputDir(outputPath);
-
-      // Generate PDF with A4 dimensions
-      await page.pdf({
-        path: outputPath,
-        format: 'A4',
-        margin: {
-          top: '0mm',
-          right: '0mm',
-          bottom: '0mm',
-          left: '0mm',
-        },
-        printBackground: true,
-        preferCSSPageSize: true,
-        timeout: 30000,
-      });
+      await fs.writeFile(outputPath, pdf);
 
       logger.debug('PDF generated successfully');
     } catch (error) {
       logger.error('PDF generation error:', error.message);
       throw error;
-    } finally {
-      if (browser) {
-        try {
-          await browser.close();
-          logger.debug('Browser closed successfully');
-        } catch (closeError) {
-          logger.warn('Error closing browser:', closeError.message);
-        }
-      }
     }
   }
 
   /**
-   * Generate HTML file as fallback when PDF generation fails
+   * Convert a PDF to PDF/A-3b with the document's metadata and optionally its data attached
+   * @param {Uint8Array} pdf - PDF printed by puppeteer
+   * @param {InvoiceDTO} invoice - Invoice data
+   * @returns {Promise<Uint8Array>} PDF/A-3b document
+   */
+  async convertToArchive(pdf, invoice) {
+    logger.debug('Converting PDF to PDF/A-3b...');
+
+    const title = `${this.getDocumentTitle(invoice)} ${invoice.number}`;
+    const creditor = invoice.creditor.name || config.company.name;
+    const attachments = [];
+    let facturX = null;
+    if (this.archive.attachment === 'factur-x' && !isFacturXDocument(invoice)) {
+      logger.warn(`Factur-X is only available for invoices and credit notes: ${invoice.number}`);
+    } else if (this.archive.attachment === 'factur-x') {
+      // Hybrid invoice: the XML is the machine-readable alternative to the printed document
+      attachments.push({
+        name: FACTURX_FILENAME,
+        content: Buffer.from(this.buildEInvoice(invoice), 'utf8'),
+        mimeType: 'text/xml',
+        description: `${title} (Factur-X)`,
+        relationship: AFRelationship.Alternative,
+      });
+      facturX = {
+        fileName: FACTURX_FILENAME,
+        version: FACTURX_VERSION,
+        conformanceLevel: FACTURX_CONFORMANCE_LEVEL,
+      };
+    } else if (this.archive.attachment === 'json') {
+      attachments.push({
+        name: `${invoice.number}.json`,
+        content: Buffer.from(toJSON(invoice), 'utf8'),
+        mimeType: 'application/json',
+        description: `${title} (JSON)`,
+      });
+    } else if (this.archive.attachment === 'xml') {
+      attachments.push({
+        name: `${invoice.number}.xml`,
+        content: Buffer.from(toXML(invoice), 'utf8'),
+        mimeType: 'application/xml',
+        description: `${title} (XML)`,
+      });
+    }
+
+    return convertToPDFA(
+      pdf,
+      {
+        title,
+        author: creditor,
+        subject: `${title}, ${creditor} - ${invoice.debtor.name}`,
+        identifier: invoice.number,
+        issueDate: invoice.issueDate ? invoice.issueDate.format('YYYY-MM-DD') : null,
+        language: invoice.language,
+        facturX,
+      },
+      attachments
+    );
+  }
+
+  /**
+   * Write compiled HTML to a file
    * @param {string} html - HTML content
    * @param {string} outputPath - Output file path
    */
@@ -309,48 +662,39 @@ class InvoiceRenderer {
     await this.ensureOutputDir(outputPath);
 
     // Write HTML to file
-    const fs = require('fs').promises;
     await fs.writeFile(outputPath, html, 'utf8');
 
     logger.debug('HTML file generated successfully');
   }
 
   /**
-   * Calculate the effective tax rate from invoice data
-   * @param {InvoiceDTO} invoice - Invoice data
-   * @returns {string} Tax rate as formatted percentage
+   * Format a VAT rate with one decimal, or more if needed (8.1, 2.6, 7.75)
+   * @param {number} rate - Rate in percent
+   * @returns {string} Formatted rate
    */
-  calculateTaxRate(invoice) {
-    if (invoice.subtotal === 0 || invoice.taxTotal === 0) {
-      return '0.0';
-    }
-    const rate = (invoice.taxTotal / invoice.subtotal) * 100;
-    return rate.toFixed(1);
+  formatRate(rate) {
+    return Number.isInteger(rate * 10) ? rate.toFixed(1) : String(rate);
   }
 
   /**
    * Format date for display
    * @param {dayjs.Dayjs} date - Date to format
+   * @param {string} language - Language code
    * @returns {string} Formatted date
    */
-  formatDate(date) {
-    if (!date) {
-      return '';
-    }
-    return date.format('DD.MM.YYYY');
+  formatDate(date, language) {
+    return i18n.formatDate(date, language);
   }
 
   /**
    * Format monetary amount
    * @param {number} amount - Amount to format
+   * @param {string} [currency] - Currency code, sets the decimal places (default: CHF)
    * @returns {string} Formatted amount
    */
-  formatAmount(amount) {
+  formatAmount(amount, currency = 'CHF') {
     // Use Swiss number formatting with apostrophe as thousands separator
-    return new Intl.NumberFormat('de-CH', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    }).format(amount);
+    return formatAmount(amount, currency, 'de-CH');
   }
 
   /**
@@ -375,8 +719,10 @@ class InvoiceRenderer {
 
   /**
    * Process markdown content to HTML
+   *
+   * Notes come from Harvest, so the HTML is reduced to the tags in NOTES_ALLOWED_HTML.
    * @param {string} markdown - Markdown content
-   * @returns {string} HTML content
+   * @returns {string} Sanitized HTML content
    */
   processMarkdown(markdown) {
     if (!markdown) return '';
@@ -386,10 +732,10 @@ class InvoiceRenderer {
       marked.setOptions({
         breaks: true, // Convert line breaks to <br>
         gfm: true, // GitHub Flavored Markdown
-        sanitize: false, // We'll handle escaping ourselves if needed
       });
 
-      return marked(markdown);
+      // marked passes raw HTML through, so strip anything not allow-listed
+      return sanitizeHtml(marked(markdown), NOTES_ALLOWED_HTML);
     } catch (error) {
       logger.warn('Failed to process markdown:', error.message);
       // Fallback to escaped plain text if markdown processing fails
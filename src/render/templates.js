@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+/**
+ * Font file types that can be inlined into fonts.css
+ */
+const FONT_TYPES = {
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+/**
+ * Handlebars templates, partials and assets of a template directory
+ *
+ * Files are looked up in the template directory first and fall back to the
+ * built-in ones, so a theme only needs the files it changes (e.g. styles.css
+ * and logo.svg). Partials are loaded from `partials/*.html` and used as
+ * `{{> name}}`. Values are HTML-escaped unless written as `{{{value}}}`.
+ */
+class TemplateEngine {
+  /**
+   * @param {object} [options] - Engine options
+   * @param {string} [options.dir] - Template directory (default: built-in templates)
+   * @param {string} [options.defaultDir] - Directory with the built-in templates
+   */
+  constructor({ dir = null, defaultDir = __dirname } = {}) {
+    this.defaultDir = defaultDir;
+    this.dir = dir ? path.resolve(dir) : defaultDir;
+    this.handlebars = Handlebars.create();
+    this.compiled = new Map();
+    this.partialsLoaded = false;
+
+    if (!fs.existsSync(this.dir) || !fs.statSync(this.dir).isDirectory()) {
+      throw new Error(`Template directory not found: ${this.dir}`);
+    }
+  }
+
+  /**
+   * Register a template helper
+   * @param {string} name - Helper name, e.g. "money" for {{money total}}
+   * @param {Function} helper - Helper function, called with the arguments and Handlebars options
+   */
+  registerHelper(name, helper) {
+    this.handlebars.registerHelper(name, helper);
+  }
+
+  /**
+   * Resolve a template file, preferring the template directory over the built-in one
+   * @param {string} file - File name relative to the template directory
+   * @returns {string} File path
+   */
+  resolve(file) {
+    const custom = path.join(this.dir, file);
+    return fs.existsSync(custom) ? custom : path.join(this.defaultDir, file);
+  }
+
+  /**
+   * Check whether the template directory or the built-in one has a file
+   * @param {string} file - File name relative to the template directory
+   * @returns {boolean} True if the file exists
+   */
+  has(file) {
+    return fs.existsSync(this.resolve(file));
+  }
+
+  /**
+   * Read an asset such as styles.css or logo.svg
+   * @param {string} file - File name relative to the template directory
+   * @returns {Promise<string>} File content
+   */
+  async readAsset(file) {
+    return fs.promises.readFile(this.resolve(file), 'utf-8');
+  }
+
+  /**
+   * Read a stylesheet with @font-face rules, inlining font files it refers to
+   *
+   * Relative font URLs are replaced with data URLs, so the rendered HTML does
+   * not depend on its location and renders offline.
+   * @param {string} file - File name relative to the template directory
+   * @returns {Promise<string>} Stylesheet content
+   */
+  async readFonts(file) {
+    const cssPath = this.resolve(file);
+    const css = await fs.promises.readFile(cssPath, 'utf-8');
+    const urlPattern = /url\((['"]?)([^'")]+)\1\)/g;
+
+    const replacements = await Promise.all(
+      [...css.matchAll(urlPattern)].map(async ([match, , url]) => {
+        const type = FONT_TYPES[path.extname(url).toLowerCase()];
+        if (!type || /^(data|https?):/.test(url)) {
+          return [match, match];
+        }
+        const font = await fs.promises.readFile(path.resolve(path.dirname(cssPath), url));
+        return [match, `url('data:${type};base64,${font.toString('base64')}')`];
+      })
+    );
+
+    return replacements.reduce((result, [match, value]) => result.replace(match, value), css);
+  }
+
+  /**
+   * Register the partials of the built-in and the custom template directory
+   */
+  loadPartials() {
+    const dirs = [...new Set([this.defaultDir, this.dir])];
+    dirs.forEach(dir => {
+      const partialsDir = path.join(dir, 'partials');
+      if (!fs.existsSync(partialsDir)) {
+        return;
+      }
+      fs.readdirSync(partialsDir)
+        .filter(file => file.endsWith('.html'))
+        .forEach(file => {
+          const content = fs.readFileSync(path.join(partialsDir, file), 'utf-8');
+          this.handlebars.registerPartial(path.basename(file, '.html'), content);
+        });
+    });
+    this.partialsLoaded = true;
+  }
+
+  /**
+   * Render a template
+   * @param {string} file - Template file name, e.g. "template.html"
+   * @param {object} data - Template data
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async render(file, data) {
+    if (!this.partialsLoaded) {
+      this.loadPartials();
+    }
+
+    const templatePath = this.resolve(file);
+    if (!this.compiled.has(templatePath)) {
+      const source = await fs.promises.readFile(templatePath, 'utf-8');
+      this.compiled.set(templatePath, this.handlebars.compile(source, { strict: false }));
+    }
+    return this.compiled.get(templatePath)(data);
+  }
+}
+
+module.exports = TemplateEngine;
@@ -0,0 +1,206 @@
+const {
+  parseAddress,
+  splitBuildingNumber,
+  detectCountry,
+  checkDebtorAddress,
+} = require('../src/domain/address');
+
+describe('Address parsing', () => {
+  describe('Swiss and Liechtenstein addresses', () => {
+    test('should parse a Swiss address without country line', () => {
+      const result = parseAddress('Bahnhofstrasse 12a\n8001 Zürich');
+
+      expect(result).toMatchObject({
+        street: 'Bahnhofstrasse',
+        buildingNumber: '12a',
+        zip: '8001',
+        city: 'Zürich',
+        country: 'CH',
+        confidence: 'medium',
+      });
+    });
+
+    test('should trust a postcode guess of the home country', () => {
+      const result = parseAddress('Bahnhofstrasse 12a\n8001 Zürich', { homeCountry: 'CH' });
+
+      expect(result).toMatchObject({ country: 'CH', confidence: 'high', warnings: [] });
+
+      const abroad = parseAddress('Hauptstrasse 1\n10115 Berlin', { homeCountry: 'CH' });
+      expect(abroad).toMatchObject({ country: 'DE', confidence: 'medium' });
+      expect(abroad.warnings).toEqual(['Country guessed as DE from the postcode']);
+    });
+
+    test('should parse a prefixed postcode and country line', () => {
+      const result = parseAddress('Rue du Rhône 1\r\nCH-1204 Genève\r\nSuisse');
+
+      expect(result).toMatchObject({
+        street: 'Rue du Rhône',
+        buildingNumber: '1',
+        zip: '1204',
+        city: 'Genève',
+        country: 'CH',
+        confidence: 'high',
+        warnings: [],
+      });
+    });
+
+    test('should detect Liechtenstein from the postcode', () => {
+      const result = parseAddress('Städtle 36\n9490 Vaduz');
+
+      expect(result.country).toBe('LI');
+      expect(result.confidence).toBe('high');
+    });
+
+    test('should keep c/o and post box lines separate from the street', () => {
+      const result = parseAddress(
+        'c/o Muster Treuhand\nSeestrasse 5\nPostfach 123\n8002 Zürich\nSchweiz'
+      );
+
+      expect(result.street).toBe('Seestrasse');
+      expect(result.buildingNumber).toBe('5');
+      expect(result.addressLines).toEqual(['c/o Muster Treuhand', 'Postfach 123']);
+    });
+  });
+
+  describe('International addresses', () => {
+    test('should parse a German address', () => {
+      const result = parseAddress('Friedrichstraße 123\n10117 Berlin\nDeutschland');
+
+      expect(result).toMatchObject({
+        street: 'Friedrichstraße',
+        buildingNumber: '123',
+        zip: '10117',
+        city: 'Berlin',
+        country: 'DE',
+        confidence: 'high',
+      });
+    });
+
+    test('should parse a UK address with the postcode on its own line', () => {
+      const result = parseAddress('221B Baker Street\nLondon\nNW1 6XE\nUnited Kingdom');
+
+      expect(result).toMatchObject({
+        street: 'Baker Street',
+        buildingNumber: '221B',
+        zip: 'NW1 6XE',
+        city: 'London',
+        country: 'GB',
+        confidence: 'high',
+      });
+    });
+
+    test('should parse a UK address with city and postcode on one line', () => {
+      const result = parseAddress('10 Downing Street\nLondon SW1A 2AA');
+
+      expect(result).toMatchObject({ city: 'London', zip: 'SW1A 2AA', country: 'GB' });
+    });
+
+    test('should parse a US address', () => {
+      const result = parseAddress('1600 Amphitheatre Parkway\nMountain View, CA 94043\nUSA');
+
+      expect(result).toMatchObject({
+        street: 'Amphitheatre Parkway',
+        buildingNumber: '1600',
+        zip: '94043',
+        city: 'Mountain View, CA',
+        country: 'US',
+        confidence: 'high',
+      });
+    });
+
+    test('should parse a single-line address', () => {
+      const result = parseAddress('350 Fifth Avenue, New York, NY 10118, United States');
+
+      expect(result).toMatchObject({
+        street: 'Fifth Avenue',
+        buildingNumber: '350',
+        zip: '10118',
+        city: 'New York, NY',
+        country: 'US',
+      });
+    });
+
+    test('should parse a French address with the number first', () => {
+      const result = parseAddress('10 rue de la Paix\n75002 Paris\nFrance');
+
+      expect(result).toMatchObject({
+        street: 'rue de la Paix',
+        buildingNumber: '10',
+        zip: '75002',
+        city: 'Paris',
+        country: 'FR',
+      });
+    });
+  });
+
+  describe('Confidence and warnings', () => {
+    test('should prefer structured hints', () => {
+      const result = parseAddress('Hauptstrasse 1', {
+        postalCode: '1010',
+        city: 'Wien',
+        country: 'AT',
+      });
+
+      expect(result).toMatchObject({
+        zip: '1010',
+        city: 'Wien',
+        country: 'AT',
+        confidence: 'high',
+      });
+    });
+
+    test('should flag an address without postcode as low confidence', () => {
+      const result = parseAddress('Somewhere 1');
+
+      expect(result.confidence).toBe('low');
+      expect(result.zip).toBe('');
+      expect(result.warnings).toContain('Country could not be determined, assuming CH');
+    });
+
+    test('should warn about a postcode that does not match the country', () => {
+      const result = parseAddress('Main Street 1\n123456 Nowhere\nGermany');
+
+      expect(result.confidence).toBe('low');
+
+      const mismatch = parseAddress('Hauptstrasse 1\n8001 Berlin\nDeutschland');
+      expect(mismatch.warnings).toContain('Postcode "8001" is not a valid DE postcode');
+      expect(mismatch.confidence).toBe('medium');
+    });
+
+    test('should report incomplete QR-bill debtor blocks', () => {
+      expect(checkDebtorAddress({ name: 'Client', zip: '', city: '', country: 'Schweiz' })).toEqual(
+        [
+          'debtor postcode is missing',
+          'debtor city is missing',
+          'debtor country "Schweiz" is not an ISO country code',
+        ]
+      );
+      expect(
+        checkDebtorAddress({ name: 'Client', zip: '8001', city: 'Zürich', country: 'CH' })
+      ).toEqual([]);
+    });
+  });
+
+  describe('Helpers', () => {
+    test('should split building numbers in both orders', () => {
+      expect(splitBuildingNumber('Via Roma 12/A', 'IT')).toEqual({
+        street: 'Via Roma',
+        buildingNumber: '12/A',
+      });
+      expect(splitBuildingNumber('12 Rue de Lyon', 'CH')).toEqual({
+        street: 'Rue de Lyon',
+        buildingNumber: '12',
+      });
+      expect(splitBuildingNumber('Dorfplatz', 'CH')).toEqual({
+        street: 'Dorfplatz',
+        buildingNumber: '',
+      });
+    });
+
+    test('should detect countries by name and code', () => {
+      expect(detectCountry('Österreich')).toBe('AT');
+      expect(detectCountry('LI')).toBe('LI');
+      expect(detectCountry('Bahnhofstrasse 1')).toBeNull();
+    });
+  });
+});
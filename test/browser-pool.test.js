@@ -0,0 +1,137 @@
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const puppeteer = require('puppeteer');
+const BrowserPool = require('../src/render/browser-pool');
+const harvestInvoices = require('../src/harvest/invoices');
+const renderer = require('../src/render/render');
+const InvoiceCLI = require('../src/cli/generate-invoice');
+
+describe('BrowserPool', () => {
+  let browser;
+
+  beforeEach(() => {
+    browser = {
+      on: jest.fn(),
+      close: jest.fn().mockResolvedValue(),
+      newPage: jest.fn().mockImplementation(async () => ({
+        setDefaultTimeout: jest.fn(),
+        setDefaultNavigationTimeout: jest.fn(),
+        setRequestInterception: jest.fn().mockResolvedValue(),
+        on: jest.fn(),
+        isClosed: () => false,
+        close: jest.fn().mockResolvedValue(),
+      })),
+    };
+    puppeteer.launch.mockReset().mockResolvedValue(browser);
+  });
+
+  test('should launch the browser once for many renders', async () => {
+    const pool = new BrowserPool({ concurrency: 2 });
+
+    await Promise.all([1, 2, 3, 4].map(() => pool.withPage(async () => {})));
+
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not run more tasks than the concurrency limit', async () => {
+    const pool = new BrowserPool({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(task)));
+
+    expect(maxRunning).toBe(2);
+    expect(browser.newPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('should discard the page of a failed task and free its slot', async () => {
+    const pool = new BrowserPool({ concurrency: 1 });
+    let failedPage;
+
+    await expect(
+      pool.withPage(async page => {
+        failedPage = page;
+        throw new Error('render failed');
+      })
+    ).rejects.toThrow('render failed');
+
+    await pool.withPage(async page => {
+      expect(page).not.toBe(failedPage);
+    });
+    expect(failedPage.close).toHaveBeenCalled();
+  });
+
+  test('should block all requests except inlined content', async () => {
+    const pool = new BrowserPool();
+    const page = await pool.createPage();
+    const [event, onRequest] = page.on.mock.calls[0];
+    const request = url => ({ url: () => url, continue: jest.fn(), abort: jest.fn() });
+    const inline = request('data:font/woff;base64,AAAA');
+    const remote = request('https://attacker.example/track.png');
+
+    onRequest(inline);
+    onRequest(remote);
+
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+    expect(event).toBe('request');
+    expect(inline.continue).toHaveBeenCalled();
+    expect(remote.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(remote.continue).not.toHaveBeenCalled();
+  });
+
+  test('should close the shared browser', async () => {
+    const pool = new BrowserPool();
+    await pool.withPage(async () => {});
+
+    await pool.close();
+
+    expect(browser.close).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Batch generation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    renderer.setConcurrency(4);
+  });
+
+  test('should not fetch more invoices from Harvest than the concurrency limit', async () => {
+    const cli = new InvoiceCLI();
+    const invoices = [1, 2, 3, 4, 5, 6].map(id => ({
+      id,
+      number: `2024-00${id}`,
+      client: { id: 1, name: 'Client AG' },
+    }));
+    let running = 0;
+    let maxRunning = 0;
+
+    jest.spyOn(harvestInvoices, 'listInvoices').mockResolvedValue(invoices);
+    jest.spyOn(harvestInvoices, 'getClient').mockResolvedValue({ id: 1 });
+    jest.spyOn(harvestInvoices, 'getInvoicePayments').mockImplementation(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return [];
+    });
+    jest.spyOn(cli, 'renderDocument').mockImplementation(async harvestInvoice => ({
+      invoice: { number: harvestInvoice.number, formatAmount: String, getAmountDue: () => 0 },
+      outputPath: `out/${harvestInvoice.number}.pdf`,
+    }));
+    jest.spyOn(cli, 'printBatchSummary').mockImplementation(() => {});
+    renderer.setConcurrency(2);
+
+    const results = await cli.generateBatch({ all: true });
+
+    expect(maxRunning).toBe(2);
+    expect(results.map(result => result.number)).toEqual(invoices.map(({ number }) => number));
+    expect(harvestInvoices.getClient).toHaveBeenCalledTimes(1);
+  });
+});
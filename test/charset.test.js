@@ -0,0 +1,48 @@
+const { encodeText, findInvalidCharacters } = require('../src/domain/charset');
+const { QRBillDTO } = require('../src/domain/dto');
+const qrGenerator = require('../src/domain/qr');
+
+describe('QR-bill character set', () => {
+  test('should keep French, Italian and German accents', () => {
+    ['Genève', 'Zoë', 'Frères', 'Città', 'Zürich', 'Straße'].forEach(text => {
+      expect(encodeText(text)).toEqual({ text, altered: false });
+    });
+  });
+
+  test('should transliterate characters outside the character set', () => {
+    expect(encodeText('Łódź')).toEqual({ text: 'Lódz', altered: true });
+    expect(encodeText('São Paulo')).toEqual({ text: 'Sao Paulo', altered: true });
+    expect(encodeText('Œuvre “Ærø” – Ștefan')).toEqual({
+      text: 'OEuvre "AEro" - Stefan',
+      altered: true,
+    });
+    expect(encodeText('Hello 🚀')).toEqual({ text: 'Hello ', altered: true });
+    expect(findInvalidCharacters('Łukasz 🚀 Ωmega')).toEqual(['Ł', '🚀', 'Ω']);
+  });
+
+  test('should turn line breaks into spaces without reporting a change', () => {
+    expect(encodeText('Line 1\r\nLine 2')).toEqual({ text: 'Line 1 Line 2', altered: false });
+    expect(encodeText(undefined)).toEqual({ text: '', altered: false });
+  });
+
+  test('should report the QR-bill fields that were altered', () => {
+    const address = { street: 'Rue du Rhône', buildingNumber: '1', zip: '1204', country: 'CH' };
+    const qrBill = new QRBillDTO({
+      account: 'CH9300762011623852957',
+      creditor: { ...address, name: 'Les Frères SA', city: 'Genève' },
+      debtor: { ...address, name: 'Łukasz Wróbel', city: 'Genève' },
+      amount: 100,
+      currency: 'CHF',
+      referenceType: 'NON',
+      message: 'Facture 2024-001',
+    });
+
+    const { fields, altered } = qrGenerator.encodeTextFields(qrBill);
+
+    expect(fields['creditor.name']).toBe('Les Frères SA');
+    expect(fields['debtor.city']).toBe('Genève');
+    expect(altered).toEqual([
+      { field: 'debtor.name', original: 'Łukasz Wróbel', encoded: 'Lukasz Wróbel' },
+    ]);
+  });
+});
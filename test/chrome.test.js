@@ -0,0 +1,51 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { resolveExecutablePath, KNOWN_PATHS } = require('../src/render/chrome');
+
+describe('Chrome executable lookup', () => {
+  let existingPaths;
+
+  beforeEach(() => {
+    existingPaths = new Set();
+    jest.spyOn(fs, 'existsSync').mockImplementation(file => existingPaths.has(file));
+    jest.spyOn(puppeteer, 'executablePath').mockReturnValue('/cache/puppeteer/chrome');
+    delete process.env.CHROME_PATH;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CHROME_PATH;
+  });
+
+  test('should prefer CHROME_PATH', () => {
+    process.env.CHROME_PATH = '/opt/chrome/chrome';
+    existingPaths.add('/opt/chrome/chrome');
+    existingPaths.add('/cache/puppeteer/chrome');
+
+    expect(resolveExecutablePath('linux')).toBe('/opt/chrome/chrome');
+  });
+
+  test('should reject a CHROME_PATH that does not exist', () => {
+    process.env.CHROME_PATH = '/opt/missing/chrome';
+
+    expect(() => resolveExecutablePath('linux')).toThrow('CHROME_PATH does not exist');
+  });
+
+  test("should fall back to Puppeteer's bundled Chromium", () => {
+    existingPaths.add('/cache/puppeteer/chrome');
+    existingPaths.add('/usr/bin/chromium');
+
+    expect(resolveExecutablePath('linux')).toBe('/cache/puppeteer/chrome');
+  });
+
+  test('should fall back to well-known Linux paths', () => {
+    existingPaths.add('/usr/bin/chromium');
+
+    expect(resolveExecutablePath('linux')).toBe('/usr/bin/chromium');
+    expect(KNOWN_PATHS.linux).toContain('/usr/bin/google-chrome-stable');
+  });
+
+  test('should explain how to proceed when no browser is found', () => {
+    expect(() => resolveExecutablePath('linux')).toThrow(/CHROME_PATH.*--format html/);
+  });
+});
@@ -0,0 +1,119 @@
+const path = require('path');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const qrGenerator = require('../src/domain/qr');
+const renderer = require('../src/render/render');
+const logger = require('../src/utils/logger');
+
+describe('Client profiles', () => {
+  const harvestClient = {
+    id: 101,
+    name: 'Client SA',
+    address: 'Wrong Street 1\n9999 Nowhere',
+  };
+  const harvestInvoice = {
+    number: '2024-001',
+    issue_date: '2024-03-01',
+    due_date: '2024-03-31',
+    amount: 100,
+    tax_amount: 0,
+    currency: 'EUR',
+    line_items: [],
+  };
+
+  beforeEach(() => {
+    clientProfiles.load(path.join(__dirname, 'fixtures', 'clients.json'));
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    renderer.setTemplateDir(null);
+    jest.restoreAllMocks();
+  });
+
+  test('should return an empty profile for unknown clients', () => {
+    expect(clientProfiles.get(999)).toEqual({});
+  });
+
+  test('should treat a missing profile file as no overrides', () => {
+    clientProfiles.load(path.join(__dirname, 'fixtures', 'missing.json'));
+
+    expect(clientProfiles.get(101)).toEqual({});
+  });
+
+  test('should reject invalid overrides', () => {
+    expect(() => clientProfiles.validate('1', { language: 'es' })).toThrow(
+      'Client profile 1: language must be de, fr, it, or en'
+    );
+    expect(() => clientProfiles.validate('1', { qrReferenceType: 'XYZ' })).toThrow(
+      'qrReferenceType must be QRR, SCOR, or NON'
+    );
+    expect(() => clientProfiles.validate('1', { vatNumber: '123' })).toThrow(
+      'unknown field(s) vatNumber'
+    );
+    expect(() => clientProfiles.validate('1', { template: '../evil' })).toThrow(
+      'template must only contain'
+    );
+  });
+
+  test('should apply profile overrides when mapping an invoice', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(invoice.language).toBe('fr');
+    expect(invoice.currency).toBe('EUR');
+    expect(invoice.qrReferenceType).toBe('NON');
+    expect(invoice.paymentTerms).toBe('Payable dans les 10 jours net.');
+    expect(invoice.recipientEmail).toBe('comptabilite@client.ch');
+    expect(invoice.template).toBe('minimal');
+    expect(invoice.debtor.street).toBe('Rue du Rhône 1');
+    expect(invoice.debtor.zip).toBe('1204');
+    expect(invoice.debtor.city).toBe('Genève');
+    expect(invoice.debtor.name).toBe('Client SA');
+  });
+
+  test('should only use the profile currency without Harvest currency', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, currency: undefined },
+      harvestClient
+    );
+
+    expect(invoice.currency).toBe('EUR');
+    expect(() =>
+      dataMapper.mapInvoiceFromHarvest({ ...harvestInvoice, currency: 'CHF' }, harvestClient)
+    ).toThrow('Document 2024-001 is in CHF in Harvest, but the client profile sets EUR');
+  });
+
+  test('should let an explicit language win over the profile', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient, {
+      language: 'it',
+    });
+
+    expect(invoice.language).toBe('it');
+  });
+
+  test('should use the profile reference type for the QR-bill', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(qrGenerator.getReferenceType(invoice)).toBe('NON');
+    expect(qrGenerator.generateReference(invoice)).toBe('');
+  });
+
+  test('should render the template variant of the profile', async () => {
+    renderer.setTemplateDir(path.join(__dirname, 'fixtures', 'theme'));
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(path.basename(renderer.getTemplatePath(invoice))).toBe('template.minimal.html');
+    const html = await renderer.compileTemplate(invoice, '');
+    expect(html).toContain('<body class="minimal-theme">');
+  });
+
+  test('should fall back to the base template without the variant', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(path.basename(renderer.getTemplatePath(invoice))).toBe('template.html');
+    const html = await renderer.compileTemplate(invoice, '');
+    expect(html).toContain('2024-001');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('template.minimal.html not found'));
+  });
+});
@@ -0,0 +1,129 @@
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+const InvoiceCLI = require('../src/cli/generate-invoice');
+const ValidateCLI = require('../src/cli/validate-invoice');
+
+describe('Credit notes', () => {
+  const harvestClient = {
+    id: 707,
+    name: 'Druckerei AG',
+    address: 'Industriestrasse 7\n6300 Zug\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 9901,
+    number: '2024-099',
+    state: 'open',
+    issue_date: '2024-06-03',
+    due_date: '2024-07-03',
+    amount: -216.2,
+    due_amount: -216.2,
+    tax: 8.1,
+    tax_amount: -16.2,
+    currency: 'CHF',
+    line_items: [
+      {
+        description: 'Refund design hours',
+        quantity: -2,
+        unit_price: 100,
+        amount: -200,
+        taxed: true,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should map a negative Harvest invoice to a credit note', () => {
+    const creditNote = dataMapper.mapCreditNoteFromHarvest(harvestInvoice, harvestClient, {
+      originalInvoice: '2024-017',
+    });
+
+    expect(creditNote.getType()).toBe('credit-note');
+    expect(creditNote.isCreditNote()).toBe(true);
+    expect(creditNote.originalInvoiceNumber).toBe('2024-017');
+    expect(creditNote.total).toBe(-216.2);
+    expect(creditNote.getVatRates()).toEqual([{ rate: 8.1, net: -200, tax: -16.2 }]);
+    expect(creditNote.checkTotals()).toEqual([]);
+  });
+
+  test('should reject invoices without a negative amount', () => {
+    expect(() =>
+      dataMapper.mapCreditNoteFromHarvest({ ...harvestInvoice, amount: 216.2 }, harvestClient)
+    ).toThrow('Invoice 2024-099 has no negative amount to credit');
+  });
+
+  test('should render the credit note template without a payment part', async () => {
+    const creditNote = dataMapper.mapCreditNoteFromHarvest(harvestInvoice, harvestClient, {
+      originalInvoice: '2024-017',
+    });
+
+    expect(renderer.getTemplatePath(creditNote)).toMatch(/credit-note\.html$/);
+
+    const html = await renderer.buildHTML(creditNote);
+    expect(html).toContain('<h1 class="invoice-title">Gutschrift</h1>');
+    expect(html).toContain('<dd>2024-017</dd>');
+    expect(html).toContain('-216.20');
+    expect(html).toContain('Bitte nicht einzahlen.');
+    expect(html).not.toContain('<section class="qr-bill-section">');
+  });
+
+  test('should render negative invoices as credit notes', async () => {
+    const cli = new InvoiceCLI();
+    jest.spyOn(cli, 'ensureOutputDir').mockResolvedValue();
+    const renderToPDF = jest.spyOn(renderer, 'renderToPDF').mockResolvedValue();
+
+    const { invoice, outputPath } = await cli.renderDocument(
+      harvestInvoice,
+      harvestClient,
+      'invoice'
+    );
+
+    expect(invoice.isCreditNote()).toBe(true);
+    expect(outputPath).toMatch(/CreditNote_2024099_/);
+    expect(renderToPDF).toHaveBeenCalledWith(invoice, outputPath);
+  });
+
+  test('should need an invoice ID for credit notes on the command line', () => {
+    const cli = new InvoiceCLI();
+
+    expect(
+      cli.parseArgs(['--id', '9901', '--type', 'credit-note', '--original', '2024-017'])
+    ).toMatchObject({ id: '9901', type: 'credit-note', original: '2024-017' });
+    expect(() => cli.parseArgs(['--type', 'credit-note'])).toThrow(
+      '--type credit-note needs the --id'
+    );
+    expect(() => cli.parseArgs(['--id', '1', '--original', '2024-017'])).toThrow(
+      '--original can only be used with --type credit-note'
+    );
+  });
+
+  test('should validate documents without QR-bill with a warning only', () => {
+    const cli = new ValidateCLI();
+    const creditNote = dataMapper.mapCreditNoteFromHarvest(harvestInvoice, harvestClient);
+    const paid = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, amount: 216.2, due_amount: 0, tax_amount: 16.2, line_items: [] },
+      harvestClient
+    );
+
+    expect(cli.parseArgs(['--id', '9901', '--type', 'credit-note'])).toMatchObject({
+      type: 'credit-note',
+    });
+    expect(cli.validateDocument(creditNote)).toEqual({
+      errors: [],
+      warnings: [{ field: 'type', message: 'credit notes are not paid by the debtor, no QR-bill' }],
+    });
+    expect(cli.validateDocument(paid).errors).toEqual([]);
+    expect(cli.validateDocument(paid).warnings[0]).toEqual({
+      field: 'amount',
+      message: 'nothing is due, no QR-bill',
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const clientProfiles = require('../src/config/clients');
+const config = require('../src/config/env');
+const dataMapper = require('../src/domain/mapping');
+const { buildFacturX } = require('../src/domain/facturx');
+const renderer = require('../src/render/render');
+const ValidateCLI = require('../src/cli/validate-invoice');
+
+describe('Currencies without QR-bill', () => {
+  const harvestClient = {
+    id: 808,
+    name: 'Acme Inc.',
+    address: '1 Market Street\nSan Francisco, CA 94105\nUnited States',
+  };
+  const harvestInvoice = {
+    id: 9801,
+    number: '2024-098',
+    state: 'open',
+    issue_date: '2024-06-03',
+    due_date: '2024-07-03',
+    amount: 1234.5,
+    currency: 'USD',
+    line_items: [{ description: 'Consulting', quantity: 10, unit_price: 123.45, amount: 1234.5 }],
+  };
+
+  const iban = process.env.COMPANY_IBAN;
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+    process.env.COMPANY_BANK_IBAN = 'CH93 0076 2011 6238 5295 7';
+    process.env.COMPANY_BIC = 'UBSWCHZH80A';
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    delete process.env.COMPANY_BANK_IBAN;
+    delete process.env.COMPANY_BIC;
+    process.env.COMPANY_IBAN = iban;
+  });
+
+  test('should render bank details instead of the QR-bill', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const html = await renderer.buildHTML(invoice);
+
+    expect(html).toContain('USD 1’234.50');
+    expect(html).not.toContain('<section class="qr-bill-section">');
+    expect(html).toContain('<section class="bank-details">');
+    expect(html).toContain('<td>CH93 0076 2011 6238 5295 7</td>');
+    expect(html).toContain('<td>UBSWCHZH80A</td>');
+    expect(html).toContain('<td>2024-098</td>');
+  });
+
+  test('should format currencies with their own minor units', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      {
+        ...harvestInvoice,
+        amount: 150000,
+        currency: 'JPY',
+        line_items: [{ description: 'Workshop', quantity: 1, unit_price: 150000, amount: 150000 }],
+      },
+      harvestClient
+    );
+    const html = await renderer.compileTemplate(invoice, '');
+
+    expect(invoice.formatAmount(invoice.total)).toBe('JPY 150000');
+    expect(html).toContain('JPY 150’000<');
+    expect(html).not.toContain('150’000.00');
+  });
+
+  test('should round mapped amounts to the minor unit of the currency', () => {
+    const lineItems = [
+      { description: 'Licence', quantity: 2, unit_price: 1.2345 },
+      { description: 'Support', quantity: 1, unit_price: 10.5, amount: 10.5 },
+    ];
+
+    expect(
+      dataMapper
+        .mapLineItems(lineItems, {}, 'KWD')
+        .map(({ unitPrice, total }) => [unitPrice, total])
+    ).toEqual([
+      [1.235, 2.47],
+      [10.5, 10.5],
+    ]);
+    expect(
+      dataMapper
+        .mapLineItems(lineItems, {}, 'JPY')
+        .map(({ unitPrice, total }) => [unitPrice, total])
+    ).toEqual([
+      [1, 2],
+      [11, 11],
+    ]);
+
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, amount: 12.345, due_amount: 1.234, currency: 'KWD', line_items: [] },
+      harvestClient,
+      { payments: [{ amount: 11.111, paid_date: '2024-06-10' }] }
+    );
+    expect(invoice.total).toBe(12.345);
+    expect(invoice.dueAmount).toBe(1.234);
+    expect(invoice.payments[0].amount).toBe(11.111);
+  });
+
+  test('should accept any ISO 4217 currency in client profiles', () => {
+    expect(() => clientProfiles.validate('808', { currency: 'GBP' })).not.toThrow();
+    expect(() => clientProfiles.validate('808', { currency: 'XYZ' })).toThrow(
+      'currency must be an ISO 4217 currency code'
+    );
+  });
+
+  test('should only warn about the missing QR-bill when validating', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(new ValidateCLI().validateDocument(invoice)).toEqual({
+      errors: [],
+      warnings: [
+        {
+          field: 'currency',
+          message: 'USD cannot be paid by QR-bill, bank details are shown instead',
+        },
+      ],
+    });
+  });
+
+  test('should not transfer to a QR-IBAN', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    process.env.COMPANY_BANK_IBAN = 'CH44 3199 9123 0008 8901 2';
+    expect(() => config.validateRequired()).toThrow('COMPANY_BANK_IBAN must be an ordinary IBAN');
+
+    delete process.env.COMPANY_BANK_IBAN;
+    process.env.COMPANY_IBAN = 'CH44 3199 9123 0008 8901 2';
+    expect(config.company.bankIban).toBe('');
+    await expect(renderer.buildHTML(invoice)).rejects.toThrow('set COMPANY_BANK_IBAN');
+    expect(() => buildFacturX(invoice)).toThrow('needs a payee account (BT-84)');
+    expect(new ValidateCLI().validateDocument(invoice).errors).toEqual([
+      { field: 'account', message: 'COMPANY_IBAN is a QR-IBAN, set COMPANY_BANK_IBAN' },
+    ]);
+  });
+});
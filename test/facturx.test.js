@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFDict, PDFName, decodePDFRawStream } = require('pdf-lib');
+const { validateXML } = require('xmllint-wasm');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const { buildFacturX, validateFacturX } = require('../src/domain/facturx');
+const renderer = require('../src/render/render');
+const InvoiceCLI = require('../src/cli/generate-invoice');
+
+// Official Factur-X 1.07.3 (1.0.07) EN16931 schema, see fixtures/facturx/README.md
+const SCHEMA_DIR = path.join(__dirname, 'fixtures', 'facturx');
+const SCHEMA = 'Factur-X_1.07.3_EN16931.xsd';
+
+/**
+ * Validate XML against the Factur-X XSD
+ * @param {string} xml - CrossIndustryInvoice XML
+ * @returns {Promise<string[]>} Schema errors, empty if valid
+ */
+async function validateSchema(xml) {
+  const files = fs.readdirSync(SCHEMA_DIR).filter(file => file.endsWith('.xsd'));
+  const read = fileName => ({
+    fileName,
+    contents: fs.readFileSync(path.join(SCHEMA_DIR, fileName), 'utf8'),
+  });
+
+  const { errors } = await validateXML({
+    xml: [{ fileName: 'factur-x.xml', contents: xml }],
+    schema: [read(SCHEMA)],
+    preload: files.filter(file => file !== SCHEMA).map(read),
+  });
+  return errors.map(({ message }) => message);
+}
+
+describe('Factur-X', () => {
+  const harvestClient = {
+    id: 808,
+    name: 'Handel & Co. GmbH',
+    address: 'Friedrichstrasse 10\n10117 Berlin\nDeutschland',
+  };
+  const harvestInvoice = {
+    id: 9401,
+    number: '2024-094',
+    state: 'open',
+    issue_date: '2024-06-10',
+    due_date: '2024-07-10',
+    amount: 1161,
+    discount: 10,
+    discount_amount: 110,
+    tax: 19,
+    tax_amount: 171,
+    currency: 'EUR',
+    line_items: [
+      { description: 'Consulting', quantity: 10, unit_price: 100, amount: 1000, taxed: true },
+      { description: 'Travel', quantity: 1, unit_price: 100, amount: 100 },
+    ],
+  };
+  const vatNumber = process.env.COMPANY_VAT_NUMBER;
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+    process.env.COMPANY_VAT_NUMBER = 'CHE-123.456.789 MWST';
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    renderer.setArchive({ pdfa: false });
+    if (vatNumber === undefined) {
+      delete process.env.COMPANY_VAT_NUMBER;
+    } else {
+      process.env.COMPANY_VAT_NUMBER = vatNumber;
+    }
+  });
+
+  test('should build a valid EN 16931 invoice with discount and exempt line', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const xml = buildFacturX(invoice);
+
+    expect(validateFacturX(xml)).toEqual([]);
+    expect(xml).toContain('<ram:ID>urn:cen.eu:en16931:2017</ram:ID>');
+    expect(xml).toContain('<ram:TypeCode>380</ram:TypeCode>');
+    expect(xml).toContain('<udt:DateTimeString format="102">20240610</udt:DateTimeString>');
+    expect(xml).toContain('<ram:InvoiceCurrencyCode>EUR</ram:InvoiceCurrencyCode>');
+    expect(xml).toContain('<ram:ID schemeID="VA">CHE123456789MWST</ram:ID>');
+    expect(xml).toContain('<ram:CountryID>DE</ram:CountryID>');
+    expect(xml).toMatch(
+      /<ram:CalculatedAmount>171.00<\/ram:CalculatedAmount>\s*<ram:TypeCode>VAT<\/ram:TypeCode>\s*<ram:BasisAmount>900.00<\/ram:BasisAmount>\s*<ram:CategoryCode>S<\/ram:CategoryCode>/
+    );
+    expect(xml).toMatch(/<ram:BasisAmount>90.00<\/ram:BasisAmount>\s*<ram:CategoryCode>E/);
+    expect(xml).toContain('<ram:GrandTotalAmount>1161.00</ram:GrandTotalAmount>');
+    expect(xml).toContain('<ram:DuePayableAmount>1161.00</ram:DuePayableAmount>');
+  });
+
+  test('should issue credit notes with positive amounts', () => {
+    const creditNote = dataMapper.mapCreditNoteFromHarvest(
+      {
+        ...harvestInvoice,
+        amount: -238,
+        discount: 0,
+        discount_amount: 0,
+        tax_amount: -38,
+        line_items: [
+          { description: 'Refund', quantity: -2, unit_price: 100, amount: -200, taxed: true },
+        ],
+      },
+      harvestClient,
+      { originalInvoice: '2024-017' }
+    );
+    const xml = buildFacturX(creditNote);
+
+    expect(validateFacturX(xml)).toEqual([]);
+    expect(xml).toContain('<ram:TypeCode>381</ram:TypeCode>');
+    expect(xml).toContain('<ram:GrandTotalAmount>238.00</ram:GrandTotalAmount>');
+    expect(xml).toMatch(/<ram:IssuerAssignedID>2024-017<\/ram:IssuerAssignedID>/);
+  });
+
+  test('should report broken totals', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const xml = buildFacturX(invoice).replace(
+      '<ram:LineTotalAmount>1100.00</ram:LineTotalAmount>',
+      '<ram:LineTotalAmount>1000.00</ram:LineTotalAmount>'
+    );
+
+    expect(validateFacturX(xml).map(({ rule }) => rule)).toContain('BR-CO-10');
+  });
+
+  test('should not build e-invoices for estimates', () => {
+    const estimate = dataMapper.mapEstimateFromHarvest(harvestInvoice, harvestClient);
+
+    expect(() => buildFacturX(estimate)).toThrow('not for estimate');
+  });
+
+  test('should embed the XML in a hybrid PDF/A-3 invoice', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    renderer.setArchive({ pdfa: true, attachment: 'factur-x' });
+
+    const source = await PDFDocument.create();
+    source.addPage([595, 842]);
+    const pdf = await PDFDocument.load(
+      await renderer.convertToArchive(await source.save(), invoice)
+    );
+    const { catalog } = pdf;
+
+    const [fileSpecRef] = catalog.lookup(PDFName.of('AF')).asArray();
+    const fileSpec = pdf.context.lookup(fileSpecRef, PDFDict);
+    expect(fileSpec.get(PDFName.of('AFRelationship'))).toBe(PDFName.of('Alternative'));
+    expect(fileSpec.lookup(PDFName.of('UF')).decodeText()).toBe('factur-x.xml');
+    const file = pdf.context.lookup(
+      fileSpec.lookup(PDFName.of('EF'), PDFDict).get(PDFName.of('F'))
+    );
+    const xml = Buffer.from(decodePDFRawStream(file).decode()).toString('utf8');
+    expect(validateFacturX(xml)).toEqual([]);
+
+    const xmp = pdf.context.lookup(catalog.get(PDFName.of('Metadata'))).getContentsString();
+    expect(xmp).toContain('<fx:DocumentFileName>factur-x.xml</fx:DocumentFileName>');
+    expect(xmp).toContain('<fx:ConformanceLevel>EN 16931</fx:ConformanceLevel>');
+    expect(xmp).toContain('urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#');
+  });
+
+  test('should parse the e-invoice options', () => {
+    const cli = new InvoiceCLI();
+
+    expect(cli.parseArgs(['--id', '1', '--format', 'xml'])).toMatchObject({ format: 'xml' });
+    expect(cli.parseArgs(['--id', '1', '--attach', 'factur-x'])).toMatchObject({
+      pdfa: true,
+      attach: 'factur-x',
+    });
+    expect(() => cli.parseArgs(['--type', 'estimate', '--format', 'xml'])).toThrow(
+      'only available for invoices and credit notes'
+    );
+    expect(() => cli.parseArgs(['--attach', 'factur-x', '--format', 'xml'])).toThrow(
+      '--format pdf'
+    );
+  });
+
+  test('should validate against the Factur-X XSD', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const creditNote = dataMapper.mapCreditNoteFromHarvest(
+      {
+        ...harvestInvoice,
+        amount: -1161,
+        discount_amount: -110,
+        tax_amount: -171,
+        line_items: harvestInvoice.line_items.map(item => ({
+          ...item,
+          quantity: -item.quantity,
+          amount: -item.amount,
+        })),
+      },
+      harvestClient,
+      { originalInvoice: '2024-017' }
+    );
+
+    expect(await validateSchema(buildFacturX(invoice))).toEqual([]);
+    expect(await validateSchema(buildFacturX(creditNote))).toEqual([]);
+
+    const broken = buildFacturX(invoice).replace('<ram:TypeCode>380', '<ram:Code>380');
+    expect(await validateSchema(broken)).not.toEqual([]);
+  });
+});
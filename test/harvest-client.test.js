@@ -0,0 +1,86 @@
+const harvestClient = require('../src/harvest/client');
+
+describe('Harvest client pagination', () => {
+  let getSpy;
+
+  afterEach(() => {
+    getSpy.mockRestore();
+  });
+
+  /**
+   * Stub the underlying axios GET with a fixed sequence of page responses
+   * @param {object[]} pages - Response bodies in request order
+   */
+  function mockPages(pages) {
+    let index = 0;
+    getSpy = jest
+      .spyOn(harvestClient.client, 'get')
+      .mockImplementation(async () => ({ data: pages[index++] }));
+  }
+
+  test('should follow links.next across pages', async () => {
+    mockPages([
+      {
+        invoices: [{ id: 1 }, { id: 2 }],
+        page: 1,
+        total_pages: 2,
+        links: { next: 'https://api.harvestapp.com/v2/invoices?page=2&per_page=2' },
+      },
+      { invoices: [{ id: 3 }], page: 2, total_pages: 2, links: { next: null } },
+    ]);
+
+    const invoices = await harvestClient.list('/invoices');
+
+    expect(invoices.map(invoice => invoice.id)).toEqual([1, 2, 3]);
+    expect(getSpy).toHaveBeenCalledTimes(2);
+    expect(getSpy.mock.calls[1][0]).toBe(
+      'https://api.harvestapp.com/v2/invoices?page=2&per_page=2'
+    );
+  });
+
+  test('should fall back to page and total_pages without links', async () => {
+    mockPages([
+      { clients: [{ id: 1 }], page: 1, total_pages: 2 },
+      { clients: [{ id: 2 }], page: 2, total_pages: 2 },
+    ]);
+
+    const clients = await harvestClient.list('/clients', { params: { is_active: true } });
+
+    expect(clients.map(c => c.id)).toEqual([1, 2]);
+    expect(getSpy.mock.calls[1][1].params).toEqual({ per_page: 100, is_active: true, page: 2 });
+  });
+
+  test('should stop once maxItems records were yielded', async () => {
+    mockPages([
+      { estimates: [{ id: 1 }, { id: 2 }], page: 1, total_pages: 3 },
+      { estimates: [{ id: 3 }, { id: 4 }], page: 2, total_pages: 3 },
+      { estimates: [{ id: 5 }], page: 3, total_pages: 3 },
+    ]);
+
+    const estimates = await harvestClient.list('/estimates', { maxItems: 3 });
+
+    expect(estimates.map(estimate => estimate.id)).toEqual([1, 2, 3]);
+    expect(getSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test('should read records from an explicit response key', async () => {
+    mockPages([{ invoice_payments: [{ id: 7, amount: 100 }], page: 1, total_pages: 1 }]);
+
+    const payments = await harvestClient.list('/invoices/42/payments', {
+      key: 'invoice_payments',
+    });
+
+    expect(payments).toEqual([{ id: 7, amount: 100 }]);
+  });
+
+  test('should expose an async iterator', async () => {
+    mockPages([{ contacts: [{ id: 1 }, { id: 2 }], page: 1, total_pages: 1 }]);
+
+    const ids = [];
+    for await (const contact of harvestClient.paginate('/contacts')) {
+      ids.push(contact.id);
+    }
+
+    expect(ids).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,73 @@
+const dayjs = require('dayjs');
+const i18n = require('../src/i18n');
+const { InvoiceDTO } = require('../src/domain/dto');
+const qrGenerator = require('../src/domain/qr');
+const renderer = require('../src/render/render');
+
+describe('Translations', () => {
+  const buildInvoice = language =>
+    new InvoiceDTO({
+      number: '2024-001',
+      issueDate: dayjs('2024-03-01'),
+      dueDate: dayjs('2024-03-31'),
+      creditor: {
+        name: 'Test Company GmbH',
+        street: 'Teststrasse 1',
+        zip: '8001',
+        city: 'Zürich',
+        country: 'CH',
+      },
+      debtor: {
+        name: 'Client SA',
+        street: 'Rue du Rhône 1',
+        zip: '1204',
+        city: 'Genève',
+        country: 'CH',
+      },
+      items: [{ description: 'Consulting', quantity: 2, unitPrice: 100, total: 200 }],
+      subtotal: 200,
+      taxTotal: 16.2,
+      total: 216.2,
+      currency: 'CHF',
+      language,
+    });
+
+  test('should define the same labels in every language', () => {
+    const germanKeys = Object.keys(i18n.getCatalog('de').labels).sort();
+
+    i18n.SUPPORTED_LANGUAGES.forEach(language => {
+      expect(Object.keys(i18n.getCatalog(language).labels).sort()).toEqual(germanKeys);
+    });
+  });
+
+  test('should fall back to German for unknown languages', () => {
+    expect(i18n.isSupported('es')).toBe(false);
+    expect(i18n.t('es', 'invoice')).toBe('Rechnung');
+  });
+
+  test('should format dates per language', () => {
+    const date = dayjs('2024-03-05');
+
+    expect(i18n.formatDate(date, 'de')).toBe('05.03.2024');
+    expect(i18n.formatDate(date, 'en')).toBe('05/03/2024');
+    expect(i18n.formatDate(null, 'fr')).toBe('');
+  });
+
+  test('should translate the QR-bill message', () => {
+    expect(qrGenerator.buildMessage(buildInvoice('de'))).toBe('Rechnung 2024-001');
+    expect(qrGenerator.buildMessage(buildInvoice('fr'))).toBe('Facture 2024-001');
+    expect(qrGenerator.buildMessage(buildInvoice('it'))).toBe('Fattura 2024-001');
+  });
+
+  test('should render all template labels in the invoice language', async () => {
+    const html = await renderer.compileTemplate(buildInvoice('fr'), '<svg></svg>');
+
+    expect(html).not.toMatch(/{{t\./);
+    expect(html).toContain('<html lang="fr-CH">');
+    expect(html).toContain('Échéance');
+    expect(html).toContain('Destinataire');
+    expect(html).toContain('Sous-total');
+    expect(html).not.toContain('Beschreibung');
+    expect(html).not.toContain('Bill To');
+  });
+});
@@ -1,4 +1,7 @@
+const fc = require('fast-check');
 const {
+  Money,
+  getFractionDigits,
   roundCurrency,
   roundSwissCash,
   formatCurrency,
@@ -8,6 +11,8 @@ const {
   calculateNet,
   sumAmounts,
   isValidCurrency,
+  isQRBillCurrency,
+  formatAmount,
   getCurrencySymbol,
   parseAmount,
 } = require('../src/domain/money');
@@ -116,13 +121,29 @@ describe('Money utilities', () => {
   });
 
   describe('isValidCurrency', () => {
-    test('should validate supported currencies', () => {
+    test('should validate ISO 4217 currencies', () => {
       expect(isValidCurrency('CHF')).toBe(true);
       expect(isValidCurrency('EUR')).toBe(true);
-      expect(isValidCurrency('USD')).toBe(false);
-      expect(isValidCurrency('GBP')).toBe(false);
+      expect(isValidCurrency('USD')).toBe(true);
+      expect(isValidCurrency('GBP')).toBe(true);
+      expect(isValidCurrency('XYZ')).toBe(false);
       expect(isValidCurrency('')).toBe(false);
     });
+
+    test('should only allow CHF and EUR on QR-bills', () => {
+      expect(isQRBillCurrency('CHF')).toBe(true);
+      expect(isQRBillCurrency('EUR')).toBe(true);
+      expect(isQRBillCurrency('USD')).toBe(false);
+    });
+  });
+
+  describe('formatAmount', () => {
+    test('should use the minor unit digits of the currency', () => {
+      expect(formatAmount(1234.5)).toBe('1’234.50');
+      expect(formatAmount(1234.5, 'GBP')).toBe('1’234.50');
+      expect(formatAmount(1234, 'JPY')).toBe('1’234');
+      expect(formatAmount(1.5, 'BHD')).toBe('1.500');
+    });
   });
 
   describe('getCurrencySymbol', () => {
@@ -160,3 +181,126 @@ describe('Money utilities', () => {
     });
   });
 });
+
+describe('Money', () => {
+  test('should store amounts in minor units of the currency', () => {
+    expect(Money.of(12.35).minor).toBe(1235);
+    expect(Money.of('1.005', 'EUR').minor).toBe(101);
+    expect(Money.of(1.005).minor).toBe(101); // Exact decimal, not 1.00499...
+    expect(Money.of(-0.005).minor).toBe(-1);
+    expect(Money.of(1500, 'JPY').minor).toBe(1500);
+    expect(Money.of('1.2345', 'BHD').minor).toBe(1235);
+    expect(getFractionDigits('JPY')).toBe(0);
+    expect(() => Money.of('abc')).toThrow('Invalid amount: abc');
+  });
+
+  test('should add and subtract without floating point drift', () => {
+    const sum = Money.sum([0.1, 0.2, 0.3].map(amount => Money.of(amount)));
+    expect(sum.toNumber()).toBe(0.6);
+    expect(sum.toString()).toBe('0.60');
+    expect(Money.of(1).subtract(Money.of(0.9)).toNumber()).toBe(0.1);
+    expect(() => Money.of(1, 'CHF').add(Money.of(1, 'EUR'))).toThrow(
+      'Currency mismatch: CHF and EUR'
+    );
+  });
+
+  test('should multiply and take percentages exactly, rounding once', () => {
+    expect(Money.of(19.99).multiply(3).toNumber()).toBe(59.97);
+    expect(Money.of(100).multiply('0.333').toNumber()).toBe(33.3);
+    expect(Money.of(1.15).percent(8.1).toNumber()).toBe(0.09); // 0.09315
+    expect(Money.of(0.5).percent(1).toNumber()).toBe(0.01); // 0.005 rounds up
+    expect(Money.of(107.7).divide(1.077).toNumber()).toBe(100);
+  });
+
+  test('should allocate without losing a minor unit', () => {
+    expect(
+      Money.of(100)
+        .allocate([1, 1, 1])
+        .map(part => part.toNumber())
+    ).toEqual([33.34, 33.33, 33.33]);
+    expect(
+      Money.of(0.05)
+        .allocate([70, 30])
+        .map(part => part.toNumber())
+    ).toEqual([0.04, 0.01]);
+    expect(() => Money.of(1).allocate([0, 0])).toThrow();
+  });
+
+  test('should round CHF to 0.05 for cash and leave other currencies', () => {
+    expect(Money.of(107.72).roundToCash().toNumber()).toBe(107.7);
+    expect(Money.of(107.725).roundToCash().toNumber()).toBe(107.75);
+    expect(Money.of(-0.03).roundToCash().toNumber()).toBe(-0.05);
+    expect(Money.of(107.72, 'EUR').roundToCash().toNumber()).toBe(107.72);
+  });
+});
+
+describe('Money properties', () => {
+  const minor = fc.integer({ min: -1e9, max: 1e9 });
+  const money = minor.map(value => Money.fromMinor(value));
+
+  test('addition is associative and subtraction reverses it', () => {
+    fc.assert(
+      fc.property(money, money, money, (a, b, c) => {
+        expect(
+          a
+            .add(b)
+            .add(c)
+            .equals(a.add(b.add(c)))
+        ).toBe(true);
+        expect(a.add(b).subtract(b).equals(a)).toBe(true);
+      })
+    );
+  });
+
+  test('decimal strings round-trip through minor units', () => {
+    fc.assert(
+      fc.property(minor, value => {
+        const amount = Money.fromMinor(value);
+        expect(Money.of(amount.toString()).equals(amount)).toBe(true);
+        expect(Money.of(amount.toNumber()).equals(amount)).toBe(true);
+      })
+    );
+  });
+
+  test('allocation adds up to the amount and splits fairly', () => {
+    fc.assert(
+      fc.property(
+        money,
+        fc.array(fc.integer({ min: 0, max: 1000 }), { minLength: 1, maxLength: 10 }),
+        (amount, ratios) => {
+          fc.pre(ratios.some(ratio => ratio > 0));
+          const parts = amount.allocate(ratios);
+          const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+
+          expect(Money.sum(parts).equals(amount)).toBe(true);
+          parts.forEach((part, index) => {
+            expect(Math.abs(part.minor - (amount.minor * ratios[index]) / total)).toBeLessThan(1);
+          });
+        }
+      )
+    );
+  });
+
+  test('percentages are off by at most half a minor unit', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: -1e7, max: 1e7 }),
+        fc.constantFrom(0, 2.6, 3.8, 7.7, 8.1, 100),
+        (value, rate) => {
+          const tax = Money.fromMinor(value).percent(rate);
+          expect(Math.abs(tax.minor - (value * rate) / 100)).toBeLessThanOrEqual(0.5 + 1e-9);
+        }
+      )
+    );
+  });
+
+  test('cash rounding gives multiples of 0.05 within 0.025', () => {
+    fc.assert(
+      fc.property(money, amount => {
+        const cash = amount.roundToCash();
+        expect(Math.abs(cash.minor % 5)).toBe(0);
+        expect(Math.abs(cash.minor - amount.minor)).toBeLessThanOrEqual(2.5);
+      })
+    );
+  });
+});
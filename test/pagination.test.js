@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+const { resolveExecutablePath } = require('../src/render/chrome');
+const { paginate, estimateItemHeight, LAYOUT } = require('../src/render/pagination');
+
+/**
+ * Check whether Chrome is available to render PDFs
+ * @returns {boolean} True if an executable was found
+ */
+function hasChrome() {
+  try {
+    resolveExecutablePath();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Script measuring the printed pages and the QR-bill, in CSS pixels
+ */
+const MEASURE_LAYOUT = `(() => {
+  const pages = [...document.querySelectorAll('.invoice-page')];
+  const qrBill = document.querySelector('.qr-bill-section').getBoundingClientRect();
+  return {
+    pageCount: pages.length,
+    pageHeights: pages.map(page => page.offsetHeight),
+    lastPageBottom: pages.at(-1).getBoundingClientRect().bottom,
+    qrBottom: qrBill.bottom,
+    qrHeight: qrBill.height,
+  };
+})()`;
+
+const harvestClient = {
+  id: 505,
+  name: 'Grossauftrag AG',
+  address: 'Bahnhofstrasse 1\n8001 Zürich\nSwitzerland',
+};
+
+/**
+ * Build a Harvest invoice with many line items
+ * @param {number} count - Number of line items
+ * @returns {object} Harvest invoice
+ */
+function buildHarvestInvoice(count) {
+  const lineItems = Array.from({ length: count }, (item, index) => ({
+    description: `Development sprint ${index + 1}`,
+    quantity: 1,
+    unit_price: 100,
+    amount: 100,
+    taxed: true,
+  }));
+  return {
+    id: 9501,
+    number: '2024-095',
+    state: 'open',
+    issue_date: '2024-06-03',
+    due_date: '2024-07-03',
+    amount: count * 108.1,
+    tax: 8.1,
+    tax_amount: count * 8.1,
+    currency: 'CHF',
+    line_items: lineItems,
+  };
+}
+
+describe('Pagination', () => {
+  const items = count =>
+    Array.from({ length: count }, (item, index) => ({ description: `Item ${index}`, total: 10 }));
+
+  test('should keep a short document on one page', () => {
+    const pages = paginate(items(1), { closingHeight: 10, qrBill: true });
+
+    expect(pages).toEqual([
+      {
+        number: 1,
+        first: true,
+        items: items(1),
+        carriedOver: null,
+        carryForward: null,
+        closing: true,
+        qrBill: true,
+      },
+    ]);
+  });
+
+  test('should carry the running total over to the next page', () => {
+    const pages = paginate(items(40), { closingHeight: 60, qrBill: false });
+
+    expect(pages.length).toBeGreaterThan(1);
+    expect(pages.flatMap(page => page.items)).toHaveLength(40);
+    pages.slice(0, -1).forEach((page, index) => {
+      const itemsSoFar = pages.slice(0, index + 1).flatMap(previous => previous.items);
+      expect(page.carryForward).toBe(itemsSoFar.length * 10);
+      expect(pages[index + 1].carriedOver).toBe(page.carryForward);
+    });
+    expect(pages[0].carriedOver).toBeNull();
+    expect(pages.at(-1).carryForward).toBeNull();
+    expect(pages.at(-1).closing).toBe(true);
+  });
+
+  test('should put the QR-bill on a page of its own if the last page is full', () => {
+    const pages = paginate(items(40), { closingHeight: 150, qrBill: true });
+
+    expect(pages.filter(page => page.qrBill)).toEqual([pages.at(-1)]);
+    expect(pages.at(-1)).toMatchObject({ items: [], closing: false, qrBill: true });
+    expect(pages.map(page => page.number)).toEqual(pages.map((page, index) => index + 1));
+  });
+
+  test('should allow for descriptions that wrap', () => {
+    expect(estimateItemHeight({ description: 'Short' })).toBe(LAYOUT.rowHeight);
+    expect(estimateItemHeight({ description: 'x'.repeat(LAYOUT.charsPerLine * 2) })).toBe(
+      LAYOUT.rowHeight + LAYOUT.lineHeight
+    );
+    expect(estimateItemHeight({ description: 'Line 1\nLine 2\nLine 3' })).toBe(
+      LAYOUT.rowHeight + 2 * LAYOUT.lineHeight
+    );
+  });
+
+  describe('rendering', () => {
+    beforeEach(() => {
+      clientProfiles.profiles = {};
+    });
+
+    afterEach(() => {
+      clientProfiles.profiles = null;
+    });
+
+    test('should repeat the table header and number the pages', async () => {
+      const invoice = dataMapper.mapInvoiceFromHarvest(buildHarvestInvoice(40), harvestClient);
+      const html = await renderer.compileTemplate(invoice, '<svg id="qr"></svg>');
+      const pageCount = html.match(/<div class="invoice-page/g).length;
+
+      expect(pageCount).toBeGreaterThan(2);
+      expect(html).toContain(`Seite 1 von ${pageCount}`);
+      expect(html).toContain(`Seite ${pageCount} von ${pageCount}`);
+      expect(html.match(/<thead>/g).length).toBeGreaterThan(1);
+      expect(html).toContain('<td class="description" colspan="3">Übertrag</td>');
+      expect(html.match(/<section class="qr-bill-section">/g)).toHaveLength(1);
+      expect(html.lastIndexOf('<div class="invoice-page')).toBe(
+        html.indexOf('<div class="invoice-page with-qr-bill">')
+      );
+    });
+
+    (hasChrome() ? test : test.skip)(
+      'should print every page on its own sheet with the QR-bill at the bottom',
+      async () => {
+        const invoice = dataMapper.mapInvoiceFromHarvest(buildHarvestInvoice(40), harvestClient);
+        const html = await renderer.compileTemplate(invoice, '<svg id="qr"></svg>');
+        const outputPath = path.join(os.tmpdir(), `pagination-${process.pid}.pdf`);
+
+        try {
+          await renderer.generatePDF(html, outputPath);
+          const pdf = fs.readFileSync(outputPath, 'latin1');
+          const layout = await renderer.browserPool.withPage(async page => {
+            await page.setContent(html, { waitUntil: 'load' });
+            await page.emulateMediaType('print');
+            return page.evaluate(MEASURE_LAYOUT);
+          });
+          const mm = 96 / 25.4;
+
+          expect(pdf.match(/\/Type\s*\/Page\b/g)).toHaveLength(layout.pageCount);
+          layout.pageHeights.forEach(height => expect(height).toBeCloseTo(297 * mm, -1));
+          expect(layout.qrBottom).toBeCloseTo(layout.lastPageBottom, -1);
+          expect(layout.qrHeight).toBeCloseTo(105 * mm, -1);
+        } finally {
+          fs.rmSync(outputPath, { force: true });
+          await renderer.close();
+        }
+      },
+      60000
+    );
+  });
+});
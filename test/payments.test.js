@@ -0,0 +1,111 @@
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const harvestInvoices = require('../src/harvest/invoices');
+const qrGenerator = require('../src/domain/qr');
+const renderer = require('../src/render/render');
+
+describe('Partial payments', () => {
+  const harvestClient = {
+    id: 303,
+    name: 'Client GmbH',
+    address: 'Bahnhofstrasse 1\n8001 Zürich\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 9001,
+    number: '2024-050',
+    state: 'open',
+    issue_date: '2024-03-01',
+    due_date: '2024-03-31',
+    amount: 1000,
+    due_amount: 400,
+    tax_amount: 0,
+    currency: 'CHF',
+    line_items: [],
+  };
+  const harvestPayments = [
+    { id: 2, amount: 350, paid_date: '2024-03-20', notes: 'Second' },
+    { id: 1, amount: 250, paid_date: '2024-03-10', notes: 'First' },
+  ];
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+    process.env.COMPANY_IBAN = 'CH93 0076 2011 6238 5295 7';
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should map the open balance and payments oldest first', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient, {
+      payments: harvestPayments,
+    });
+
+    expect(invoice.total).toBe(1000);
+    expect(invoice.getOpenAmount()).toBe(400);
+    expect(invoice.getAmountPaid()).toBe(600);
+    expect(invoice.payments.map(payment => payment.notes)).toEqual(['First', 'Second']);
+  });
+
+  test('should fall back to the total less payments without due_amount', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, due_amount: null },
+      harvestClient,
+      {
+        payments: harvestPayments,
+      }
+    );
+
+    expect(invoice.getOpenAmount()).toBe(400);
+  });
+
+  test('should encode only the open balance in the QR-bill', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(qrGenerator.buildQRBillData(invoice).amount).toBe(400);
+  });
+
+  test('should only fetch payments for partly paid invoices', async () => {
+    const listPayments = jest
+      .spyOn(harvestInvoices, 'listPayments')
+      .mockResolvedValue(harvestPayments);
+
+    await expect(
+      harvestInvoices.getInvoicePayments({ ...harvestInvoice, due_amount: 1000 })
+    ).resolves.toEqual([]);
+    expect(listPayments).not.toHaveBeenCalled();
+
+    await expect(harvestInvoices.getInvoicePayments(harvestInvoice)).resolves.toBe(harvestPayments);
+    expect(listPayments).toHaveBeenCalledWith(9001);
+  });
+
+  test('should render the payment history', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient, {
+      payments: harvestPayments,
+    });
+
+    const html = await renderer.compileTemplate(invoice, '<svg></svg>');
+
+    expect(html).not.toMatch(/{{/);
+    expect(html).toContain('Zahlungseingänge');
+    expect(html).toContain('Zahlung vom 10.03.2024');
+    expect(html).toContain('250.00');
+    expect(html).toContain('400.00');
+  });
+
+  test('should omit the QR-bill for fully paid invoices', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, state: 'paid', due_amount: 0 },
+      harvestClient,
+      { payments: harvestPayments }
+    );
+    const generate = jest.spyOn(qrGenerator, 'generateFromInvoice');
+
+    const html = await renderer.buildHTML(invoice);
+
+    expect(generate).not.toHaveBeenCalled();
+    expect(html).not.toContain('class="qr-bill-section"');
+    expect(html).toContain('vollständig bezahlt');
+  });
+});
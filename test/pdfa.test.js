@@ -0,0 +1,141 @@
+const { PDFDocument, PDFDict, PDFName, StandardFonts, decodePDFRawStream } = require('pdf-lib');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const { serializeInvoice, toXML } = require('../src/domain/serialize');
+const renderer = require('../src/render/render');
+const { SRGB_NAME, getSRGBProfile } = require('../src/render/icc');
+const { convertToPDFA } = require('../src/render/pdfa');
+const InvoiceCLI = require('../src/cli/generate-invoice');
+
+/**
+ * Build a one-page PDF without text, as printed by Chrome it would embed its fonts
+ * @returns {Promise<Uint8Array>} PDF
+ */
+async function buildPDF() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([595, 842]).drawRectangle({ x: 50, y: 50, width: 100, height: 20 });
+  return pdfDoc.save();
+}
+
+/**
+ * Read the decoded contents of a stream of a document
+ * @param {PDFDocument} pdfDoc - Document
+ * @param {PDFRef} ref - Stream reference
+ * @returns {string} Stream contents
+ */
+function readStream(pdfDoc, ref) {
+  return Buffer.from(decodePDFRawStream(pdfDoc.context.lookup(ref)).decode()).toString('utf8');
+}
+
+describe('PDF/A', () => {
+  const harvestClient = {
+    id: 707,
+    name: 'Archiv & Partner AG',
+    address: 'Bundesplatz 3\n3011 Bern\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 9301,
+    number: '2024-093',
+    state: 'open',
+    issue_date: '2024-06-03',
+    due_date: '2024-07-03',
+    amount: 1081,
+    tax: 8.1,
+    tax_amount: 81,
+    currency: 'CHF',
+    line_items: [
+      {
+        description: 'Archive migration',
+        quantity: 10,
+        unit_price: 100,
+        amount: 1000,
+        taxed: true,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    renderer.setArchive({ pdfa: false });
+  });
+
+  test('should build a valid sRGB ICC display profile', () => {
+    const profile = getSRGBProfile();
+
+    expect(profile.readUInt32BE(0)).toBe(profile.length);
+    expect(profile.toString('ascii', 12, 24)).toBe('mntrRGB XYZ ');
+    expect(profile.toString('ascii', 36, 40)).toBe('acsp');
+    expect(profile.toString('latin1')).toContain(SRGB_NAME);
+  });
+
+  test('should add output intent, metadata and the invoice data as associated file', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    renderer.setArchive({ pdfa: true, attachment: 'json' });
+
+    const pdfa = await PDFDocument.load(await renderer.convertToArchive(await buildPDF(), invoice));
+    const { catalog } = pdfa;
+
+    const [intent] = catalog.lookup(PDFName.of('OutputIntents')).asArray();
+    const outputIntent = pdfa.context.lookup(intent, PDFDict);
+    expect(outputIntent.get(PDFName.of('S'))).toBe(PDFName.of('GTS_PDFA1'));
+    const profile = outputIntent.get(PDFName.of('DestOutputProfile'));
+    expect(pdfa.context.lookup(profile).dict.get(PDFName.of('N')).asNumber()).toBe(3);
+
+    const xmp = pdfa.context.lookup(catalog.get(PDFName.of('Metadata'))).getContentsString();
+    expect(xmp).toContain('<pdfaid:part>3</pdfaid:part>');
+    expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>');
+    expect(xmp).toContain('<rdf:li xml:lang="x-default">Rechnung 2024-093</rdf:li>');
+    expect(xmp).toContain('<dc:identifier>2024-093</dc:identifier>');
+    expect(xmp).toContain(`<rdf:li>${invoice.creditor.name}</rdf:li>`);
+    expect(xmp).toContain('<rdf:li>2024-06-03</rdf:li>');
+    expect(pdfa.getTitle()).toBe('Rechnung 2024-093');
+    expect(pdfa.getAuthor()).toBe(invoice.creditor.name);
+
+    const [fileSpecRef] = catalog.lookup(PDFName.of('AF')).asArray();
+    const fileSpec = pdfa.context.lookup(fileSpecRef, PDFDict);
+    expect(fileSpec.get(PDFName.of('AFRelationship'))).toBe(PDFName.of('Data'));
+    const file = fileSpec.lookup(PDFName.of('EF'), PDFDict).get(PDFName.of('F'));
+    expect(JSON.parse(readStream(pdfa, file))).toEqual(
+      JSON.parse(JSON.stringify(serializeInvoice(invoice)))
+    );
+    expect(pdfa.context.trailerInfo.ID).toBeDefined();
+  });
+
+  test('should serialize the invoice as XML', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const xml = toXML(invoice);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<number>2024-093</number>');
+    expect(xml).toContain('<name>Archiv &amp; Partner AG</name>');
+    expect(xml).toMatch(/<items>\s*<item>\s*<description>Archive migration<\/description>/);
+    expect(xml).toMatch(/<vatRate>\s*<rate>8.1<\/rate>\s*<net>1000<\/net>\s*<tax>81<\/tax>/);
+    expect(xml).not.toContain('<reminder>');
+  });
+
+  test('should reject fonts that are not embedded', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    pdfDoc.addPage().drawText('Rechnung', { font });
+
+    await expect(
+      convertToPDFA(await pdfDoc.save(), { title: 'Rechnung', language: 'de' })
+    ).rejects.toThrow('not embedded: Helvetica');
+  });
+
+  test('should parse the PDF/A options', () => {
+    const cli = new InvoiceCLI();
+
+    expect(cli.parseArgs(['--id', '1', '--pdfa'])).toMatchObject({ pdfa: true, attach: null });
+    expect(cli.parseArgs(['--id', '1', '--attach', 'xml'])).toMatchObject({
+      pdfa: true,
+      attach: 'xml',
+    });
+    expect(() => cli.parseArgs(['--attach', 'csv'])).toThrow('Invalid attachment');
+    expect(() => cli.parseArgs(['--pdfa', '--format', 'html'])).toThrow('--format pdf');
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const { parseStatement } = require('../src/domain/camt');
+const { reconcile, isSameParty } = require('../src/domain/reconcile');
+const harvestInvoices = require('../src/harvest/invoices');
+const qrGenerator = require('../src/domain/qr');
+const clientProfiles = require('../src/config/clients');
+const logger = require('../src/utils/logger');
+const ReconcileCLI = require('../src/cli/reconcile');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8');
+
+describe('camt parsing', () => {
+  test('should split camt.054 batch bookings and skip debits', () => {
+    const statement = parseStatement(readFixture('camt054.xml'));
+
+    expect(statement.type).toBe('camt.054');
+    expect(statement.messageId).toBe('NTF-2024-03-20-001');
+    expect(statement.entries).toHaveLength(2);
+    expect(statement.entries[0]).toEqual({
+      amount: 1000,
+      currency: 'CHF',
+      bookingDate: '2024-03-20',
+      valueDate: '2024-03-20',
+      reference: '000000000000000000000020241',
+      message: '',
+      debtorName: 'Muster AG',
+      debtorIban: 'CH9300762011623852957',
+      bankReference: 'TX-001',
+    });
+    expect(statement.entries[1].reference).toBe('RF18539007547034');
+  });
+
+  test('should read camt.053 entries and skip reversals', () => {
+    const statement = parseStatement(readFixture('camt053.xml'));
+
+    expect(statement.type).toBe('camt.053');
+    expect(statement.entries.map(entry => entry.amount)).toEqual([216.2, 42]);
+    expect(statement.entries[0]).toMatchObject({
+      debtorName: 'Café Zürich AG, Zürich',
+      message: 'Rechnung 2024-007',
+      bankReference: 'ENTRY-101',
+      reference: '',
+    });
+  });
+
+  test('should reject other documents', () => {
+    expect(() => parseStatement('<Document><pain.001 /></Document>')).toThrow(
+      'Not a camt.053 or camt.054 document'
+    );
+  });
+});
+
+describe('Payment reconciliation', () => {
+  const invoices = [
+    {
+      id: 1,
+      number: '2024-007',
+      clientName: 'Café Zürich AG',
+      currency: 'CHF',
+      openAmount: 216.2,
+      reference: '',
+    },
+    {
+      id: 2,
+      number: '2024-024',
+      clientName: 'Muster AG',
+      currency: 'CHF',
+      openAmount: 1200,
+      reference: '000000000000000000000020241',
+    },
+    {
+      id: 3,
+      number: '2024-031',
+      clientName: 'Beispiel GmbH',
+      currency: 'CHF',
+      openAmount: 450,
+      reference: 'RF18539007547034',
+    },
+  ];
+
+  test('should match by reference, then by amount and debtor', () => {
+    const entries = [
+      ...parseStatement(readFixture('camt054.xml')).entries,
+      ...parseStatement(readFixture('camt053.xml')).entries,
+    ];
+
+    const results = reconcile(entries, invoices);
+
+    expect(results.map(result => [result.invoice?.number, result.status])).toEqual([
+      ['2024-024', 'partial'],
+      ['2024-031', 'overpaid'],
+      ['2024-007', 'matched'],
+      [undefined, 'unknown'],
+    ]);
+    expect(results[0].matchedBy).toBe('reference');
+    expect(results[2].matchedBy).toBe('amount');
+  });
+
+  test('should compare a second credit against the remaining open amount', () => {
+    const entry = { amount: 600, currency: 'CHF', reference: '000000000000000000000020241' };
+
+    const results = reconcile([entry, entry], invoices);
+
+    expect(results.map(result => result.status)).toEqual(['partial', 'matched']);
+    expect(results[1].openAmount).toBe(600);
+  });
+
+  test('should not match by amount without the same debtor', () => {
+    const entry = { amount: 216.2, currency: 'CHF', reference: '', debtorName: 'Someone Else' };
+
+    expect(reconcile([entry], invoices)[0].status).toBe('unknown');
+    expect(isSameParty('CAFE ZURICH AG', 'Café Zürich AG')).toBe(true);
+  });
+});
+
+describe('Fetching open invoices', () => {
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should keep invoices whose reference cannot be built', async () => {
+    jest.spyOn(harvestInvoices, 'listInvoices').mockResolvedValue([
+      { id: 1, number: '2024-001', issue_date: '2024-03-01', amount: 100, currency: 'CHF' },
+      { id: 2, number: '2024-002', issue_date: '2024-03-02', amount: 200, currency: 'CHF' },
+    ]);
+    jest.spyOn(qrGenerator, 'generateReference').mockImplementation(invoice => {
+      if (invoice.id === 1) {
+        throw new Error('Invoice ID 1 is too long');
+      }
+      return '000000000000000000000000026';
+    });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const invoices = await new ReconcileCLI().fetchOpenInvoices();
+
+    expect(invoices.map(({ number, reference }) => [number, reference])).toEqual([
+      ['2024-001', null],
+      ['2024-002', '000000000000000000000000026'],
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('2024-001'));
+  });
+});
+
+describe('Recording reconciled payments', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record matched and partial payments once', async () => {
+    jest
+      .spyOn(harvestInvoices, 'listPayments')
+      .mockImplementation(async id => (id === 2 ? [{ notes: 'Bank reference TX-002' }] : []));
+    const recordPayment = jest.spyOn(harvestInvoices, 'recordPayment').mockResolvedValue({});
+    const entry = { amount: 100, currency: 'CHF', bookingDate: '2024-03-20' };
+    const results = [
+      { entry: { ...entry, bankReference: 'TX-001' }, invoice: { id: 1 }, status: 'matched' },
+      { entry: { ...entry, bankReference: 'TX-002' }, invoice: { id: 2 }, status: 'partial' },
+      { entry: { ...entry, bankReference: 'TX-003' }, invoice: { id: 3 }, status: 'overpaid' },
+      { entry, invoice: null, status: 'unknown' },
+    ];
+
+    await new ReconcileCLI().recordPayments(results);
+
+    expect(recordPayment).toHaveBeenCalledTimes(1);
+    expect(recordPayment).toHaveBeenCalledWith(1, {
+      amount: 100,
+      paidDate: '2024-03-20',
+      notes: 'Bank reference TX-001',
+    });
+    expect(results.map(result => result.recorded)).toEqual([
+      'recorded',
+      'already recorded',
+      undefined,
+      undefined,
+    ]);
+  });
+});
@@ -0,0 +1,111 @@
+const { InvoiceDTO } = require('../src/domain/dto');
+const qrGenerator = require('../src/domain/qr');
+const {
+  createQRReference,
+  createSCORReference,
+  decodeReference,
+  isValidReference,
+} = require('../src/domain/reference');
+const { mod10CheckDigit, rf97CheckDigits } = require('../src/domain/checksum');
+
+describe('QR references', () => {
+  const layout = { besrId: '210000', customerDigits: 8, invoiceDigits: 10 };
+  const parts = { customerNumber: 4711, documentType: 'invoice', invoiceId: 13579246 };
+
+  test('should calculate check digits of published examples', () => {
+    expect(mod10CheckDigit('21000000000313947143000901')).toBe('7');
+    expect(rf97CheckDigits('539007547034')).toBe('18');
+    expect(isValidReference('RF18 5390 0754 7034')).toBe(true);
+    expect(isValidReference('RF19539007547034')).toBe(false);
+    expect(isValidReference('210000000003139471430009017')).toBe(true);
+  });
+
+  test('should build a QRR reference from the segments', () => {
+    const reference = createQRReference(parts, layout);
+
+    // BESR-ID, padding, customer number, document type, invoice ID, check digit
+    expect(reference).toBe('210000000004711100135792464');
+    expect(isValidReference(reference)).toBe(true);
+  });
+
+  test('should decode references back into their parts', () => {
+    expect(decodeReference(createQRReference(parts, layout), layout)).toEqual({
+      referenceType: 'QRR',
+      besrId: '210000',
+      customerNumber: '4711',
+      documentType: 'invoice',
+      invoiceId: '13579246',
+      invoiceNumber: '',
+    });
+    expect(
+      decodeReference(createSCORReference({ ...parts, documentType: 'estimate' }, layout), layout)
+    ).toEqual({
+      referenceType: 'SCOR',
+      besrId: '',
+      customerNumber: '4711',
+      documentType: 'estimate',
+      invoiceId: '13579246',
+      invoiceNumber: '',
+    });
+    expect(() => decodeReference('RF19539007547034', layout)).toThrow('check digits');
+  });
+
+  test('should convert letters to numbers for SCOR check digits', () => {
+    // ISO 11649 example "RF45 G72U UR" with letters mapped to 10-35
+    expect(rf97CheckDigits('G72UUR')).toBe('45');
+    expect(isValidReference('RF45 G72U UR')).toBe(true);
+    expect(isValidReference('RF46G72UUR')).toBe(false);
+  });
+
+  test('should keep the alphanumeric invoice number in SCOR references', () => {
+    const numberLayout = { ...layout, scorSource: 'number' };
+    const reference = createSCORReference({ ...parts, invoiceNumber: 'DI-2024-A17' }, numberLayout);
+
+    expect(reference).toMatch(/^RF\d{2}1DIZ12024Z1A17$/);
+    expect(isValidReference(reference)).toBe(true);
+    expect(decodeReference(reference, numberLayout)).toMatchObject({
+      referenceType: 'SCOR',
+      documentType: 'invoice',
+      invoiceNumber: 'DI-2024-A17',
+    });
+    expect(() =>
+      createSCORReference({ ...parts, invoiceNumber: 'INVOICE-2024-0000000001' }, numberLayout)
+    ).toThrow('exceeds 21 characters');
+  });
+
+  test('should keep invoice numbers that only differ in separators apart', () => {
+    const numberLayout = { ...layout, scorSource: 'number' };
+    const reference = invoiceNumber =>
+      createSCORReference({ ...parts, invoiceNumber }, numberLayout);
+    const numbers = ['2024-001', '20240-01', '2024001', '2024/001', '2024Z1001'];
+
+    expect(new Set(numbers.map(reference)).size).toBe(numbers.length);
+    numbers.forEach(number => {
+      expect(decodeReference(reference(number), numberLayout).invoiceNumber).toBe(number);
+    });
+    expect(() => reference('inv-1')).toThrow('cannot be used in a SCOR reference');
+  });
+
+  test('should reject IDs that do not fit their segment', () => {
+    expect(() => createSCORReference({ ...parts, invoiceId: 12345678901 }, layout)).toThrow(
+      'does not fit into 10 digits'
+    );
+  });
+
+  test('should give every document a unique reference', () => {
+    const build = (id, number, type) =>
+      qrGenerator.generateReference(
+        new InvoiceDTO({ id, number, type, clientId: 4711, creditor: {}, debtor: {} })
+      );
+
+    const references = [
+      build(1001, '2024-001', 'invoice'),
+      build(1002, '20240-01', 'invoice'),
+      build(1001, 'E2024-001', 'estimate'),
+    ];
+
+    expect(new Set(references).size).toBe(3);
+    expect(build(1001, '2024-001', 'reminder')).toBe(references[0]);
+    expect(references.every(isValidReference)).toBe(true);
+  });
+});
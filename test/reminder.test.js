@@ -0,0 +1,100 @@
+const dayjs = require('dayjs');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const qrGenerator = require('../src/domain/qr');
+const renderer = require('../src/render/render');
+
+describe('Payment reminders', () => {
+  const harvestClient = {
+    id: 202,
+    name: 'Client AG',
+    address: 'Bahnhofstrasse 1\n8001 Zürich\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 4242,
+    number: '2024-042',
+    state: 'open',
+    issue_date: '2024-03-01',
+    due_date: '2024-03-31',
+    amount: 216.2,
+    tax_amount: 16.2,
+    currency: 'CHF',
+    line_items: [],
+  };
+  const asOf = dayjs('2024-04-20');
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+    process.env.COMPANY_IBAN = 'CH93 0076 2011 6238 5295 7';
+    process.env.REMINDER_FEES = '0,20,30';
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    delete process.env.REMINDER_FEES;
+  });
+
+  test('should compute days overdue and the level fee', () => {
+    const reminder = dataMapper.mapReminderFromHarvest(harvestInvoice, harvestClient, {
+      level: 2,
+      asOf,
+    });
+
+    expect(reminder.getType()).toBe('reminder');
+    expect(reminder.reminder.daysOverdue).toBe(20);
+    expect(reminder.reminder.fee).toBe(20);
+    expect(reminder.getAmountDue()).toBeCloseTo(236.2);
+  });
+
+  test('should default to level 1 without a fee', () => {
+    const reminder = dataMapper.mapReminderFromHarvest(harvestInvoice, harvestClient, { asOf });
+
+    expect(reminder.reminder.level).toBe(1);
+    expect(reminder.getAmountDue()).toBe(216.2);
+  });
+
+  test('should reject paid and not yet overdue invoices', () => {
+    expect(() =>
+      dataMapper.mapReminderFromHarvest({ ...harvestInvoice, state: 'paid' }, harvestClient, {
+        asOf,
+      })
+    ).toThrow('Invoice 2024-042 is already paid');
+    expect(() =>
+      dataMapper.mapReminderFromHarvest(harvestInvoice, harvestClient, {
+        asOf: dayjs('2024-03-31'),
+      })
+    ).toThrow('Invoice 2024-042 is not overdue');
+  });
+
+  test('should add the fee to the QR-bill and keep the invoice reference', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const reminder = dataMapper.mapReminderFromHarvest(harvestInvoice, harvestClient, {
+      level: 3,
+      asOf,
+    });
+
+    const invoiceData = qrGenerator.buildQRBillData(invoice);
+    const reminderData = qrGenerator.buildQRBillData(reminder);
+
+    expect(reminderData.amount).toBeCloseTo(246.2);
+    expect(reminderData.reference).toBe(invoiceData.reference);
+    expect(qrGenerator.buildMessage(reminder)).toBe('Rechnung 2024-042');
+  });
+
+  test('should render the reminder template for the level', async () => {
+    const reminder = dataMapper.mapReminderFromHarvest(harvestInvoice, harvestClient, {
+      level: 2,
+      asOf,
+    });
+
+    expect(renderer.getTemplatePath(reminder)).toMatch(/reminder\.html$/);
+
+    const html = await renderer.compileTemplate(reminder, '<svg></svg>');
+
+    expect(html).not.toMatch(/{{/);
+    expect(html).toContain('2. Mahnung');
+    expect(html).toContain('Mahngebühr');
+    expect(html).toContain('236.20');
+    expect(html).toContain('20.04.2024');
+  });
+});
@@ -0,0 +1,123 @@
+const clientProfiles = require('../src/config/clients');
+const { InvoiceDTO } = require('../src/domain/dto');
+const dataMapper = require('../src/domain/mapping');
+const qrGenerator = require('../src/domain/qr');
+const renderer = require('../src/render/render');
+
+describe('Rounding', () => {
+  const address = {
+    name: 'Test',
+    street: 'Teststrasse 1',
+    zip: '8001',
+    city: 'Zürich',
+    country: 'CH',
+  };
+  const createInvoice = fields =>
+    new InvoiceDTO({
+      number: '2024-090',
+      creditor: address,
+      debtor: address,
+      currency: 'CHF',
+      ...fields,
+    });
+  const items = [1, 2, 3].map(n => ({
+    description: `Item ${n}`,
+    quantity: 1,
+    unitPrice: 1.15,
+    taxRate: 8.1,
+  }));
+
+  test('should round the VAT once per rate by default', () => {
+    const invoice = createInvoice({ items });
+    invoice.calculateTotals();
+
+    expect(invoice.getVatRates()).toEqual([{ rate: 8.1, net: 3.45, tax: 0.28 }]);
+    expect(invoice.total).toBe(3.73);
+  });
+
+  test('should round the VAT per line item if configured', () => {
+    const invoice = createInvoice({ items, taxRounding: 'line' });
+    invoice.calculateTotals();
+
+    expect(invoice.getVatRates()).toEqual([{ rate: 8.1, net: 3.45, tax: 0.27 }]);
+    expect(invoice.total).toBe(3.72);
+  });
+
+  test('should compute missing line totals in the currency', () => {
+    const item = { description: 'Item', quantity: 3, unitPrice: 0.1 };
+
+    expect(createInvoice({ items: [item] }).items[0].total).toBe(0.3);
+    expect(createInvoice({ items: [item], currency: 'JPY' }).items[0].total).toBe(0);
+    expect(
+      createInvoice({ items: [{ ...item, unitPrice: 1.005 }], currency: 'KWD' }).items[0].total
+    ).toBe(3.015);
+  });
+
+  test('should allocate the discount so the nets add up', () => {
+    const invoice = createInvoice({
+      items: [10, 10, 10].map(total => ({ description: 'Item', quantity: 1, unitPrice: total })),
+      subtotal: 30,
+      discountAmount: 10,
+      total: 20,
+    });
+
+    expect(invoice.getItemNets().map(net => net.toNumber())).toEqual([6.66, 6.67, 6.67]);
+    expect(invoice.getExemptAmount()).toBe(20);
+    expect(invoice.checkTotals()).toEqual([]);
+  });
+
+  describe('cash rounding', () => {
+    const harvestClient = {
+      id: 606,
+      name: 'Bäckerei Müller',
+      address: 'Dorfstrasse 1\n3000 Bern\nSwitzerland',
+    };
+    const harvestInvoice = {
+      id: 9001,
+      number: '2024-091',
+      state: 'open',
+      issue_date: '2024-05-01',
+      due_date: '2024-05-31',
+      amount: 107.72,
+      tax: 8.1,
+      tax_amount: 8.07,
+      currency: 'CHF',
+      line_items: [
+        { description: 'Bread', quantity: 1, unit_price: 99.65, amount: 99.65, taxed: true },
+      ],
+    };
+
+    beforeEach(() => {
+      clientProfiles.profiles = {};
+      process.env.CHF_CASH_ROUNDING = 'true';
+    });
+
+    afterEach(() => {
+      clientProfiles.profiles = null;
+      delete process.env.CHF_CASH_ROUNDING;
+    });
+
+    test('should round the CHF amount due and the QR amount to 0.05', async () => {
+      const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+      expect(invoice.total).toBe(107.72);
+      expect(invoice.getAmountDue()).toBe(107.7);
+      expect(invoice.getCashRoundingDifference()).toBe(-0.02);
+      expect(qrGenerator.createQRBillData(invoice).amount).toBe(107.7);
+
+      const html = await renderer.compileTemplate(invoice, '');
+      expect(html).toContain('-0.02');
+      expect(html).toContain('107.70');
+    });
+
+    test('should not round EUR amounts', () => {
+      const invoice = dataMapper.mapInvoiceFromHarvest(
+        { ...harvestInvoice, currency: 'EUR' },
+        harvestClient
+      );
+
+      expect(invoice.getAmountDue()).toBe(107.72);
+      expect(invoice.getCashRoundingDifference()).toBe(0);
+    });
+  });
+});
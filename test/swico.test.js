@@ -0,0 +1,136 @@
+const dayjs = require('dayjs');
+const { InvoiceDTO } = require('../src/domain/dto');
+const { buildS1, parseS1 } = require('../src/domain/swico');
+const qrGenerator = require('../src/domain/qr');
+const logger = require('../src/utils/logger');
+
+describe('Swico S1 billing information', () => {
+  test('should build the example of the Swico syntax definition', () => {
+    const billingInfo = buildS1({
+      invoiceNumber: '10201409',
+      invoiceDate: '2019-05-12',
+      customerReference: '1400.000-53',
+      vatNumber: 'CHE-106.017.086 MWST',
+      vatDate: '2018-05-08',
+      vatRates: [{ rate: 7.7, amount: null }],
+      importTax: [{ rate: 7.7, amount: 48.33 }],
+      conditions: [
+        { discount: 2, days: 10 },
+        { discount: 0, days: 30 },
+      ],
+    });
+
+    expect(billingInfo).toBe(
+      '//S1/10/10201409/11/190512/20/1400.000-53/30/106017086/31/180508/32/7.7/33/7.7:48.33' +
+        '/40/2:10;0:30'
+    );
+  });
+
+  test('should parse the billing information back', () => {
+    const fields = {
+      invoiceNumber: 'DI/2024\\17',
+      invoiceDate: '2024-03-15',
+      customerReference: 'PO 4711',
+      vatNumber: '123456789',
+      vatRates: [
+        { rate: 8.1, amount: 1000 },
+        { rate: 2.6, amount: 51.8 },
+      ],
+      conditions: [{ discount: 0, days: 30 }],
+    };
+
+    const billingInfo = buildS1(fields);
+
+    expect(billingInfo).toContain('/10/DI\\/2024\\\\17/');
+    expect(parseS1(billingInfo)).toEqual(fields);
+  });
+
+  test('should drop optional fields to stay within the length limit', () => {
+    const fields = {
+      invoiceNumber: '2024-001',
+      invoiceDate: '2024-03-15',
+      customerReference: 'R'.repeat(30),
+      conditions: [{ discount: 0, days: 30 }],
+    };
+
+    expect(buildS1(fields, 60)).toBe(`//S1/10/2024-001/11/240315/20/${'R'.repeat(30)}`);
+    expect(buildS1(fields, 30)).toBe('//S1/10/2024-001/11/240315');
+    expect(() => buildS1(fields, 20)).toThrow('Billing information exceeds 20 characters');
+  });
+
+  test('should drop the VAT number before giving up', () => {
+    const fields = {
+      invoiceNumber: '2024-001',
+      invoiceDate: '2024-03-15',
+      vatNumber: 'CHE-123.456.789 MWST',
+      vatRates: [{ rate: 8.1, amount: null }],
+    };
+
+    expect(buildS1(fields, 30)).toBe('//S1/10/2024-001/11/240315');
+  });
+
+  test('should fall back to the message if the billing information does not fit', () => {
+    const invoice = new InvoiceDTO({
+      id: 18,
+      number: 'N'.repeat(130),
+      issueDate: dayjs('2024-03-15'),
+      creditor: {},
+      debtor: {},
+      items: [],
+      language: 'en',
+    });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    expect(qrGenerator.buildBillingInfo(invoice)).toBe('');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No billing information'));
+    logger.warn.mockRestore();
+  });
+
+  test('should reject malformed billing information', () => {
+    expect(() => parseS1('Rechnung 2024-001')).toThrow('must start with //S1/');
+    expect(() => parseS1('//S1/11/240315/10/2024-001')).toThrow(
+      'S1 tag 10 is repeated or out of order'
+    );
+    expect(() => parseS1('//S1/10/2024-001/11/15.03.24')).toThrow('Invalid S1 date');
+  });
+
+  test('should build the QR-bill billing information from the invoice', () => {
+    process.env.COMPANY_VAT_NUMBER = 'CHE-123.456.789 MWST';
+    const invoice = new InvoiceDTO({
+      id: 17,
+      number: '2024-017',
+      issueDate: dayjs('2024-03-15'),
+      dueDate: dayjs('2024-04-14'),
+      creditor: {},
+      debtor: {},
+      items: [
+        { description: 'Consulting', quantity: 10, unitPrice: 100, taxRate: 8.1 },
+        { description: 'Books', quantity: 2, unitPrice: 25.9, taxRate: 2.6 },
+      ],
+      customerReference: 'PO-4711',
+      notes: 'Thank you',
+      language: 'en',
+    });
+
+    try {
+      const billingInfo = qrGenerator.buildBillingInfo(invoice);
+
+      expect(parseS1(billingInfo)).toEqual({
+        invoiceNumber: '2024-017',
+        invoiceDate: '2024-03-15',
+        customerReference: 'PO-4711',
+        vatNumber: '123456789',
+        vatRates: [
+          { rate: 8.1, amount: 1000 },
+          { rate: 2.6, amount: 51.8 },
+        ],
+        conditions: [{ discount: 0, days: 30 }],
+      });
+      expect(qrGenerator.buildMessage(invoice, 140 - billingInfo.length)).toBe(
+        'Invoice 2024-017 / Thank you'
+      );
+    } finally {
+      delete process.env.COMPANY_VAT_NUMBER;
+    }
+  });
+});
@@ -0,0 +1,108 @@
+const path = require('path');
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+const TemplateEngine = require('../src/render/templates');
+const InvoiceCLI = require('../src/cli/generate-invoice');
+
+describe('Templates', () => {
+  const themeDir = path.join(__dirname, 'fixtures', 'theme');
+  const harvestClient = {
+    id: 909,
+    name: 'Müller <Söhne> & Co',
+    address: 'Seestrasse 9\n8002 Zürich\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 9201,
+    number: '2024-092',
+    state: 'open',
+    issue_date: '2024-06-03',
+    due_date: '2024-07-03',
+    amount: 1081,
+    tax: 8.1,
+    tax_amount: 81,
+    currency: 'CHF',
+    notes: 'Thanks for the **great** project',
+    line_items: [
+      {
+        description: 'Design <b>review</b>',
+        quantity: 10,
+        unit_price: 100,
+        amount: 1000,
+        taxed: true,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    renderer.setTemplateDir(null);
+  });
+
+  test('should escape values in the built-in templates', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const html = await renderer.compileTemplate(invoice, '<svg id="qr"></svg>');
+
+    expect(html).toContain('Müller &lt;Söhne&gt; &amp; Co');
+    expect(html).toContain('Design &lt;b&gt;review&lt;/b&gt;');
+    expect(html).toContain('<strong>great</strong>');
+    expect(html).toContain('<div class="qr-bill-container"><svg id="qr"></svg></div>');
+    expect(html).toContain('<td class="label">MWST 8.1%</td>');
+  });
+
+  test('should render a custom template with nested blocks, helpers and partials', async () => {
+    renderer.setTemplateDir(themeDir);
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(renderer.getTemplatePath(invoice)).toBe(path.join(themeDir, 'template.html'));
+
+    const html = await renderer.compileTemplate(invoice, '<svg id="qr"></svg>');
+
+    expect(html).toContain('<body class="custom-theme">');
+    expect(html).toContain('<div class="custom-company">');
+    expect(html).not.toContain('class="company-info"');
+    expect(html).toContain('Rechnung 2024-092 vom 03.06.2024');
+    expect(html).toContain('Design &lt;b&gt;review&lt;/b&gt;: 1’000.00');
+    expect(html).toContain('(MWST 8.1%)');
+    expect(html).toContain('1’081.00 / 1’081.00');
+    expect(html).toContain('Müller &lt;Söhne&gt; &amp; Co');
+    expect(html).toContain('<section class="qr-bill-section">');
+  });
+
+  test('should load the styles and fonts of the template directory', async () => {
+    renderer.setTemplateDir(themeDir);
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+    const html = await renderer.compileTemplate(invoice, '');
+    const font = Buffer.from('wOF2-theme-sans').toString('base64');
+
+    expect(html).toContain('.custom-theme {');
+    expect(html).toContain(`url('data:font/woff2;base64,${font}') format('woff2')`);
+    expect(html).not.toContain('fonts/theme-sans.woff2');
+    // No logo in the theme, so the built-in one is used
+    expect(renderer.templates.resolve('logo.svg')).toBe(
+      path.join(__dirname, '..', 'src', 'render', 'logo.svg')
+    );
+  });
+
+  test('should reject a missing template directory', () => {
+    const missing = path.join(__dirname, 'fixtures', 'missing');
+
+    expect(() => new TemplateEngine({ dir: missing })).toThrow(
+      `Template directory not found: ${missing}`
+    );
+  });
+
+  test('should accept a template directory on the command line', () => {
+    const cli = new InvoiceCLI();
+
+    expect(cli.parseArgs(['--id', '9201', '--template', themeDir])).toMatchObject({
+      id: '9201',
+      templateDir: themeDir,
+    });
+    expect(() => cli.parseArgs(['--template'])).toThrow('--template needs a directory');
+  });
+});
@@ -0,0 +1,105 @@
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+const logger = require('../src/utils/logger');
+
+describe('Discounts and second tax', () => {
+  const harvestClient = {
+    id: 505,
+    name: 'Verlag GmbH',
+    address: 'Seestrasse 12\n8002 Zürich\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 8001,
+    number: '2024-080',
+    state: 'open',
+    issue_date: '2024-04-02',
+    due_date: '2024-05-02',
+    amount: 1113.62,
+    discount: 10,
+    discount_amount: 115.5,
+    tax: 8.1,
+    tax_amount: 72.9,
+    tax2: 2.6,
+    tax2_amount: 1.22,
+    currency: 'CHF',
+    line_items: [
+      { description: 'Editing', quantity: 10, unit_price: 100, amount: 1000, taxed: true },
+      { description: 'Books', quantity: 2, unit_price: 26, amount: 52, taxed2: true },
+      { description: 'Postage', quantity: 1, unit_price: 103, amount: 103 },
+    ],
+  };
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should map the discount and both taxes', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(invoice).toMatchObject({
+      subtotal: 1155,
+      discountRate: 10,
+      discountAmount: 115.5,
+      taxAmount: 72.9,
+      tax2Amount: 1.22,
+      taxTotal: 74.12,
+      total: 1113.62,
+    });
+    expect(invoice.checkTotals()).toEqual([]);
+  });
+
+  test('should apply the discount to the VAT summary', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(invoice.getVatRates()).toEqual([
+      { rate: 8.1, net: 900, tax: 72.9 },
+      { rate: 2.6, net: 46.8, tax: 1.22 },
+    ]);
+    expect(invoice.getExemptAmount()).toBe(92.7);
+  });
+
+  test('should render discount and taxes in the totals table', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient, {
+      language: 'en',
+    });
+
+    const html = await renderer.compileTemplate(invoice, '');
+    const start = html.indexOf('class="totals-table"');
+    const totals = html.slice(start, html.indexOf('</table>', start));
+    const rows = [
+      ...totals.matchAll(/<td class="label">([^<]*)<\/td>\s*<td class="amount">([^<]*)</g),
+    ].map(match => match.slice(1).map(cell => cell.trim()));
+
+    expect(rows).toEqual([
+      ['Total Hours', '13 h'],
+      ['Subtotal', 'CHF 1’155.00'],
+      ['Discount 10.0%', 'CHF -115.50'],
+      ['VAT 8.1%', 'CHF 72.90'],
+      ['VAT 2.6%', 'CHF 1.22'],
+      ['Total', 'CHF 1’113.62'],
+    ]);
+  });
+
+  test('should warn when the totals do not add up', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, amount: 1200, tax2_amount: 2 },
+      harvestClient
+    );
+
+    expect(invoice.checkTotals()).toEqual([
+      'taxes are 74.12 on the line items, not 74.90',
+      'subtotal - discount + taxes is 1114.40, not the total 1200.00',
+    ]);
+    expect(warn).toHaveBeenCalledWith(
+      'Totals of invoice 2024-080 do not match: taxes are 74.12 on the line items, not 74.90'
+    );
+  });
+});
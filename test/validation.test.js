@@ -0,0 +1,137 @@
+const { QRBillDTO } = require('../src/domain/dto');
+const { isValidIBAN, validateQRBill } = require('../src/domain/validation');
+const qrGenerator = require('../src/domain/qr');
+
+describe('QR-bill validation', () => {
+  const validQRData = {
+    account: 'CH93 0076 2011 6238 5295 7',
+    creditor: {
+      name: 'Test Company GmbH',
+      street: 'Teststrasse',
+      buildingNumber: '1',
+      zip: '8001',
+      city: 'Zürich',
+      country: 'CH',
+    },
+    debtor: {
+      name: 'Test Customer',
+      street: 'Kundenstrasse 2',
+      zip: '9490',
+      city: 'Vaduz',
+      country: 'LI',
+    },
+    amount: 1234.56,
+    currency: 'CHF',
+    referenceType: 'SCOR',
+    reference: 'RF18539007547034',
+    additionalInfo: 'Invoice 2024-001',
+  };
+
+  const fieldsOf = issues => issues.map(issue => issue.field);
+
+  test('should accept valid data without errors or warnings', () => {
+    expect(validateQRBill(new QRBillDTO(validQRData))).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('should check IBAN check digits for CH and LI', () => {
+    expect(isValidIBAN('CH93 0076 2011 6238 5295 7')).toBe(true);
+    expect(isValidIBAN('LI21 0881 0000 2324 013A A')).toBe(true);
+    expect(isValidIBAN('CH94 0076 2011 6238 5295 7')).toBe(false);
+    expect(isValidIBAN('DE89370400440532013000')).toBe(false);
+    expect(qrGenerator.isValidIBAN('LI21088100002324013AA')).toBe(true);
+  });
+
+  test('should check the QRR check digit and the QR-IBAN', () => {
+    const qrr = { ...validQRData, referenceType: 'QRR', reference: '210000000003139471430009017' };
+
+    expect(validateQRBill({ ...qrr, account: 'CH4431999123000889012' }).errors).toEqual([]);
+    expect(
+      validateQRBill({
+        ...qrr,
+        account: 'CH4431999123000889012',
+        reference: qrr.reference.replace(/7$/, '8'),
+      }).errors
+    ).toEqual([{ field: 'reference', message: 'QRR reference has an invalid check digit' }]);
+    expect(fieldsOf(validateQRBill(qrr).errors)).toEqual(['account']);
+  });
+
+  test('should check the reference format per reference type', () => {
+    const qrr = { ...validQRData, account: 'CH4431999123000889012', referenceType: 'QRR' };
+
+    expect(validateQRBill({ ...validQRData, referenceType: 'INVALID' }).errors).toEqual([
+      { field: 'referenceType', message: 'must be QRR, SCOR, or NON' },
+    ]);
+    expect(validateQRBill({ ...qrr, reference: '12345' }).errors).toEqual([
+      { field: 'reference', message: 'QRR reference must be exactly 27 digits' },
+    ]);
+    expect(validateQRBill({ ...validQRData, reference: 'INVALID123' }).errors).toEqual([
+      {
+        field: 'reference',
+        message: 'SCOR reference must be RF, 2 check digits and up to 21 letters or digits',
+      },
+    ]);
+    expect(
+      fieldsOf(validateQRBill({ ...validQRData, account: 'CH4431999123000889012' }).errors)
+    ).toEqual(['account']);
+  });
+
+  test('should check the amount range', () => {
+    const amountErrors = amount => fieldsOf(validateQRBill({ ...validQRData, amount }).errors);
+
+    expect(amountErrors(0.01)).toEqual([]);
+    expect(amountErrors(999999999.99)).toEqual([]);
+    expect(amountErrors(0)).toEqual(['amount']);
+    expect(amountErrors(1000000000)).toEqual(['amount']);
+  });
+
+  test('should report every invalid field at once', () => {
+    const { errors } = validateQRBill({
+      ...validQRData,
+      account: 'CH9300762011623852958',
+      creditor: { ...validQRData.creditor, name: 'N'.repeat(71), city: 'C'.repeat(36) },
+      debtor: { ...validQRData.debtor, country: 'XX' },
+      reference: 'RF19539007547034',
+      message: 'M'.repeat(100),
+      additionalInfo: 'A'.repeat(41),
+    });
+
+    expect(fieldsOf(errors)).toEqual([
+      'account',
+      'reference',
+      'creditor.name',
+      'creditor.city',
+      'debtor.country',
+      'additionalInfo',
+    ]);
+    expect(errors[2].message).toBe('must not exceed 70 characters (has 71)');
+  });
+
+  test('should warn about characters outside the QR-bill character set', () => {
+    const { errors, warnings } = validateQRBill({
+      ...validQRData,
+      debtor: { ...validQRData.debtor, name: 'Łukasz 🚀 Ωmega' },
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      {
+        field: 'debtor.name',
+        message:
+          'contains characters outside the QR-bill character set (Ł 🚀 Ω), printed as "Lukasz  mega"',
+      },
+    ]);
+  });
+
+  test('should throw with all field errors when building QR-bill data', () => {
+    const qrBill = new QRBillDTO({
+      ...validQRData,
+      account: 'CH9300762011623852958',
+      currency: 'USD',
+    });
+
+    expect(() => qrGenerator.validate(qrBill, '2024-001')).toThrow(
+      'Invalid QR-bill data for invoice 2024-001: account is not a valid IBAN ' +
+        '(wrong format or check digits); currency must be CHF or EUR'
+    );
+  });
+});
@@ -0,0 +1,92 @@
+const clientProfiles = require('../src/config/clients');
+const dataMapper = require('../src/domain/mapping');
+const renderer = require('../src/render/render');
+
+describe('VAT breakdown', () => {
+  const harvestClient = {
+    id: 404,
+    name: 'Buchhandlung AG',
+    address: 'Marktgasse 5\n3011 Bern\nSwitzerland',
+  };
+  const harvestInvoice = {
+    id: 7001,
+    number: '2024-070',
+    state: 'open',
+    issue_date: '2024-03-01',
+    due_date: '2024-03-31',
+    amount: 1237.35,
+    tax: 8.1,
+    tax_amount: 81,
+    tax2: 2.6,
+    tax2_amount: 1.35,
+    currency: 'CHF',
+    line_items: [
+      { description: 'Consulting', quantity: 10, unit_price: 100, amount: 1000, taxed: true },
+      { description: 'Books', quantity: 2, unit_price: 26, amount: 52, taxed2: true },
+      { description: 'Postage', quantity: 1, unit_price: 103, amount: 103 },
+    ],
+  };
+
+  beforeEach(() => {
+    clientProfiles.profiles = {};
+  });
+
+  afterEach(() => {
+    clientProfiles.profiles = null;
+  });
+
+  test('should keep the Harvest taxes and item flags', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(invoice.taxRate).toBe(8.1);
+    expect(invoice.tax2Rate).toBe(2.6);
+    expect(invoice.items.map(item => [item.taxed, item.taxed2, item.taxRate])).toEqual([
+      [true, false, 8.1],
+      [false, true, 2.6],
+      [false, false, 0],
+    ]);
+  });
+
+  test('should sum net and tax per rate and the exempt amount', () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient);
+
+    expect(invoice.getVatRates()).toEqual([
+      { rate: 8.1, net: 1000, tax: 81 },
+      { rate: 2.6, net: 52, tax: 1.35 },
+    ]);
+    expect(invoice.getExemptAmount()).toBe(103);
+  });
+
+  test('should render a VAT summary row per rate and for exempt items', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(harvestInvoice, harvestClient, {
+      language: 'en',
+    });
+
+    const html = await renderer.compileTemplate(invoice, '');
+    const rows = [
+      ...html.matchAll(
+        /<td class="label">([^<]*)<\/td>\s*<td class="amount">CHF ([^<]*)<\/td>\s*<td class="amount">CHF ([^<]*)</g
+      ),
+    ].map(match => match.slice(1));
+
+    expect(rows).toEqual([
+      ['8.1%', '1’000.00', '81.00'],
+      ['2.6%', '52.00', '1.35'],
+      ['Exempt', '103.00', '0.00'],
+    ]);
+    expect(html).toContain('VAT rate');
+    expect(html).not.toContain('{{');
+  });
+
+  test('should omit the VAT summary without taxes', async () => {
+    const invoice = dataMapper.mapInvoiceFromHarvest(
+      { ...harvestInvoice, amount: 1155, tax: null, tax2: null, tax_amount: 0, tax2_amount: 0 },
+      harvestClient
+    );
+
+    const html = await renderer.compileTemplate(invoice, '');
+
+    expect(invoice.getVatRates()).toEqual([]);
+    expect(html).not.toContain('class="totals-table vat-table"');
+  });
+});